@@ -0,0 +1,574 @@
+// Computer opponent for Dots and Boxes
+// Chooses moves for an AI player using the shared game logic
+
+import * as GameLogic from './game-logic.js';
+import * as Engine from './game-engine.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Available difficulty levels
+export const DIFFICULTIES = {
+    random: 'Easy',      // Any legal line
+    greedy: 'Medium',    // Takes boxes, avoids giving a third side
+    strong: 'Hard'       // Understands chains, sacrifices and double-dealing
+};
+
+// The safe-move phase is searched exhaustively once it gets this small
+const SAFE_SEARCH_LIMIT = 12;
+
+// Maximum positions visited by a single safe-move search
+const SAFE_SEARCH_BUDGET = 20000;
+
+// Rule variants the chain strategies don't hold for; these games use a lookahead search
+const LOOKAHEAD_VARIANTS = ['misere', 'no-extra-turn'];
+
+// Positions the lookahead search may visit per move (it searches less deeply on big boards)
+const LOOKAHEAD_BUDGET = 4000;
+
+// ===== PUBLIC API =====
+
+/**
+ * Choose a move for the player whose turn it is
+ * @param {Object} gameState - Current game state (not modified)
+ * @param {string} difficulty - 'random', 'greedy' or 'strong'
+ * @param {Object} rules - Rules in play (see game-engine.js)
+ * @returns {Object|null} {type, row, col} or null if no moves remain
+ */
+export function chooseMove(gameState, difficulty, rules = Engine.STANDARD_RULES) {
+    const validMoves = Engine.getLegalMoves(gameState, rules)
+        .map(move => ({ type: move.lineType, row: move.row, col: move.col }));
+    if (validMoves.length === 0) return null;
+
+    const lookahead = rules.variants.some(id => LOOKAHEAD_VARIANTS.includes(id));
+    let move;
+
+    switch (difficulty) {
+        case 'random':
+            return randomItem(validMoves);
+        case 'greedy':
+            move = lookahead
+                ? chooseLookaheadMove(gameState, validMoves, rules, 2)
+                : chooseGreedyMove(gameState, validMoves);
+            break;
+        case 'strong':
+            move = lookahead
+                ? chooseLookaheadMove(gameState, validMoves, rules, 4)
+                : chooseStrongMove(gameState, validMoves);
+            break;
+        default:
+            throw new Error(`Unknown AI difficulty: ${difficulty}`);
+    }
+
+    // Declining boxes is not allowed when captures are forced
+    return validMoves.some(valid => sameLine(valid, move)) ? move : validMoves[0];
+}
+
+// ===== BOARD HELPERS =====
+
+/**
+ * Pick a random element from an array
+ * @param {Array} items - Items to choose from
+ * @returns {*} Random element
+ */
+function randomItem(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Check if two lines are the same
+ * @param {Object} a - First line {type, row, col}
+ * @param {Object} b - Second line {type, row, col}
+ * @returns {boolean} True if they match
+ */
+function sameLine(a, b) {
+    return a.type === b.type && a.row === b.row && a.col === b.col;
+}
+
+/**
+ * Check if drawing a line gives no box a third side
+ * @param {Object} move - Line {type, row, col}
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True if the line is safe
+ */
+export function isSafeMove(move, gameState) {
+    return GameLogic.getAdjacentBoxes(move.type, move.row, move.col, gameState)
+        .every(box => GameLogic.countBoxSides(box.row, box.col, gameState) < 2);
+}
+
+/**
+ * Get every line that completes at least one box
+ * @param {Array} validMoves - Valid moves in the position
+ * @param {Object} gameState - Current game state
+ * @returns {Array} Capturing moves
+ */
+export function getCapturingMoves(validMoves, gameState) {
+    return validMoves.filter(move =>
+        GameLogic.getAdjacentBoxes(move.type, move.row, move.col, gameState)
+            .some(box => GameLogic.countBoxSides(box.row, box.col, gameState) === 3)
+    );
+}
+
+/**
+ * Play a move for the player to move
+ * @param {Object} move - Line {type, row, col}
+ * @param {Object} gameState - Current game state (not modified)
+ * @param {Object} rules - Rules in play (standard if omitted)
+ * @returns {Object} {state, record} from the game engine
+ */
+function playLine(move, gameState, rules) {
+    return Engine.applyMove(gameState, { lineType: move.type, row: move.row, col: move.col }, rules);
+}
+
+/**
+ * Get the position after a move
+ * @param {Object} move - Line {type, row, col}
+ * @param {Object} gameState - Current game state (not modified)
+ * @param {Object} rules - Rules in play (standard if omitted)
+ * @returns {Object} New game state
+ */
+function simulateMove(move, gameState, rules) {
+    return playLine(move, gameState, rules).state;
+}
+
+/**
+ * Take every available box, one after another
+ * @param {Object} gameState - Current game state (not modified)
+ * @returns {Object} {state, captured} after all captures
+ */
+export function captureAll(gameState) {
+    let state = gameState;
+    let captured = 0;
+
+    while (!state.gameOver) {
+        const capturing = getCapturingMoves(GameLogic.getValidMoves(state), state);
+        if (capturing.length === 0) break;
+
+        const { state: next, record } = playLine(capturing[0], state);
+        state = next;
+        captured += record.completedBoxes.length;
+    }
+
+    return { state, captured };
+}
+
+/**
+ * Count how many boxes the opponent can take after a move
+ * @param {Object} move - Line {type, row, col}
+ * @param {Object} gameState - Current game state
+ * @returns {number} Boxes handed to the opponent
+ */
+function countBoxesGivenAway(move, gameState) {
+    return captureAll(simulateMove(move, gameState)).captured;
+}
+
+// ===== GREEDY PLAYER =====
+
+/**
+ * Take any box, otherwise play safely, otherwise give away as little as possible
+ * @param {Object} gameState - Current game state
+ * @param {Array} validMoves - Valid moves in the position
+ * @returns {Object} Chosen move
+ */
+function chooseGreedyMove(gameState, validMoves) {
+    const capturing = getCapturingMoves(validMoves, gameState);
+    if (capturing.length > 0) return randomItem(capturing);
+
+    const safeMoves = validMoves.filter(move => isSafeMove(move, gameState));
+    if (safeMoves.length > 0) return randomItem(safeMoves);
+
+    return chooseSmallestGiveaway(validMoves, gameState);
+}
+
+/**
+ * Pick the move that hands the opponent the fewest boxes
+ * @param {Array} moves - Candidate moves
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Chosen move
+ */
+function chooseSmallestGiveaway(moves, gameState) {
+    let best = [];
+    let bestCount = Infinity;
+
+    moves.forEach(move => {
+        const count = countBoxesGivenAway(move, gameState);
+        if (count < bestCount) {
+            best = [move];
+            bestCount = count;
+        } else if (count === bestCount) {
+            best.push(move);
+        }
+    });
+
+    return randomItem(best);
+}
+
+// ===== STRONG PLAYER =====
+
+/**
+ * Chain-aware move selection
+ * @param {Object} gameState - Current game state
+ * @param {Array} validMoves - Valid moves in the position
+ * @returns {Object} Chosen move
+ */
+function chooseStrongMove(gameState, validMoves) {
+    const capturing = getCapturingMoves(validMoves, gameState);
+    if (capturing.length > 0) return chooseCapture(gameState, capturing);
+
+    const safeMoves = validMoves.filter(move => isSafeMove(move, gameState));
+    if (safeMoves.length > 0) return chooseSafeMove(gameState, safeMoves);
+
+    return chooseSacrifice(gameState);
+}
+
+/**
+ * Decide whether to take boxes or decline the last two (four in a loop)
+ * to keep control of the endgame
+ * @param {Object} gameState - Current game state
+ * @param {Array} capturing - Capturing moves
+ * @returns {Object} Chosen move
+ */
+function chooseCapture(gameState, capturing) {
+    const afterCapture = captureAll(gameState).state;
+
+    // Safe lines remain afterwards - nothing to gain by declining
+    if (afterCapture.gameOver || hasSafeMove(afterCapture)) {
+        return capturing[0];
+    }
+
+    const doubleDeal = findDoubleDealingMove(gameState);
+    if (!doubleDeal) return capturing[0];
+
+    // Eat everything that is not part of the double-dealing pattern first
+    const otherCaptures = capturing.filter(move =>
+        GameLogic.getAdjacentBoxes(move.type, move.row, move.col, gameState)
+            .some(box => GameLogic.countBoxSides(box.row, box.col, gameState) === 3 &&
+                !doubleDeal.boxes.has(`${box.row},${box.col}`))
+    );
+    if (otherCaptures.length > 0) return otherCaptures[0];
+
+    // Compare taking everything (then we must open the next component)
+    // against handing over the last boxes (then the opponent must)
+    const restValue = getControlValue(GameLogic.findChains(afterCapture), new Map());
+    const takeAll = doubleDeal.given + restValue;
+    const decline = -doubleDeal.given - restValue;
+
+    return decline > takeAll ? doubleDeal.move : capturing[0];
+}
+
+/**
+ * Find a double-dealing move: the end of a chain with exactly two boxes left
+ * or the last four boxes of a loop
+ * @param {Object} gameState - Current game state
+ * @returns {Object|null} {move, given, boxes} or null if none exists
+ */
+function findDoubleDealingMove(gameState) {
+    for (let row = 0; row < gameState.rows - 1; row++) {
+        for (let col = 0; col < gameState.cols - 1; col++) {
+            if (GameLogic.isHole(row, col, gameState) || GameLogic.countBoxSides(row, col, gameState) !== 3) continue;
+
+            const first = { row, col };
+            const [firstOpen] = GameLogic.getOpenSides(row, col, gameState);
+            const second = GameLogic.getBoxAcross(firstOpen, first, gameState);
+            if (!second || GameLogic.countBoxSides(second.row, second.col, gameState) !== 2) continue;
+
+            const secondOpen = GameLogic.getOpenSides(second.row, second.col, gameState)
+                .find(line => !sameLine(line, firstOpen));
+            const third = GameLogic.getBoxAcross(secondOpen, second, gameState);
+            const thirdSides = third ? GameLogic.countBoxSides(third.row, third.col, gameState) : 0;
+
+            // Chain end: the far side leads off the board or into an untouched area
+            if (thirdSides < 2) {
+                return {
+                    move: secondOpen,
+                    given: 2,
+                    boxes: new Set([`${first.row},${first.col}`, `${second.row},${second.col}`])
+                };
+            }
+
+            // Loop remainder: first - second - third - fourth, both ends capturable
+            if (thirdSides !== 2) continue;
+            const thirdOpen = GameLogic.getOpenSides(third.row, third.col, gameState)
+                .find(line => !sameLine(line, secondOpen));
+            const fourth = GameLogic.getBoxAcross(thirdOpen, third, gameState);
+            if (!fourth || GameLogic.countBoxSides(fourth.row, fourth.col, gameState) !== 3) continue;
+
+            return {
+                move: secondOpen,
+                given: 4,
+                boxes: new Set([first, second, third, fourth].map(box => `${box.row},${box.col}`))
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check if any safe line remains
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True if a safe move exists
+ */
+function hasSafeMove(gameState) {
+    return GameLogic.getValidMoves(gameState).some(move => isSafeMove(move, gameState));
+}
+
+/**
+ * Choose among safe moves, searching for the right parity near the endgame
+ * @param {Object} gameState - Current game state
+ * @param {Array} safeMoves - Safe moves in the position
+ * @returns {Object} Chosen move
+ */
+function chooseSafeMove(gameState, safeMoves) {
+    if (safeMoves.length <= SAFE_SEARCH_LIMIT) {
+        const search = createEvaluation();
+        const result = searchSafeMoves(gameState, search);
+        if (result && result.move) return result.move;
+    }
+
+    return randomItem(safeMoves);
+}
+
+/**
+ * Negamax over the remaining safe moves. When they run out, the player to
+ * move must open a component, scored with the control value.
+ * @param {Object} gameState - Position to search
+ * @param {Object} search - {nodes, memo, controlMemo} shared search data
+ * @returns {Object|null} {value, move} or null if the budget ran out
+ */
+function searchSafeMoves(gameState, search) {
+    if (++search.nodes > SAFE_SEARCH_BUDGET) return null;
+
+    const key = getPositionKey(gameState);
+    if (search.memo.has(key)) return search.memo.get(key);
+
+    const safeMoves = GameLogic.getValidMoves(gameState).filter(move => isSafeMove(move, gameState));
+    let result;
+
+    if (safeMoves.length === 0) {
+        result = { value: getControlValue(GameLogic.findChains(gameState), search.controlMemo), move: null };
+    } else {
+        result = { value: -Infinity, move: null };
+        for (const move of safeMoves) {
+            const child = searchSafeMoves(simulateMove(move, gameState), search);
+            if (!child) return null;
+
+            if (-child.value > result.value) {
+                result = { value: -child.value, move };
+            }
+        }
+    }
+
+    search.memo.set(key, result);
+    return result;
+}
+
+/**
+ * Build a key identifying which lines are drawn
+ * @param {Object} gameState - Current game state
+ * @returns {string} Position key
+ */
+function getPositionKey(gameState) {
+    const horizontal = [...gameState.horizontalLines.keys()].sort().join(';');
+    const vertical = [...gameState.verticalLines.keys()].sort().join(';');
+    return `${horizontal}|${vertical}`;
+}
+
+/**
+ * Open the component that costs the least, the way that costs the least
+ * @param {Object} gameState - Current game state (no safe moves left)
+ * @returns {Object} Chosen move
+ */
+function chooseSacrifice(gameState) {
+    const components = GameLogic.findChains(gameState);
+    if (components.length === 0) {
+        return chooseSmallestGiveaway(GameLogic.getValidMoves(gameState), gameState);
+    }
+
+    const memo = new Map();
+
+    let best = null;
+    let bestValue = -Infinity;
+
+    components.forEach((component, index) => {
+        const rest = components.filter((_, i) => i !== index);
+        const value = -getOpponentReply(component, getControlValue(rest, memo));
+        if (value > bestValue) {
+            best = component;
+            bestValue = value;
+        }
+    });
+
+    // Hard-hearted handout: split a two-chain down the middle so it cannot be declined
+    if (best.size === 2 && !best.loop) {
+        const middle = best.lines.find(line =>
+            GameLogic.getAdjacentBoxes(line.type, line.row, line.col, gameState)
+                .filter(box => best.boxes.has(`${box.row},${box.col}`)).length === 2
+        );
+        if (middle) return middle;
+    }
+
+    return chooseSmallestGiveaway(best.lines, gameState);
+}
+
+// ===== EVALUATION =====
+
+/**
+ * Net boxes the player to move can expect from the rest of the game, assuming
+ * both players handle the chain endgame perfectly (standard rules, two players).
+ * Only positions near the endgame can be worked out; earlier ones return null.
+ * @param {Object} gameState - Position to evaluate
+ * @param {Object} search - {nodes, memo, controlMemo} shared between calls (see createEvaluation)
+ * @returns {number|null} Boxes won minus boxes lost from here, or null if unknown
+ */
+export function evaluatePosition(gameState, search) {
+    if (gameState.gameOver) return 0;
+
+    const validMoves = GameLogic.getValidMoves(gameState);
+    const capturing = getCapturingMoves(validMoves, gameState);
+
+    // Take what's offered, unless declining the last boxes keeps control
+    if (capturing.length > 0) {
+        const { state: afterCapture, captured } = captureAll(gameState);
+        const rest = evaluatePosition(afterCapture, search);
+        if (rest === null) return null;
+
+        const doubleDeal = findDoubleDealingMove(gameState);
+        if (!doubleDeal || afterCapture.gameOver || hasSafeMove(afterCapture)) {
+            return captured + rest;
+        }
+        return Math.max(captured + rest, captured - 2 * doubleDeal.given - rest);
+    }
+
+    const safeMoves = validMoves.filter(move => isSafeMove(move, gameState));
+    if (safeMoves.length > 0) {
+        if (safeMoves.length > SAFE_SEARCH_LIMIT) return null;
+
+        search.nodes = 0;
+        const result = searchSafeMoves(gameState, search);
+        return result ? result.value : null;
+    }
+
+    // Every box left must be part of a chain or loop for the control value to hold
+    const components = GameLogic.findChains(gameState);
+    const inComponents = components.reduce((sum, component) => sum + component.size, 0);
+    if (inComponents !== GameLogic.getTotalBoxes(gameState) - gameState.boxes.length) return null;
+
+    return getControlValue(components, search.controlMemo);
+}
+
+/**
+ * Shared search data for evaluatePosition (reuse it for positions from the same game)
+ * @returns {Object} {nodes, memo, controlMemo}
+ */
+export function createEvaluation() {
+    return { nodes: 0, memo: new Map(), controlMemo: new Map() };
+}
+
+// ===== VARIANT PLAYER =====
+
+/**
+ * Search a few moves ahead with the rules in play, assuming the other players
+ * all play against us. Used for variants the chain strategies don't fit.
+ * @param {Object} gameState - Current game state
+ * @param {Array} validMoves - Legal moves in the position
+ * @param {Object} rules - Rules in play
+ * @param {number} maxDepth - Most moves to look ahead
+ * @returns {Object} Chosen move
+ */
+function chooseLookaheadMove(gameState, validMoves, rules, maxDepth) {
+    const me = gameState.currentPlayer;
+
+    // Look less far ahead when there are many moves to consider
+    let depth = 1;
+    while (depth < maxDepth && Math.pow(validMoves.length, depth + 1) <= LOOKAHEAD_BUDGET) {
+        depth++;
+    }
+
+    let best = [];
+    let bestValue = -Infinity;
+
+    validMoves.forEach(move => {
+        const value = searchLookahead(simulateMove(move, gameState, rules), depth - 1, me, rules);
+        if (value > bestValue) {
+            best = [move];
+            bestValue = value;
+        } else if (value === bestValue) {
+            best.push(move);
+        }
+    });
+
+    return randomItem(best);
+}
+
+/**
+ * Value of a position for one player: we pick our best move, everyone else
+ * picks the move that is worst for us
+ * @param {Object} gameState - Position to search
+ * @param {number} depth - Moves left to look ahead
+ * @param {number} me - Player the value is for
+ * @param {Object} rules - Rules in play
+ * @returns {number} How far ahead of the best other player we are (by the rules' scoring)
+ */
+function searchLookahead(gameState, depth, me, rules) {
+    if (gameState.gameOver || depth === 0) {
+        const scores = Engine.getTotals(gameState);
+        const others = scores.filter((_, index) => index + 1 !== me);
+        const bestOther = others.reduce((top, score) => (rules.compareScores(score, top) > 0 ? score : top));
+        return rules.compareScores(scores[me - 1], bestOther);
+    }
+
+    const values = Engine.getLegalMoves(gameState, rules).map(move =>
+        searchLookahead(Engine.applyMove(gameState, move, rules).state, depth - 1, me, rules)
+    );
+    return gameState.currentPlayer === me ? Math.max(...values) : Math.min(...values);
+}
+
+// ===== CHAIN VALUES =====
+
+/**
+ * Net score for the player who must open one of the given components,
+ * assuming both sides play the chain/loop endgame perfectly
+ * @param {Array} components - Components ({size, loop}) still on the board
+ * @param {Map} memo - Memoized results keyed by component multiset
+ * @returns {number} Net boxes (positive is good for the player to move)
+ */
+function getControlValue(components, memo) {
+    if (components.length === 0) return 0;
+
+    const key = components.map(c => `${c.loop ? 'l' : 'c'}${c.size}`).sort().join(',');
+    if (memo.has(key)) return memo.get(key);
+
+    let best = -Infinity;
+    const tried = new Set();
+
+    components.forEach((component, index) => {
+        const type = `${component.loop ? 'l' : 'c'}${component.size}`;
+        if (tried.has(type)) return;
+        tried.add(type);
+
+        const rest = components.filter((_, i) => i !== index);
+        best = Math.max(best, -getOpponentReply(component, getControlValue(rest, memo)));
+    });
+
+    memo.set(key, best);
+    return best;
+}
+
+/**
+ * Best net score for the opponent after a component is opened
+ * @param {Object} component - Opened component {size, loop}
+ * @param {number} restValue - Control value of the remaining components
+ * @returns {number} Opponent's net boxes
+ */
+function getOpponentReply(component, restValue) {
+    // Take everything, then the opponent has to open the next component
+    const takeAll = component.size + restValue;
+
+    // Long chains and loops can be declined (two or four boxes) to keep control
+    if (component.loop || component.size >= 3) {
+        const given = component.loop ? 4 : 2;
+        return Math.max(takeAll, component.size - 2 * given - restValue);
+    }
+
+    return takeAll;
+}
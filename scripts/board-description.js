@@ -0,0 +1,143 @@
+// Board descriptions - plain-text wording of the board for screen readers
+// Pure functions: the UI announces them and shows the full description on demand
+
+import * as GameLogic from './game-logic.js';
+import { formatPoints } from './utils.js';
+
+// ===== LINES =====
+
+/**
+ * Name a line by the dots it joins (counted from 1, as a player would)
+ * @param {Object} move - {lineType, row, col}
+ * @returns {string} e.g. "horizontal line in row 2, columns 3 to 4"
+ */
+export function describeLine(move) {
+    const row = move.row + 1;
+    const col = move.col + 1;
+    return move.lineType === 'horizontal'
+        ? `horizontal line in row ${row}, columns ${col} to ${col + 1}`
+        : `vertical line in column ${col}, rows ${row} to ${row + 1}`;
+}
+
+/**
+ * Describe the line under the keyboard cursor and what drawing it would do
+ * @param {Object} move - {lineType, row, col}
+ * @param {Object} gameState - Current game state
+ * @param {Array} players - Players in turn order: [{name}]
+ * @returns {string} e.g. "Vertical line in column 1, rows 1 to 2: free, completes a box"
+ */
+export function describeSlot(move, gameState, players) {
+    const name = describeLine(move);
+    const label = name.charAt(0).toUpperCase() + name.slice(1);
+    const lines = move.lineType === 'horizontal' ? gameState.horizontalLines : gameState.verticalLines;
+    const key = `${move.row},${move.col}`;
+
+    if (lines.get(key) === GameLogic.NEUTRAL) {
+        const blocked = GameLogic.isBlockedLine(move.lineType, move.row, move.col, gameState);
+        return `${label}: ${blocked ? 'blocked' : 'drawn before the game'}`;
+    }
+    if (lines.has(key)) {
+        return `${label}: drawn by ${players[lines.get(key) - 1].name}`;
+    }
+    if (!GameLogic.isValidMove(move.lineType, move.row, move.col, gameState)) {
+        return `${label}: not on the board`;
+    }
+
+    // What the line does to the boxes on either side
+    const sides = GameLogic.getAdjacentBoxes(move.lineType, move.row, move.col, gameState)
+        .map(box => GameLogic.countBoxSides(box.row, box.col, gameState));
+    const completes = sides.filter(count => count === 3).length;
+
+    let effect = '';
+    if (completes > 0) {
+        effect = `, completes ${completes === 1 ? 'a box' : `${completes} boxes`}`;
+    } else if (sides.includes(2)) {
+        effect = ', gives a box its third side';
+    }
+    return `${label}: free${effect}`;
+}
+
+// ===== MOVES & STATUS =====
+
+/**
+ * A player's score, with their head start when they were given one
+ * @param {Object} gameState - Current game state
+ * @param {number} player - Player number
+ * @returns {string} e.g. "3", or "3 +1½" for 3 boxes and a head start of 1½
+ */
+export function formatScore(gameState, player) {
+    const boxes = gameState.scores[`player${player}`];
+    const headStart = gameState.headStart[`player${player}`];
+    return headStart > 0 ? `${boxes} +${formatPoints(headStart)}` : String(boxes);
+}
+
+/**
+ * Describe a move that was just played
+ * @param {Object} record - {lineType, row, col, player, completedBoxes}
+ * @param {Array} players - Players in turn order: [{name}]
+ * @returns {string} e.g. "Ada drew horizontal line in row 1, columns 1 to 2 and completed 2 boxes."
+ */
+export function describeMove(record, players) {
+    const boxes = record.completedBoxes.length;
+    const captured = boxes > 0 ? ` and completed ${boxes} box${boxes > 1 ? 'es' : ''}` : '';
+    return `${players[record.player - 1].name} drew ${describeLine(record)}${captured}.`;
+}
+
+/**
+ * Describe the score and whose turn it is (or the result once the game is over)
+ * @param {Object} gameState - Current game state
+ * @param {Array} players - Players in turn order: [{name}]
+ * @returns {string} e.g. "Score: Ada 3, Bob 2. Ada's turn."
+ */
+export function describeStatus(gameState, players) {
+    const scores = players.map((player, index) => `${player.name} ${formatScore(gameState, index + 1)}`);
+    const status = `Score: ${scores.join(', ')}.`;
+
+    if (!gameState.gameOver) {
+        return `${status} ${players[gameState.currentPlayer - 1].name}'s turn.`;
+    }
+
+    const winners = (gameState.winners || []).map(number => players[number - 1].name);
+    const result = winners.length === 1 ? `${winners[0]} wins` : `Tie between ${winners.join(' and ')}`;
+    return `${status} Game over: ${result}.`;
+}
+
+// ===== BOARD =====
+
+/**
+ * Describe the whole board, one row of boxes per line
+ * @param {Object} gameState - Current game state
+ * @param {Array} players - Players in turn order: [{name}]
+ * @returns {Array} Lines of text
+ */
+export function describeBoard(gameState, players) {
+    const boxRows = gameState.rows - 1;
+    const boxCols = gameState.cols - 1;
+    const drawn = GameLogic.countPlayedLines(gameState);
+    const total = drawn + GameLogic.getValidMoves(gameState).length;
+    const holes = gameState.layout === null ? 0 : gameState.layout.holes.size;
+    const shape = holes > 0 ? ` with ${holes} hole${holes === 1 ? '' : 's'}` : '';
+
+    const owners = new Map(gameState.boxes.map(box => [`${box.row},${box.col}`, box.owner]));
+    const description = [
+        `Board of ${boxRows} by ${boxCols} boxes${shape}, ${drawn} of ${total} lines drawn.`,
+        describeStatus(gameState, players)
+    ];
+
+    // Each box: its owner, or how many of its sides are drawn
+    for (let row = 0; row < boxRows; row++) {
+        const boxes = [];
+        for (let col = 0; col < boxCols; col++) {
+            const owner = owners.get(`${row},${col}`);
+            const sides = GameLogic.countBoxSides(row, col, gameState);
+            if (GameLogic.isHole(row, col, gameState)) {
+                boxes.push('hole');
+            } else {
+                boxes.push(owner ? players[owner - 1].name : `${sides} side${sides === 1 ? '' : 's'}`);
+            }
+        }
+        description.push(`Box row ${row + 1}: ${boxes.join('; ')}.`);
+    }
+
+    return description;
+}
@@ -0,0 +1,297 @@
+// Board images - the board as a vector SVG or a PNG, plain or as a result card
+// Drawn from the game state rather than the screen, so zoom, hover and hints never show up
+
+import { escapeHtml, formatPoints } from './utils.js';
+import { getTotalScore, countPlayedLines, isDotOnBoard, isBlockedLine, NEUTRAL } from './game-logic.js';
+import { formatScore } from './board-description.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Board geometry (pixels at scale 1); small boards are centred on MIN_WIDTH so names fit
+const CELL_SIZE = 60;
+const MARGIN = 30;
+const DOT_RADIUS = 5;
+const LINE_WIDTH = 4;
+const MIN_WIDTH = 360;
+
+// Text rows: the card heading, and the scoreboard (one row per player)
+const TITLE_HEIGHT = 64;
+const SCORE_ROW_HEIGHT = 26;
+const FOOTER_HEIGHT = 30;
+
+const FONT = 'Arial, Helvetica, sans-serif';
+
+// PNG images are drawn at this many pixels per SVG pixel so they stay sharp when shared
+export const PNG_SCALE = 2;
+
+/**
+ * A board image ready to save:
+ *
+ * @typedef {Object} BoardImage
+ * @property {string} svg - SVG document
+ * @property {number} width - Width in pixels (scale 1)
+ * @property {number} height - Height in pixels (scale 1)
+ */
+
+// ===== SVG =====
+
+/**
+ * Draw a position as an SVG image with the players' names, colors and scores
+ * @param {Object} gameState - Position to draw
+ * @param {Array} players - Players in turn order: [{name, color, label}]
+ * @param {Object} options - What to include
+ * @param {Object} options.theme - Theme from themes.js: {background, dots}
+ * @param {Array} options.moves - Moves that led to the position ({lineType, row, col}), used to
+ *                                number the lines; omit for unnumbered lines
+ * @param {Object} options.card - Result card details: {rules, date}; omit for a plain board
+ * @returns {BoardImage} The image
+ */
+export function createBoardSvg(gameState, players, options) {
+    const { theme, moves = null, card = null } = options;
+    const boardWidth = 2 * MARGIN + CELL_SIZE * (gameState.cols - 1);
+    const boardHeight = 2 * MARGIN + CELL_SIZE * (gameState.rows - 1);
+    const width = Math.max(boardWidth, MIN_WIDTH);
+
+    // Card heading above the board, scoreboard (and card footer) below it
+    const top = card ? TITLE_HEIGHT : 0;
+    const boardLeft = (width - boardWidth) / 2;
+    const scoresTop = top + boardHeight;
+    const height = scoresTop + players.length * SCORE_ROW_HEIGHT + (card ? FOOTER_HEIGHT : MARGIN / 2);
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+        `<rect width="${width}" height="${height}" fill="${theme.background}"/>`
+    ];
+
+    if (card) {
+        parts.push(drawText(width / 2, 30, 'Dots and Boxes', theme.dots, 'middle', 22, true));
+        parts.push(drawText(width / 2, 54, getResultText(gameState, players), theme.dots, 'middle', 16));
+    }
+
+    parts.push(`<g transform="translate(${boardLeft} ${top})">`);
+    parts.push(drawHoles(gameState, theme));
+    parts.push(drawBoxes(gameState, players));
+    parts.push(drawLines(gameState, players, theme));
+    parts.push(drawDots(gameState, theme));
+    if (moves) parts.push(drawMoveNumbers(moves, theme));
+    parts.push('</g>');
+
+    parts.push(drawScores(gameState, players, scoresTop, width, theme));
+
+    if (card) {
+        const details = [`${gameState.rows}x${gameState.cols} dots`, `${countPlayedLines(gameState)} moves`];
+        if (card.rules && card.rules.variants.length > 0) details.push(card.rules.name);
+        if (card.date) details.push(card.date);
+        parts.push(drawText(width / 2, height - 12, details.join(' · '), theme.dots, 'middle', 12));
+    }
+
+    parts.push('</svg>');
+    return { svg: parts.join('\n'), width, height };
+}
+
+/**
+ * Word the result for the card heading
+ * @param {Object} gameState - Position shown
+ * @param {Array} players - Players in turn order: [{name}]
+ * @returns {string} e.g. "Ada wins 9-7" (head starts included), "Tie between Ada and Bob" or "Bob to move"
+ */
+function getResultText(gameState, players) {
+    const nameOf = number => players[number - 1].name;
+
+    if (!gameState.gameOver) {
+        return `${nameOf(gameState.currentPlayer)} to move`;
+    }
+    if (gameState.forfeited && gameState.winner !== 0) {
+        return `${nameOf(gameState.winner)} wins on time`;
+    }
+    if (gameState.winner !== 0) {
+        const scores = players.map((player, index) => formatPoints(getTotalScore(gameState, index + 1)));
+        return `${nameOf(gameState.winner)} wins ${scores.join('-')}`;
+    }
+    return gameState.winners.length === players.length
+        ? "It's a tie"
+        : `Tie between ${gameState.winners.map(nameOf).join(' and ')}`;
+}
+
+// ===== SVG ELEMENTS =====
+
+/**
+ * Shade the holes of a custom board
+ * @param {Object} gameState - Position to draw
+ * @param {Object} theme - {dots}
+ * @returns {string} SVG elements
+ */
+function drawHoles(gameState, theme) {
+    if (gameState.layout === null) return '';
+
+    return [...gameState.layout.holes].map(key => {
+        const [row, col] = key.split(',').map(Number);
+        return `<rect x="${MARGIN + col * CELL_SIZE}" y="${MARGIN + row * CELL_SIZE}" width="${CELL_SIZE}" ` +
+               `height="${CELL_SIZE}" fill="${theme.dots}" fill-opacity="0.08"/>`;
+    }).join('\n');
+}
+
+/**
+ * Owned boxes, tinted with the owner's color and marked with their initials
+ * @param {Object} gameState - Position to draw
+ * @param {Array} players - Players in turn order: [{color, label}]
+ * @returns {string} SVG elements
+ */
+function drawBoxes(gameState, players) {
+    return gameState.boxes.map(box => {
+        const owner = players[box.owner - 1];
+        const x = MARGIN + box.col * CELL_SIZE;
+        const y = MARGIN + box.row * CELL_SIZE;
+        return `<rect x="${x}" y="${y}" width="${CELL_SIZE}" height="${CELL_SIZE}" ` +
+                   `fill="${owner.color}" fill-opacity="0.3"/>\n` +
+               drawText(x + CELL_SIZE / 2, y + CELL_SIZE / 2 + CELL_SIZE / 9, owner.label,
+                   owner.color, 'middle', CELL_SIZE / 3, true);
+    }).join('\n');
+}
+
+/**
+ * Drawn lines in the color of the player who drew them (lines that came with the board in the
+ * dot color: faint if pre-drawn, dashed if blocked)
+ * @param {Object} gameState - Position to draw
+ * @param {Array} players - Players in turn order: [{color}]
+ * @param {Object} theme - {dots}
+ * @returns {string} SVG elements
+ */
+function drawLines(gameState, players, theme) {
+    const lines = [];
+    const addLines = (lineType, map) => map.forEach((player, key) => {
+        const [row, col] = key.split(',').map(Number);
+        const [x1, y1, x2, y2] = getLineEnds(lineType, row, col);
+        let stroke = `stroke="${player === NEUTRAL ? theme.dots : players[player - 1].color}"`;
+        if (player === NEUTRAL) {
+            stroke += isBlockedLine(lineType, row, col, gameState)
+                ? ` stroke-dasharray="${LINE_WIDTH} ${LINE_WIDTH * 2}"`
+                : ' stroke-opacity="0.45"';
+        }
+        lines.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${stroke} ` +
+                   `stroke-width="${LINE_WIDTH}" stroke-linecap="round"/>`);
+    });
+
+    addLines('horizontal', gameState.horizontalLines);
+    addLines('vertical', gameState.verticalLines);
+    return lines.join('\n');
+}
+
+/**
+ * Every dot of the grid (custom boards leave out the dots that only touch holes)
+ * @param {Object} gameState - Position to draw
+ * @param {Object} theme - {dots}
+ * @returns {string} SVG elements
+ */
+function drawDots(gameState, theme) {
+    const dots = [];
+    for (let row = 0; row < gameState.rows; row++) {
+        for (let col = 0; col < gameState.cols; col++) {
+            if (!isDotOnBoard(row, col, gameState)) continue;
+            dots.push(`<circle cx="${MARGIN + col * CELL_SIZE}" cy="${MARGIN + row * CELL_SIZE}" ` +
+                      `r="${DOT_RADIUS}" fill="${theme.dots}"/>`);
+        }
+    }
+    return dots.join('\n');
+}
+
+/**
+ * Number each line with the move that drew it, on a small tag over the middle of the line
+ * @param {Array} moves - Moves in order: [{lineType, row, col}]
+ * @param {Object} theme - {background, dots}
+ * @returns {string} SVG elements
+ */
+function drawMoveNumbers(moves, theme) {
+    return moves.map((move, index) => {
+        const [x1, y1, x2, y2] = getLineEnds(move.lineType, move.row, move.col);
+        const x = (x1 + x2) / 2;
+        const y = (y1 + y2) / 2;
+        const tagWidth = 6 + 7 * String(index + 1).length;
+        return `<rect x="${x - tagWidth / 2}" y="${y - 7}" width="${tagWidth}" height="14" rx="3" ` +
+                   `fill="${theme.background}" stroke="${theme.dots}" stroke-width="0.5"/>\n` +
+               drawText(x, y + 4, String(index + 1), theme.dots, 'middle', 11);
+    }).join('\n');
+}
+
+/**
+ * One row per player: color swatch, name and score
+ * @param {Object} gameState - Position shown
+ * @param {Array} players - Players in turn order: [{name, color}]
+ * @param {number} top - Top of the scoreboard
+ * @param {number} width - Image width
+ * @param {Object} theme - {dots}
+ * @returns {string} SVG elements
+ */
+function drawScores(gameState, players, top, width, theme) {
+    return players.map((player, index) => {
+        const middle = top + index * SCORE_ROW_HEIGHT + SCORE_ROW_HEIGHT / 2;
+        const score = formatScore(gameState, index + 1);
+        return `<rect x="${MARGIN}" y="${middle - 7}" width="14" height="14" rx="2" fill="${player.color}"/>\n` +
+               drawText(MARGIN + 22, middle + 5, player.name, theme.dots, 'start', 15) + '\n' +
+               drawText(width - MARGIN, middle + 5, score, theme.dots, 'end', 15, true);
+    }).join('\n');
+}
+
+/**
+ * A line of text
+ * @param {number} x - Anchor position
+ * @param {number} y - Baseline
+ * @param {string} text - Raw text (escaped here)
+ * @param {string} color - Fill color
+ * @param {string} anchor - 'start', 'middle' or 'end'
+ * @param {number} size - Font size in pixels
+ * @param {boolean} bold - True for bold text
+ * @returns {string} SVG element
+ */
+function drawText(x, y, text, color, anchor, size, bold = false) {
+    const weight = bold ? ' font-weight="bold"' : '';
+    return `<text x="${x}" y="${y}" fill="${color}" text-anchor="${anchor}" font-size="${size}"${weight}>` +
+           `${escapeHtml(text)}</text>`;
+}
+
+/**
+ * End points of a grid line
+ * @param {string} lineType - 'horizontal' or 'vertical'
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @returns {Array} [x1, y1, x2, y2]
+ */
+function getLineEnds(lineType, row, col) {
+    const x = MARGIN + col * CELL_SIZE;
+    const y = MARGIN + row * CELL_SIZE;
+    return lineType === 'horizontal' ? [x, y, x + CELL_SIZE, y] : [x, y, x, y + CELL_SIZE];
+}
+
+// ===== PNG =====
+
+/**
+ * Rasterize a board image to PNG
+ * @param {BoardImage} image - Image from createBoardSvg
+ * @param {number} scale - Pixels per SVG pixel
+ * @returns {Promise<Blob>} PNG file contents
+ */
+export function renderPng(image, scale = PNG_SCALE) {
+    return new Promise((resolve, reject) => {
+        const picture = new Image();
+        picture.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            canvas.getContext('2d').drawImage(picture, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the PNG image'))),
+                'image/png');
+        };
+        picture.onerror = () => reject(new Error('Could not create the PNG image'));
+        picture.src = getSvgDataUrl(image);
+    });
+}
+
+/**
+ * Turn a board image into a data URL (for previews and for rasterizing)
+ * @param {BoardImage} image - Image from createBoardSvg
+ * @returns {string} data: URL
+ */
+export function getSvgDataUrl(image) {
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(image.svg)}`;
+}
@@ -0,0 +1,304 @@
+// Board layouts - custom board shapes with holes, pre-drawn lines and blocked edges
+// Built-in shapes plus the ones designed in the board editor, kept in localStorage as JSON
+
+import { readStorage, writeStorage } from './storage.js';
+import * as GameLogic from './game-logic.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Bump when the saved layout format changes
+export const LAYOUTS_VERSION = 1;
+
+const LAYOUTS_KEY = 'dotsandblox.layouts';
+
+export const MAX_LAYOUT_NAME_LENGTH = 30;
+
+/**
+ * A named board shape, as saved and shared (JSON):
+ *
+ * @typedef {Object} BoardLayout
+ * @property {string} name - Display name (unique)
+ * @property {number} rows - Number of dot rows
+ * @property {number} cols - Number of dot columns
+ * @property {Array} holes - Boxes cut out of the board: ["row,col"]
+ * @property {Array} lines - Neutral lines drawn before the game starts: ["h<row>,<col>", "v<row>,<col>"]
+ * @property {Array} blocked - Edges nobody can draw; they count as a side of their boxes
+ *
+ * e.g. {"name": "Corner", "rows": 4, "cols": 4, "holes": ["0,2"], "lines": ["h3,0"], "blocked": ["v1,1"]}
+ */
+
+// Built-in shapes, offered before the saved ones
+export const PRESET_LAYOUTS = [
+    // 5x5 boxes without the top right 3x3: two arms two boxes wide
+    createPreset('L-shape', 6, 6, { holes: getBoxes(0, 2, 2, 4) }),
+    // 6x6 boxes without their 2x2 corners
+    createPreset('Cross', 7, 7, {
+        holes: [...getBoxes(0, 1, 0, 1), ...getBoxes(0, 1, 4, 5), ...getBoxes(4, 5, 0, 1), ...getBoxes(4, 5, 4, 5)]
+    }),
+    // A ring one box wide around a 3x3 hole
+    createPreset('Ring', 6, 6, { holes: getBoxes(1, 3, 1, 3) }),
+    // 5x5 boxes split by a wall with a door in the middle
+    createPreset('Two rooms', 6, 6, { blocked: ['v0,3', 'v1,3', 'v3,3', 'v4,3'] }),
+    // 4x4 boxes with a pre-drawn frame around the centre
+    createPreset('Framed centre', 5, 5, { lines: ['h1,1', 'h1,2', 'h3,1', 'h3,2', 'v1,1', 'v2,1', 'v1,3', 'v2,3'] })
+];
+
+/**
+ * Build a built-in layout
+ * @param {string} name - Display name
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @param {Object} shape - Any of {holes, lines, blocked}
+ * @returns {BoardLayout} Frozen layout
+ */
+function createPreset(name, rows, cols, shape) {
+    return Object.freeze({ name, rows, cols, holes: [], lines: [], blocked: [], ...shape });
+}
+
+/**
+ * List a rectangle of boxes
+ * @param {number} fromRow - First box row
+ * @param {number} toRow - Last box row
+ * @param {number} fromCol - First box column
+ * @param {number} toCol - Last box column
+ * @returns {Array} ["row,col"]
+ */
+function getBoxes(fromRow, toRow, fromCol, toCol) {
+    const boxes = [];
+    for (let row = fromRow; row <= toRow; row++) {
+        for (let col = fromCol; col <= toCol; col++) {
+            boxes.push(`${row},${col}`);
+        }
+    }
+    return boxes;
+}
+
+// ===== READING & WRITING =====
+
+/**
+ * Check a layout (from storage, the editor or pasted JSON)
+ * @param {*} data - Layout to check
+ * @returns {BoardLayout} Clean copy of the layout
+ * @throws {Error} Naming the first problem
+ */
+export function readLayout(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Not a board layout');
+    }
+
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) {
+        throw new Error('Give the board a name');
+    }
+    if (name.length > MAX_LAYOUT_NAME_LENGTH) {
+        throw new Error(`Board names can be up to ${MAX_LAYOUT_NAME_LENGTH} characters`);
+    }
+    if (!GameLogic.isValidGridSize(data.rows, data.cols)) {
+        throw new Error(`Boards need ${GameLogic.MIN_GRID_SIZE}-${GameLogic.MAX_GRID_SIZE} dots per side`);
+    }
+
+    const layout = {
+        name,
+        rows: data.rows,
+        cols: data.cols,
+        holes: data.holes || [],
+        lines: data.lines || [],
+        blocked: data.blocked || []
+    };
+    GameLogic.checkLayout(layout.rows, layout.cols, layout);
+    return { ...layout, holes: [...layout.holes], lines: [...layout.lines], blocked: [...layout.blocked] };
+}
+
+/**
+ * Read a layout written as JSON
+ * @param {string} text - JSON text
+ * @returns {BoardLayout} The layout
+ * @throws {Error} If the text is not a valid layout
+ */
+export function parseLayoutText(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('A board layout is written as JSON, e.g. {"name": "Corner", "rows": 4, "cols": 4, "holes": ["0,2"]}');
+    }
+    return readLayout(data);
+}
+
+/**
+ * Write a layout as JSON for sharing
+ * @param {BoardLayout} layout - Layout to write
+ * @returns {string} JSON text
+ */
+export function formatLayoutText(layout) {
+    const { name, rows, cols, holes, lines, blocked } = layout;
+    return JSON.stringify({ name, rows, cols, holes, lines, blocked }, null, 2);
+}
+
+/**
+ * The part of a layout a game needs (see Layout in game-logic.js)
+ * @param {BoardLayout} layout - Named layout
+ * @returns {Object} {holes, lines, blocked}
+ */
+export function getGameLayout(layout) {
+    return { holes: layout.holes, lines: layout.lines, blocked: layout.blocked };
+}
+
+// ===== EDITING =====
+
+/**
+ * An empty board to start designing from
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @param {string} name - Display name
+ * @returns {BoardLayout} Layout without holes or lines
+ */
+export function createBlankLayout(rows, cols, name = '') {
+    return { name, rows, cols, holes: [], lines: [], blocked: [] };
+}
+
+/**
+ * Cut a box out of the board, or put it back
+ * Lines left with no box beside them go too
+ * @param {BoardLayout} layout - Layout being edited (not modified)
+ * @param {number} row - Box row
+ * @param {number} col - Box column
+ * @returns {BoardLayout} Edited layout
+ */
+export function toggleHole(layout, row, col) {
+    const key = `${row},${col}`;
+    const holes = layout.holes.includes(key) ? layout.holes.filter(hole => hole !== key) : [...layout.holes, key];
+    return dropOffBoardLines({ ...layout, holes });
+}
+
+/**
+ * Step an edge through open, pre-drawn and blocked
+ * @param {BoardLayout} layout - Layout being edited (not modified)
+ * @param {Object} line - {lineType, row, col}
+ * @returns {BoardLayout} Edited layout (unchanged if the edge only borders holes)
+ */
+export function cycleLine(layout, line) {
+    const key = GameLogic.formatLineKey(line);
+    if (!isEdgeOnBoard(layout, line)) return layout;
+
+    if (layout.lines.includes(key)) {
+        return { ...layout, lines: layout.lines.filter(other => other !== key), blocked: [...layout.blocked, key] };
+    }
+    if (layout.blocked.includes(key)) {
+        return { ...layout, blocked: layout.blocked.filter(other => other !== key) };
+    }
+    return { ...layout, lines: [...layout.lines, key] };
+}
+
+/**
+ * Change the board size, dropping whatever no longer fits
+ * @param {BoardLayout} layout - Layout being edited (not modified)
+ * @param {number} rows - New number of dot rows
+ * @param {number} cols - New number of dot columns
+ * @returns {BoardLayout} Edited layout
+ */
+export function resizeLayout(layout, rows, cols) {
+    const holes = layout.holes.filter(key => {
+        const [row, col] = key.split(',').map(Number);
+        return row < rows - 1 && col < cols - 1;
+    });
+    return dropOffBoardLines({ ...layout, rows, cols, holes });
+}
+
+/**
+ * Check if an edge borders at least one box of the layout
+ * @param {BoardLayout} layout - Layout
+ * @param {Object} line - {lineType, row, col}
+ * @returns {boolean} True if the edge is on the board
+ */
+export function isEdgeOnBoard(layout, line) {
+    const board = GameLogic.createGameState(layout.rows, layout.cols, 2, [],
+        { holes: layout.holes, lines: [], blocked: [] });
+    return GameLogic.isValidMove(line.lineType, line.row, line.col, board);
+}
+
+/**
+ * Remove the pre-drawn and blocked lines that are no longer on the board
+ * @param {BoardLayout} layout - Layout (not modified)
+ * @returns {BoardLayout} Layout with only lines beside a box
+ */
+function dropOffBoardLines(layout) {
+    const onBoard = key => isEdgeOnBoard(layout, GameLogic.parseLineKey(key));
+    return { ...layout, lines: layout.lines.filter(onBoard), blocked: layout.blocked.filter(onBoard) };
+}
+
+// ===== STORAGE =====
+
+/**
+ * Every layout on offer: the built-in ones, then the saved ones by name
+ * @returns {Array} [BoardLayout & {preset}]
+ */
+export function listLayouts() {
+    const saved = Object.values(readLayouts())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(layout => ({ ...layout, preset: false }));
+    return [...PRESET_LAYOUTS.map(layout => ({ ...layout, preset: true })), ...saved];
+}
+
+/**
+ * Find a layout by name
+ * @param {string} name - Layout name
+ * @returns {BoardLayout|null} The layout, or null if there is none by that name
+ */
+export function findLayout(name) {
+    return listLayouts().find(layout => layout.name === name) || null;
+}
+
+/**
+ * Save a layout from the editor (replacing a saved one of the same name)
+ * @param {BoardLayout} layout - Layout to save
+ * @returns {BoardLayout} The layout as saved
+ * @throws {Error} If the layout is invalid, takes a built-in name or storage is unavailable
+ */
+export function saveLayout(layout) {
+    const checked = readLayout(layout);
+    if (PRESET_LAYOUTS.some(preset => preset.name.toLowerCase() === checked.name.toLowerCase())) {
+        throw new Error(`"${checked.name}" is a built-in board - choose another name`);
+    }
+
+    const layouts = readLayouts();
+    layouts[checked.name] = checked;
+    writeStorage(LAYOUTS_KEY, { version: LAYOUTS_VERSION, layouts });
+    return checked;
+}
+
+/**
+ * Delete a saved layout
+ * @param {string} name - Layout name
+ * @throws {Error} If storage is unavailable
+ */
+export function deleteLayout(name) {
+    const layouts = readLayouts();
+    delete layouts[name];
+    writeStorage(LAYOUTS_KEY, { version: LAYOUTS_VERSION, layouts });
+}
+
+/**
+ * Load the saved layouts (unreadable ones are skipped)
+ * @returns {Object} Name -> BoardLayout
+ */
+function readLayouts() {
+    const data = readStorage(LAYOUTS_KEY);
+    if (!data) return {};
+
+    if (data.version !== LAYOUTS_VERSION || !data.layouts || typeof data.layouts !== 'object') {
+        console.warn('Ignoring unreadable board layouts');
+        return {};
+    }
+
+    const layouts = {};
+    Object.values(data.layouts).forEach(saved => {
+        try {
+            const layout = readLayout(saved);
+            layouts[layout.name] = layout;
+        } catch (error) {
+            console.warn(`Ignoring unreadable board layout: ${error.message}`);
+        }
+    });
+    return layouts;
+}
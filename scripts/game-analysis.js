@@ -0,0 +1,188 @@
+// Game analysis - hints and post-game review
+// Replays a game with the strong computer player and flags the moves that cost boxes
+
+import * as GameLogic from './game-logic.js';
+import * as Engine from './game-engine.js';
+import * as AI from './ai-player.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Kinds of mistake the review points out
+export const MISTAKE_KINDS = {
+    'missed-capture': 'Left boxes for the opponent instead of taking them',
+    'lost-control': 'Took boxes in a way that gave up control of the endgame',
+    'third-side': 'Gave a box a third side while safe lines remained',
+    'opened-chain': 'Opened a longer chain or loop than necessary',
+    'parity': 'Safe line that leaves the opponent in control of the endgame'
+};
+
+/**
+ * One flagged move:
+ *
+ * @typedef {Object} Mistake
+ * @property {number} index - Position of the move in the game (0-based)
+ * @property {number} player - Player who made it
+ * @property {Object} move - Line played: {lineType, row, col}
+ * @property {Object} better - Line the computer recommends instead: {lineType, row, col}
+ * @property {string} kind - Key of MISTAKE_KINDS
+ * @property {string} description - What went wrong, for display
+ * @property {number} swing - Boxes the move cost compared with the better line
+ */
+
+// ===== HINTS =====
+
+/**
+ * Recommend a line for the player to move
+ * @param {Object} gameState - Current game state (not modified)
+ * @param {Object} rules - Rules in play (see game-engine.js)
+ * @returns {Object|null} {lineType, row, col}, or null if the game is over
+ */
+export function getHint(gameState, rules = Engine.STANDARD_RULES) {
+    const move = AI.chooseMove(gameState, 'strong', rules);
+    return move && { lineType: move.type, row: move.row, col: move.col };
+}
+
+// ===== POST-GAME ANALYSIS =====
+
+/**
+ * Check if a game can be reviewed (box values assume two players and standard rules)
+ * @param {number} playerCount - Number of players
+ * @param {Object} rules - Rules the game was played with
+ * @returns {boolean} True if analyzeGame supports the game
+ */
+export function canAnalyze(playerCount, rules) {
+    return playerCount === 2 && rules.variants.length === 0;
+}
+
+/**
+ * Walk through a game and flag every move that cost boxes
+ * @param {Array} moves - Moves in order: [{lineType, row, col}]
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @param {number} playerCount - Number of players
+ * @param {Object} rules - Rules the game was played with
+ * @param {Object|null} layout - Board shape the game was played on (see game-logic.js), or null for the full board
+ * @returns {Array} Mistakes in move order (see Mistake)
+ * @throws {Error} If the game can't be analyzed
+ */
+export function analyzeGame(moves, rows, cols, playerCount, rules = Engine.STANDARD_RULES, layout = null) {
+    if (!canAnalyze(playerCount, rules)) {
+        throw new Error('Analysis is only available for two-player games with standard rules');
+    }
+
+    const evaluation = AI.createEvaluation();
+    const mistakes = [];
+    let state = Engine.createInitialState(rows, cols, playerCount, [], layout);
+
+    moves.forEach((move, index) => {
+        const mistake = reviewMove(state, move, evaluation);
+        if (mistake) {
+            mistakes.push({ index, player: state.currentPlayer, ...mistake });
+        }
+        state = Engine.applyMove(state, move, rules).state;
+    });
+
+    return mistakes;
+}
+
+/**
+ * Compare a move with the computer's choice
+ * @param {Object} state - Position before the move
+ * @param {Object} move - Line played: {lineType, row, col}
+ * @param {Object} evaluation - Shared search data (see ai-player.js)
+ * @returns {Object|null} Mistake details without index and player, or null if the move was fine
+ */
+function reviewMove(state, move, evaluation) {
+    const better = getHint(state);
+    if (!better || isSameLine(better, move)) return null;
+
+    // Exact values where the endgame can be worked out, otherwise the boxes at stake right away
+    let played = getMoveValue(state, move, evaluation);
+    let best = getMoveValue(state, better, evaluation);
+    if (played === null || best === null) {
+        played = getMoveValue(state, move, null);
+        best = getMoveValue(state, better, null);
+    }
+
+    const swing = best - played;
+    if (swing <= 0) return null;
+
+    const { lineType, row, col } = move;
+    return { move: { lineType, row, col }, better, swing, ...describeMistake(state, move, better) };
+}
+
+/**
+ * Net boxes a move is worth to the player making it
+ * @param {Object} state - Position before the move
+ * @param {Object} move - {lineType, row, col}
+ * @param {Object|null} evaluation - Shared search data, or null to count only the boxes
+ *                                   that can be taken straight after the move
+ * @returns {number|null} Boxes won minus boxes lost, or null if the position can't be worked out
+ */
+function getMoveValue(state, move, evaluation) {
+    const { state: after, record } = Engine.applyMove(state, move);
+    const rest = evaluation ? AI.evaluatePosition(after, evaluation) : AI.captureAll(after).captured;
+    if (rest === null) return null;
+
+    // The rest of the game counts for whoever moves next
+    const keepsTurn = after.currentPlayer === record.player;
+    return record.completedBoxes.length + (keepsTurn ? rest : -rest);
+}
+
+/**
+ * Explain what kind of mistake a move was
+ * @param {Object} state - Position before the move
+ * @param {Object} move - Line played: {lineType, row, col}
+ * @param {Object} better - Recommended line: {lineType, row, col}
+ * @returns {Object} {kind, description}
+ */
+function describeMistake(state, move, better) {
+    const line = toLine(move);
+    const validMoves = GameLogic.getValidMoves(state);
+    const capturing = AI.getCapturingMoves(validMoves, state);
+    const takes = capturing.some(other => isSameLine(other, line));
+
+    let kind;
+    if (takes) {
+        kind = 'lost-control';
+    } else if (capturing.some(other => isSameLine(other, toLine(better)))) {
+        kind = 'missed-capture';
+    } else if (AI.isSafeMove(line, state)) {
+        kind = 'parity';
+    } else if (validMoves.some(other => AI.isSafeMove(other, state))) {
+        kind = 'third-side';
+    } else {
+        kind = 'opened-chain';
+
+        // Name the chain or loop that was opened
+        const opened = GameLogic.findChains(state).find(component =>
+            component.lines.some(other => isSameLine(other, line)));
+        if (opened) {
+            const shape = opened.loop ? 'loop' : 'chain';
+            return { kind, description: `Opened a ${shape} of ${opened.size} when a cheaper sacrifice was available` };
+        }
+    }
+
+    return { kind, description: MISTAKE_KINDS[kind] };
+}
+
+// ===== HELPERS =====
+
+/**
+ * Convert a move to the {type, row, col} line format used by the computer player
+ * @param {Object} move - {lineType, row, col}
+ * @returns {Object} {type, row, col}
+ */
+function toLine(move) {
+    return { type: move.lineType, row: move.row, col: move.col };
+}
+
+/**
+ * Check if two lines are the same (either line format)
+ * @param {Object} a - {lineType|type, row, col}
+ * @param {Object} b - {lineType|type, row, col}
+ * @returns {boolean} True if they match
+ */
+function isSameLine(a, b) {
+    return (a.lineType || a.type) === (b.lineType || b.type) && a.row === b.row && a.col === b.col;
+}
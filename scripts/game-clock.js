@@ -0,0 +1,173 @@
+// Game clocks - per-move and total-game time controls
+// Pure functions over a clock object; the controller runs the timer and passes in the time
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Time controls offered in game setup (times in seconds)
+// moveTime limits each line; baseTime is each player's total, topped up by increment after every line
+export const TIME_CONTROLS = {
+    'move-10': { name: '10 seconds per move', moveTime: 10, baseTime: 0, increment: 0 },
+    'move-30': { name: '30 seconds per move', moveTime: 30, baseTime: 0, increment: 0 },
+    'blitz-1': { name: '1 minute', moveTime: 0, baseTime: 60, increment: 0 },
+    'blitz-3+2': { name: '3 minutes + 2 seconds per move', moveTime: 0, baseTime: 180, increment: 2 },
+    'rapid-5+3': { name: '5 minutes + 3 seconds per move', moveTime: 0, baseTime: 300, increment: 3 },
+    'rapid-10': { name: '10 minutes', moveTime: 0, baseTime: 600, increment: 0 }
+};
+
+// What happens when a player runs out of time
+export const TIMEOUT_ACTIONS = {
+    forfeit: 'Forfeit the game',
+    random: 'Play a random line'
+};
+
+// Time left below which a clock is shown as running low (ms)
+export const LOW_TIME = 5000;
+
+// Times under this are shown to the tenth of a second (ms)
+const TENTHS_BELOW = 10000;
+
+/**
+ * A clock for one game:
+ *
+ * @typedef {Object} Clock
+ * @property {string} timeControl - Key of TIME_CONTROLS
+ * @property {string} onTimeout - Key of TIMEOUT_ACTIONS
+ * @property {Array|null} remaining - Total time left per player in ms (null without a total time)
+ * @property {number} turnElapsed - Time used on the current move before the last pause (ms)
+ * @property {number|null} runningSince - When the clock last started running, or null while stopped
+ */
+
+// ===== CREATE =====
+
+/**
+ * Create a stopped clock
+ * @param {string} timeControl - Key of TIME_CONTROLS
+ * @param {string} onTimeout - Key of TIMEOUT_ACTIONS
+ * @param {number} playerCount - Number of players
+ * @param {Array} remaining - Total time left per player in ms (defaults to the full base time)
+ * @returns {Clock} New clock
+ * @throws {Error} If the settings are unknown or the times don't fit
+ */
+export function createClock(timeControl, onTimeout, playerCount, remaining = null) {
+    if (!Object.hasOwn(TIME_CONTROLS, timeControl)) {
+        throw new Error(`Unknown time control: ${timeControl}`);
+    }
+    if (!Object.hasOwn(TIMEOUT_ACTIONS, onTimeout)) {
+        throw new Error(`Unknown timeout action: ${onTimeout}`);
+    }
+
+    const { baseTime } = TIME_CONTROLS[timeControl];
+    if (baseTime > 0 && remaining !== null) {
+        const valid = Array.isArray(remaining) && remaining.length === playerCount &&
+                      remaining.every(time => Number.isFinite(time) && time >= 0);
+        if (!valid) {
+            throw new Error('Invalid clock times');
+        }
+    }
+
+    return {
+        timeControl,
+        onTimeout,
+        remaining: baseTime > 0 ? (remaining || new Array(playerCount).fill(baseTime * 1000)) : null,
+        turnElapsed: 0,
+        runningSince: null
+    };
+}
+
+// ===== RUNNING THE CLOCK =====
+
+/**
+ * Start timing a new move
+ * @param {Clock} clock - Game clock
+ * @param {number} now - Current time in ms
+ * @returns {Clock} Running clock
+ */
+export function startMove(clock, now) {
+    return { ...clock, turnElapsed: 0, runningSince: now };
+}
+
+/**
+ * Stop the clock without losing the time already used on this move
+ * @param {Clock} clock - Game clock
+ * @param {number} now - Current time in ms
+ * @returns {Clock} Stopped clock
+ */
+export function pauseClock(clock, now) {
+    if (clock.runningSince === null) return clock;
+    return { ...clock, turnElapsed: getMoveElapsed(clock, now), runningSince: null };
+}
+
+/**
+ * Start a paused clock again
+ * @param {Clock} clock - Game clock
+ * @param {number} now - Current time in ms
+ * @returns {Clock} Running clock
+ */
+export function resumeClock(clock, now) {
+    if (clock.runningSince !== null) return clock;
+    return { ...clock, runningSince: now };
+}
+
+/**
+ * Charge the move just played to the player who made it and add the increment
+ * @param {Clock} clock - Game clock
+ * @param {number} player - Player who moved
+ * @param {number} now - Current time in ms
+ * @returns {Clock} Stopped clock
+ */
+export function finishMove(clock, player, now) {
+    const stopped = { ...pauseClock(clock, now), turnElapsed: 0 };
+    if (!clock.remaining) return stopped;
+
+    const { increment } = TIME_CONTROLS[clock.timeControl];
+    const remaining = [...clock.remaining];
+    remaining[player - 1] = Math.max(0, remaining[player - 1] - getMoveElapsed(clock, now)) + increment * 1000;
+    return { ...stopped, remaining };
+}
+
+/**
+ * Time used on the current move so far
+ * @param {Clock} clock - Game clock
+ * @param {number} now - Current time in ms
+ * @returns {number} Elapsed ms
+ */
+function getMoveElapsed(clock, now) {
+    return clock.turnElapsed + (clock.runningSince === null ? 0 : now - clock.runningSince);
+}
+
+// ===== READING THE CLOCK =====
+
+/**
+ * Time left for every player, with the current move's time taken off the player to move
+ * @param {Clock} clock - Game clock
+ * @param {number} currentPlayer - Player to move
+ * @param {number} now - Current time in ms
+ * @returns {Object} {move: ms left for this move or null, totals: [ms left per player] or null,
+ *                    limit: ms until the player to move runs out}
+ */
+export function getTimeLeft(clock, currentPlayer, now) {
+    const { moveTime } = TIME_CONTROLS[clock.timeControl];
+    const elapsed = getMoveElapsed(clock, now);
+
+    const move = moveTime > 0 ? Math.max(0, moveTime * 1000 - elapsed) : null;
+    const totals = clock.remaining && clock.remaining.map((time, index) =>
+        (index + 1 === currentPlayer ? Math.max(0, time - elapsed) : time)
+    );
+    const limits = [move, totals && totals[currentPlayer - 1]].filter(time => time !== null);
+
+    return { move, totals, limit: Math.min(...limits) };
+}
+
+/**
+ * Format a time for display
+ * @param {number} ms - Time in ms
+ * @returns {string} e.g. "2:05", or "9.4" under ten seconds
+ */
+export function formatClockTime(ms) {
+    if (ms < TENTHS_BELOW) {
+        return (Math.floor(ms / 100) / 10).toFixed(1);
+    }
+
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -2,6 +2,22 @@
 // Manages game state, handles moves, switches turns
 
 import * as GameLogic from './game-logic.js';
+import * as Engine from './game-engine.js';
+import * as AI from './ai-player.js';
+import * as Analysis from './game-analysis.js';
+import * as Clock from './game-clock.js';
+import * as Notation from './game-notation.js';
+import * as Description from './board-description.js';
+import * as BoardImage from './board-image.js';
+import * as Themes from './themes.js';
+import { createTransport, isValidMessage, MESSAGE_TYPES } from './transport.js';
+import * as Storage from './storage.js';
+import * as Profiles from './profiles.js';
+import * as Ratings from './ratings.js';
+import * as Tournaments from './tournaments.js';
+import * as Puzzles from './puzzles.js';
+import * as Solver from './solver.js';
+import { generateRoomCode, isHexColor } from './utils.js';
 import * as Renderer from './renderer.js';
 import * as UI from './ui-controller.js';
 
@@ -9,130 +25,1859 @@ import * as UI from './ui-controller.js';
 
 let gameState = null;
 
-// Player colors
-let player1Color = '#C65D3B';  // Default terracotta
-let player2Color = '#4A6FA5';  // Default steel blue
+// Rules of the current game (see RULE_VARIANTS in game-engine.js)
+let rules = Engine.STANDARD_RULES;
+
+// Move history for undo/redo: [{lineType, row, col, player, completedBoxes}]
+let moveHistory = [];
+let redoStack = [];
+let undoEnabled = true;
+
+// Players in turn order: [{name, color, label, difficulty}]
+// difficulty is null for humans, otherwise the AI level playing that seat
+let players = [];
+
+// Time control for local games: {timeControl, onTimeout} (see game-clock.js), or null for untimed games
+let timeControl = null;
+
+// Clock of the current game (null when untimed) and the timer that watches it
+const CLOCK_TICK = 200;  // ms between clock display updates
+let clock = null;
+let clockInterval = null;
+
+// Reasons the clock is paused ('settings', 'hidden'); it only runs while there are none
+const clockPauses = new Set();
+
+// Training overlay showing chains, loops and safe lines (see game-logic.js analyzeBoard)
+let chainOverlay = false;
+
+// Line the player to move is pointing at, and the line recommended by the hint button
+// ({lineType, row, col}, or null); both are cleared by the next move
+let preview = null;
+let hint = null;
+
+// Exact value of every undrawn line in the position on screen (see solver.js solvePosition), or null;
+// cleared by the next move
+let evaluation = null;
+
+// Keyboard cursor: the line slot Enter draws ({lineType, row, col}), shown while the board has focus
+let cursor = { lineType: 'horizontal', row: 0, col: 0 };
+let boardFocused = false;
+
+// Display settings: {theme, patterns} (see themes.js)
+let display = { theme: Themes.DEFAULT_THEME, patterns: false };
+
+// Computer players
+const COMPUTER_MOVE_DELAY = 600;  // ms, so humans can follow the computer's moves
+let computerMoveTimeout = null;
+
+// Online session (null for local games)
+// {transport, localPlayer, isHost, rows, cols, colors, variants, rematch: {local, remote}}
+let onlineSession = null;
+
+// Replay of a recorded game (null when not replaying)
+// {moves: [{lineType, row, col, player, completedBoxes}], position, autoplayTimeout, returnTo,
+//  mistakes: flagged moves when reviewing the game (see game-analysis.js), otherwise null}
+let replay = null;
+let replayDelay = 1000;  // ms between moves when autoplaying (1x speed)
+const ANALYSIS_DELAY = 50;  // ms, so the "Analyzing" message shows before the work starts
+
+// Tournament game being played (see tournaments.js getNextGame): {index, first, second, createdAt}
+// with createdAt identifying the tournament; null for other games
+let tournamentGame = null;
+
+// Puzzle being solved (see puzzles.js): {puzzle, status: 'open', 'solved' or 'failed', margin, revealed}
+// with margin the result the player can still reach, and revealed set once the solution was shown;
+// null for other games
+let puzzleGame = null;
+
+// Who opens each new game of the session (see FIRST_PLAYER_OPTIONS in game-engine.js)
+let firstPlayer = 'fixed';
+
+// Custom board shape of the game (see board-layouts.js), or null for the full board
+let layout = null;
 
 // Session stats (persists across games in same session)
+// wins are keyed by player name, since the turn order changes when players take turns to start
 let sessionStats = {
     gamesPlayed: 0,
-    player1Wins: 0,
-    player2Wins: 0,
+    wins: {},
     ties: 0
 };
 
+// What the game over screen showed for the game just finished ({rules, profiles, ratingChanges, tournament}),
+// so it comes back the same after a replay; null until the game ends
+let gameOverDetails = null;
+
 // ===== PUBLIC API =====
 
 /**
  * Start a new local game
- * @param {number} gridSize - Grid size (3, 5, or 7)
- * @param {string} p1Color - Player 1's color
- * @param {string} p2Color - Player 2's color
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @param {Array} playerConfigs - 2-6 players in turn order: [{name, color, difficulty, headStart}]
+ *                                (difficulty null for humans, headStart in points, 0 by default)
+ * @param {Object} options - Game options
+ * @param {boolean} options.allowUndo - False for "serious" games without undo/redo (timed games never have it)
+ * @param {Array} options.variants - Rule variant ids (none for standard rules)
+ * @param {string} options.timeControl - Time control id (see game-clock.js); none for an untimed game
+ * @param {string} options.onTimeout - What happens when a player runs out of time ('forfeit' or 'random')
+ * @param {string} options.firstPlayer - Who opens each game (see FIRST_PLAYER_OPTIONS in game-engine.js);
+ *                                       player 1 always does by default
+ * @param {Object} options.layout - Custom board shape for a rows x cols board (see board-layouts.js);
+ *                                  none for the full board
+ */
+export function startLocalGame(rows, cols, playerConfigs, options = {}) {
+    // Check the time control and who starts before leaving the current game
+    if (options.timeControl) {
+        Clock.createClock(options.timeControl, options.onTimeout || 'forfeit', playerConfigs.length);
+    }
+    const opener = Engine.chooseFirstPlayer(options.firstPlayer || 'fixed', playerConfigs.length, null);
+    if (options.layout) {
+        GameLogic.checkLayout(rows, cols, options.layout);
+    }
+
+    leaveOnlineSession();
+    cancelPuzzle();
+    tournamentGame = null;
+    firstPlayer = options.firstPlayer || 'fixed';
+    layout = options.layout || null;
+    players = rotatePlayers(createPlayers(playerConfigs), opener);
+    rules = Engine.getVariantRules(options.variants || []);
+    undoEnabled = options.allowUndo !== false && !options.timeControl;
+    timeControl = options.timeControl
+        ? { timeControl: options.timeControl, onTimeout: options.onTimeout || 'forfeit' }
+        : null;
+    startGame(rows, cols);
+}
+
+/**
+ * Fill in names and box labels for the players
+ * @param {Array} playerConfigs - [{name, color, difficulty, headStart}]
+ * @returns {Array} Players: [{name, color, label, difficulty, headStart, anonymous}]; anonymous players
+ *                  go by the default name of their seat here, which stays with them when the seats rotate
+ */
+function createPlayers(playerConfigs) {
+    const created = playerConfigs.map((config, index) => {
+        const difficulty = config.difficulty || null;
+        const fallbackName = difficulty ? `Computer (${AI.DIFFICULTIES[difficulty]})` : `Player ${index + 1}`;
+        const name = (config.name || '').trim() || fallbackName;
+
+        return {
+            name,
+            color: config.color,
+            label: getInitials(name),
+            difficulty,
+            headStart: config.headStart || 0,
+            anonymous: name === fallbackName
+        };
+    });
+
+    // Box labels must tell players apart; fall back to P1, P2, ...
+    const labels = created.map(player => player.label);
+    if (new Set(labels).size !== labels.length || labels.includes('')) {
+        created.forEach((player, index) => { player.label = `P${index + 1}`; });
+    }
+
+    return created;
+}
+
+/**
+ * Check if a name is one the game gives out (an unnamed player's or a computer's)
+ * @param {string} name - Player name
+ * @returns {boolean} True for "Player N" and "Computer (level)"
+ */
+function isDefaultName(name) {
+    const defaults = Object.values(AI.DIFFICULTIES).map(level => `Computer (${level})`);
+    return /^Player \d+$/.test(name) || defaults.includes(name);
+}
+
+/**
+ * Seat another player first; the turn order carries on round from them
+ * @param {Array} list - Players in turn order
+ * @param {number} seat - 0-based seat of the player who opens
+ * @returns {Array} Players in the new turn order
+ */
+function rotatePlayers(list, seat) {
+    return [...list.slice(seat), ...list.slice(0, seat)];
+}
+
+/**
+ * Short label for a player's boxes ("Ada Lovelace" -> "AL")
+ * @param {string} name - Player name
+ * @returns {string} Up to two initials
+ */
+function getInitials(name) {
+    return name
+        .split(/\s+/)
+        .filter(word => /^[\p{L}\p{N}]/u.test(word))
+        .slice(0, 2)
+        .map(word => [...word][0].toUpperCase())
+        .join('');
+}
+
+/**
+ * Create a fresh game and show it (shared by all game modes)
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
  */
-export function startLocalGame(gridSize, p1Color, p2Color) {
-    player1Color = p1Color;
-    player2Color = p2Color;
+function startGame(rows, cols) {
+    cancelComputerMove();
+    cancelReplay();
 
     // Create game state
-    gameState = GameLogic.createGameState(gridSize);
+    gameState = Engine.createInitialState(rows, cols, players.length,
+        players.map(player => player.headStart), layout);
+    moveHistory = [];
+    redoStack = [];
+    clock = timeControl && Clock.createClock(timeControl.timeControl, timeControl.onTimeout, players.length);
+
+    showGame();
+}
+
+/**
+ * Continue a saved local game
+ * @param {Object} snapshot - Saved game (see storage.js)
+ */
+function restoreGame(snapshot) {
+    cancelComputerMove();
+    cancelReplay();
+    leaveOnlineSession();
+    cancelPuzzle();
+
+    tournamentGame = getResumedTournamentGame(snapshot.tournamentGame || null);
+    firstPlayer = snapshot.firstPlayer || 'fixed';
+    layout = GameLogic.getLayout(snapshot.gameState);
+    players = snapshot.players.map((player, index) =>
+        ({ ...player, headStart: snapshot.gameState.headStart[`player${index + 1}`] }));
+    rules = snapshot.rules;
+    undoEnabled = snapshot.allowUndo && !snapshot.clock;  // older saves may have both
+    gameState = snapshot.gameState;
+    moveHistory = snapshot.moveHistory;
+    redoStack = snapshot.redoStack;
+    clock = snapshot.clock;
+    timeControl = clock && { timeControl: clock.timeControl, onTimeout: clock.onTimeout };
+
+    showGame();
+}
+
+/**
+ * Draw the current game and bring up the game area
+ */
+function showGame() {
+    preview = null;
+    hint = null;
+    gameOverDetails = null;
+    clearEvaluation();
+    cursor = { lineType: 'horizontal', row: 0, col: 0 };
 
     // Initialize renderer
-    Renderer.initCanvas(gridSize);
-    Renderer.drawGame(gameState, player1Color, player2Color);
+    Renderer.initCanvas(gameState.rows, gameState.cols);
+    UI.updateZoomButton(false);
+    drawBoard();
 
     // Update UI
+    UI.setPlayers(players);
+    UI.setRules(rules);
     UI.showGameArea();
-    UI.updateGameInfo(gameState, player1Color, player2Color);
+    UI.updateGameInfo(gameState, players);
+    updateUndoControls();
+    startClock();
+    autosave();
+
+    // A computer may be seated first (or was about to move when the game was saved)
+    if (isComputerTurn()) {
+        scheduleComputerMove();
+    }
 }
 
 /**
- * Handle a move
+ * Handle a move from the human player(s)
  * @param {string} lineType - 'horizontal' or 'vertical'
  * @param {number} row - Row coordinate
  * @param {number} col - Column coordinate
  */
 export function handleMove(lineType, row, col) {
-    if (!gameState || gameState.gameOver) return;
+    if (!gameState || gameState.gameOver || replay) return;
 
-    // Validate move
-    if (!GameLogic.isValidMove(lineType, row, col, gameState)) {
+    // A solved or failed puzzle waits for Retry or the next puzzle
+    if (isPuzzleOver()) return;
+
+    // Ignore clicks while the computer is thinking
+    if (isComputerTurn()) return;
+
+    // Online: only move on your own turn
+    if (onlineSession && gameState.currentPlayer !== onlineSession.localPlayer) {
+        UI.showFeedback("Wait for your opponent's move");
+        return;
+    }
+
+    if (!playMove(lineType, row, col)) {
         UI.showFeedback('Invalid move!');
         return;
     }
 
-    const currentPlayer = gameState.currentPlayer;
+    if (onlineSession) {
+        onlineSession.transport.send({ type: MESSAGE_TYPES.MOVE, lineType, row, col });
+    }
+}
+
+/**
+ * Validate and apply a move for the current player
+ * @param {string} lineType - 'horizontal' or 'vertical'
+ * @param {number} row - Row coordinate
+ * @param {number} col - Column coordinate
+ * @returns {boolean} True if the move was valid and applied
+ */
+function playMove(lineType, row, col) {
+    if (!gameState || gameState.gameOver) return false;
+
+    // Validate move
+    const move = { lineType, row, col };
+    if (!Engine.isLegalMove(gameState, move, rules)) {
+        return false;
+    }
+
+    // Apply move and record it (a new move invalidates the redo stack)
+    const { state, record } = Engine.applyMove(gameState, move, rules);
+    gameState = state;
+    moveHistory.push(record);
+    redoStack = [];
+    if (clock) {
+        clock = Clock.finishMove(clock, record.player, Date.now());
+    }
+
+    afterMove(record);
+    return true;
+}
 
-    // Apply move
-    const completedBoxes = GameLogic.applyMove(lineType, row, col, currentPlayer, gameState);
+/**
+ * Redraw and hand over to whoever moves next
+ * @param {Object|null} record - Move just played (its boxes are animated and it is announced),
+ *                              or null after undo, redo or a forfeit
+ */
+function afterMove(record = null) {
+    preview = null;
+    hint = null;
+    clearEvaluation();
+    if (puzzleGame) updatePuzzle();
 
     // Redraw with current colors
-    Renderer.drawGame(gameState, player1Color, player2Color);
+    drawBoard({ animateBoxes: record ? record.completedBoxes : [] });
 
     // Update UI
-    UI.updateGameInfo(gameState, player1Color, player2Color);
+    UI.updateGameInfo(gameState, players, record);
+    updateUndoControls();
+    startClock();
+    autosave();
 
-    // Check if game over
-    if (gameState.gameOver) {
+    // Check if game over (puzzles end when they are solved or failed)
+    if (puzzleGame) {
+        if (!isPuzzleOver() && isComputerTurn()) scheduleComputerMove();
+    } else if (gameState.gameOver) {
         handleGameOver();
+    } else if (isComputerTurn()) {
+        scheduleComputerMove();
     }
 }
 
+// ===== UNDO / REDO =====
+
 /**
- * Handle game over
+ * Check if undo/redo is allowed in the current game
+ * @returns {boolean} True if undo/redo can be used
  */
-function handleGameOver() {
-    // Update session stats
-    sessionStats.gamesPlayed++;
-    if (gameState.winner === 1) {
-        sessionStats.player1Wins++;
-    } else if (gameState.winner === 2) {
-        sessionStats.player2Wins++;
+function isUndoAllowed() {
+    return undoEnabled && !onlineSession && gameState !== null && !gameState.gameOver;
+}
+
+/**
+ * Take back the last move (against the computer, back to a human's last move)
+ */
+export function undo() {
+    if (!isUndoAllowed() || moveHistory.length === 0) return;
+
+    cancelComputerMove();
+
+    do {
+        const move = moveHistory.pop();
+        gameState = Engine.undoMove(gameState, move);
+        redoStack.push(move);
+    } while (moveHistory.length > 0 && isComputerTurn());
+
+    afterMove();
+}
+
+/**
+ * Replay the last undone move (against the computer, including its replies)
+ */
+export function redo() {
+    if (!isUndoAllowed() || redoStack.length === 0) return;
+
+    cancelComputerMove();
+
+    do {
+        const move = redoStack.pop();
+        gameState = Engine.applyMove(gameState, move, rules).state;
+        moveHistory.push(move);
+    } while (redoStack.length > 0 && isComputerTurn());
+
+    afterMove();
+}
+
+/**
+ * Refresh the undo/redo, hint and evaluate buttons (hints come with undo, for learning games)
+ */
+function updateUndoControls() {
+    UI.updateUndoButtons(
+        undoEnabled && !onlineSession,
+        isUndoAllowed() && moveHistory.length > 0,
+        isUndoAllowed() && redoStack.length > 0
+    );
+    UI.updateHintButton(undoEnabled && !onlineSession, isUndoAllowed() && !isComputerTurn());
+    UI.updateChainOverlayToggle(isChainOverlayAllowed(), chainOverlay);
+    UI.updateEvaluateButton(isEvaluationAllowed(),
+                            isUndoAllowed() && !isComputerTurn() && Solver.canSolve(gameState, rules));
+}
+
+// ===== HINTS & ANALYSIS =====
+
+/**
+ * Draw the board with the last move, the line being pointed at, any hint or evaluation,
+ * and the chain overlay when it is switched on
+ * @param {Object} options - Extra drawing options (see renderer.js drawGame); replays pass their own lastMove
+ */
+function drawBoard(options = {}) {
+    const overlay = chainOverlay && isChainOverlayAllowed() ? GameLogic.analyzeBoard(gameState) : null;
+    const lastMove = replay ? null : moveHistory[moveHistory.length - 1] || null;
+    const previewLine = preview && { ...preview, player: gameState.currentPlayer };
+    const focus = boardFocused && !replay ? cursor : null;
+    const lineValues = evaluation ? evaluation.moves : null;
+    Renderer.drawGame(gameState, players,
+                      { lastMove, preview: previewLine, hint, cursor: focus, lineValues, ...options, overlay });
+}
+
+/**
+ * Show which line a click or tap would draw (hovering with a mouse, or pressing on a touch screen)
+ * @param {Object|null} line - Line under the pointer from renderer.js detectLineClick ({type, row, col}),
+ *                             or null when the pointer leaves the board
+ */
+export function previewLine(line) {
+    const allowed = line !== null && canMoveHere() &&
+                    Engine.isLegalMove(gameState, { lineType: line.type, row: line.row, col: line.col }, rules);
+    const next = allowed ? { lineType: line.type, row: line.row, col: line.col } : null;
+
+    const same = next === preview ||
+                 (next && preview && next.lineType === preview.lineType &&
+                  next.row === preview.row && next.col === preview.col);
+    if (same) return;
+
+    preview = next;
+    drawBoard();
+}
+
+/**
+ * Get the line being previewed (touch screens draw it when the finger is lifted)
+ * @returns {Object|null} {lineType, row, col}, or null
+ */
+export function getPreviewLine() {
+    return preview && { ...preview };
+}
+
+/**
+ * Check if the local player may draw a line now
+ * @returns {boolean} True on a human's turn in a game in progress
+ */
+function canMoveHere() {
+    return gameState !== null && !gameState.gameOver && !replay && !isComputerTurn() && !isPuzzleOver() &&
+           (!onlineSession || gameState.currentPlayer === onlineSession.localPlayer);
+}
+
+/**
+ * Check if the chain overlay may be shown (replays, and local games with hints)
+ * @returns {boolean} True if the overlay can be switched on
+ */
+function isChainOverlayAllowed() {
+    return replay !== null || (undoEnabled && !onlineSession);
+}
+
+/**
+ * Switch the chain overlay on or off
+ * @param {boolean} enabled - True to show chains, loops and safe lines
+ */
+export function setChainOverlay(enabled) {
+    chainOverlay = enabled;
+    if (!gameState) return;
+
+    if (replay) {
+        showReplayPosition();
     } else {
-        sessionStats.ties++;
+        drawBoard();
     }
+}
 
-    // Show game over modal
-    // DON'T close connection - allow rematch with same opponent!
-    UI.showGameOver(gameState, sessionStats);
+/**
+ * Mark a recommended line for the player to move (until the next move)
+ */
+export function showHint() {
+    if (!isUndoAllowed() || replay || isComputerTurn()) return;
+
+    hint = Analysis.getHint(gameState, rules);
+    drawBoard();
 }
 
 /**
- * Restart the game with same settings
+ * Check if positions may be evaluated in this game: two-player standard games with hints, outside puzzles
+ * @returns {boolean} True if the evaluate button should be offered
  */
-export function restartGame() {
-    const gridSize = gameState.gridSize;
-    startLocalGame(gridSize, player1Color, player2Color);
+function isEvaluationAllowed() {
+    return undoEnabled && !onlineSession && !puzzleGame && players.length === 2 && rules.variants.length === 0;
 }
 
 /**
- * Change player colors mid-game
- * @param {string} p1Color - New Player 1 color
- * @param {string} p2Color - New Player 2 color
+ * Work out the exact value of every line the player to move could draw (until the next move)
  */
-export function changeColors(p1Color, p2Color) {
-    player1Color = p1Color;
-    player2Color = p2Color;
+export function evaluatePosition() {
+    if (!isEvaluationAllowed() || !isUndoAllowed() || replay || isComputerTurn()) return;
+    if (!Solver.canSolve(gameState, rules)) {
+        UI.showError(`Positions can be evaluated once ${Solver.MAX_SOLVER_LINES} or fewer lines are left`);
+        return;
+    }
 
-    // Redraw everything with new colors
+    const position = gameState;
+    UI.showFeedback('Evaluating the position...');
+
+    setTimeout(() => {
+        if (gameState !== position || replay) return;
+
+        try {
+            evaluation = Solver.solvePosition(gameState, rules);
+        } catch (error) {
+            UI.showError(error.message);
+            return;
+        }
+
+        drawBoard();
+        UI.showEvaluation(evaluation, players, gameState.currentPlayer);
+    }, ANALYSIS_DELAY);
+}
+
+/**
+ * Forget the evaluation once the position changes
+ */
+function clearEvaluation() {
+    if (evaluation === null) return;
+
+    evaluation = null;
+    UI.showEvaluation(null);
+}
+
+/**
+ * Review the game that just finished: the replay viewer steps through the flagged moves
+ */
+export function startAnalysis() {
+    if (!gameState || !gameState.gameOver || moveHistory.length === 0 || replay || puzzleGame) return;
+
+    const finished = gameState;
+    UI.showFeedback('Analyzing the game...');
+
+    setTimeout(() => {
+        if (gameState !== finished || replay) return;
+
+        let mistakes;
+        try {
+            mistakes = Analysis.analyzeGame(moveHistory, gameState.rows, gameState.cols, players.length, rules, layout);
+        } catch (error) {
+            UI.showError(error.message);
+            return;
+        }
+
+        cancelComputerMove();
+        beginReplay(gameState.rows, gameState.cols, moveHistory, { gameState, moveHistory, redoStack }, mistakes);
+    }, ANALYSIS_DELAY);
+}
+
+// ===== KEYBOARD & SCREEN READERS =====
+
+/**
+ * Show or hide the keyboard cursor as the board gains or loses focus
+ * @param {boolean} focused - True if the board has keyboard focus
+ */
+export function setBoardFocus(focused) {
+    boardFocused = focused;
+    if (!gameState || replay) return;
+
+    drawBoard();
+    if (focused) {
+        UI.announce(Description.describeSlot(cursor, gameState, players));
+    }
+}
+
+/**
+ * Move the keyboard cursor to the next line slot and announce it
+ * Left and right follow lines of the same direction; up and down alternate between
+ * horizontal and vertical lines: h(r,c) -> v(r,c) -> h(r+1,c)
+ * @param {string} direction - 'up', 'down', 'left' or 'right'
+ */
+export function moveCursor(direction) {
+    if (!gameState || replay) return;
+
+    cursor = getNextSlot(cursor, direction, gameState.rows, gameState.cols);
+    drawBoard();
+    UI.announce(Description.describeSlot(cursor, gameState, players));
+}
+
+/**
+ * Find the line slot next to another one
+ * @param {Object} slot - {lineType, row, col}
+ * @param {string} direction - 'up', 'down', 'left' or 'right'
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @returns {Object} Neighbouring slot, or the same slot at the edge of the board
+ */
+function getNextSlot(slot, direction, rows, cols) {
+    const { lineType, row, col } = slot;
+    const horizontal = lineType === 'horizontal';
+
+    switch (direction) {
+        case 'left':
+            return { lineType, row, col: Math.max(0, col - 1) };
+        case 'right':
+            return { lineType, row, col: Math.min(horizontal ? cols - 2 : cols - 1, col + 1) };
+        case 'down':
+            if (!horizontal) return { lineType: 'horizontal', row: row + 1, col: Math.min(col, cols - 2) };
+            return row < rows - 1 ? { lineType: 'vertical', row, col } : slot;
+        case 'up':
+            if (!horizontal) return { lineType: 'horizontal', row, col: Math.min(col, cols - 2) };
+            return row > 0 ? { lineType: 'vertical', row: row - 1, col } : slot;
+        default:
+            return slot;
+    }
+}
+
+/**
+ * Draw the line under the keyboard cursor
+ */
+export function drawCursorLine() {
+    if (!gameState || replay) return;
+
+    const lines = cursor.lineType === 'horizontal' ? gameState.horizontalLines : gameState.verticalLines;
+    if (lines.has(`${cursor.row},${cursor.col}`)) {
+        UI.announce('That line is already drawn');
+        return;
+    }
+    handleMove(cursor.lineType, cursor.row, cursor.col);
+}
+
+/**
+ * Show or hide the text description of the board
+ */
+export function toggleBoardDescription() {
     if (gameState) {
-        Renderer.drawGame(gameState, player1Color, player2Color);
-        UI.updateGameInfo(gameState, player1Color, player2Color);
+        UI.toggleBoardDescription(gameState, players);
     }
 }
 
+// ===== COMPUTER PLAYERS =====
+
 /**
- * Quit current game and return to menu
+ * Check if a computer player is due to move
+ * @returns {boolean} True if it's a computer's turn
  */
-export function quitGame() {
+function isComputerTurn() {
+    return gameState !== null &&
+           !gameState.gameOver &&
+           players[gameState.currentPlayer - 1].difficulty !== null;
+}
+
+/**
+ * Let the computer play after a short delay
+ */
+function scheduleComputerMove() {
+    cancelComputerMove();
+
+    computerMoveTimeout = setTimeout(() => {
+        computerMoveTimeout = null;
+        if (!isComputerTurn()) return;
+
+        // Puzzles are checked against perfect play, so the computer replies with the solver's line
+        if (puzzleGame) {
+            const [reply] = Puzzles.getSolutionMoves(gameState);
+            playMove(reply.lineType, reply.row, reply.col);
+            return;
+        }
+
+        const move = AI.chooseMove(gameState, players[gameState.currentPlayer - 1].difficulty, rules);
+        if (move) {
+            playMove(move.type, move.row, move.col);
+        }
+    }, COMPUTER_MOVE_DELAY);
+}
+
+/**
+ * Cancel a pending computer move (restart, quit)
+ */
+function cancelComputerMove() {
+    if (computerMoveTimeout) {
+        clearTimeout(computerMoveTimeout);
+        computerMoveTimeout = null;
+    }
+}
+
+// ===== GAME CLOCK =====
+
+/**
+ * Start timing the player to move (stops the clock once the game is over)
+ */
+function startClock() {
+    stopClockTimer();
+
+    if (clock && !gameState.gameOver && !replay) {
+        const now = Date.now();
+        clock = Clock.startMove(clock, now);
+        if (clockPauses.size > 0) {
+            clock = Clock.pauseClock(clock, now);
+        }
+        clockInterval = setInterval(checkClock, CLOCK_TICK);
+    }
+    updateClockDisplay();
+}
+
+/**
+ * Stop watching the clock (quit, new game, replay)
+ */
+function stopClockTimer() {
+    if (clockInterval) {
+        clearInterval(clockInterval);
+        clockInterval = null;
+    }
+}
+
+/**
+ * Show the clocks, or hide them for untimed games and replays
+ */
+function updateClockDisplay() {
+    const timeLeft = clock && !replay ? Clock.getTimeLeft(clock, gameState.currentPlayer, Date.now()) : null;
+    UI.updateClocks(timeLeft, gameState.gameOver ? null : gameState.currentPlayer);
+}
+
+/**
+ * Timer tick: refresh the clocks and act when the player to move runs out of time
+ */
+function checkClock() {
+    if (!clock || !gameState || gameState.gameOver) return;
+
+    if (Clock.getTimeLeft(clock, gameState.currentPlayer, Date.now()).limit > 0) {
+        updateClockDisplay();
+        return;
+    }
+
+    const player = gameState.currentPlayer;
+    const { name } = players[player - 1];
+    cancelComputerMove();
+
+    if (clock.onTimeout === 'random') {
+        const moves = Engine.getLegalMoves(gameState, rules);
+        const move = moves[Math.floor(Math.random() * moves.length)];
+        UI.showFeedback(`${name} ran out of time - a random line was played`);
+        playMove(move.lineType, move.row, move.col);
+        return;
+    }
+
+    clock = Clock.finishMove(clock, player, Date.now());
+    gameState = Engine.forfeitGame(gameState, player, rules);
+    redoStack = [];
+    UI.showFeedback(`${name} ran out of time`);
+    afterMove();
+}
+
+/**
+ * Pause the clock (the game is hidden or covered)
+ * The time used so far is saved, in case the tab is being closed
+ * @param {string} reason - Why, so overlapping pauses are undone separately
+ */
+export function pauseClock(reason) {
+    clockPauses.add(reason);
+
+    if (clock) {
+        clock = Clock.pauseClock(clock, Date.now());
+        autosave();
+    }
+}
+
+/**
+ * Undo a pause; the clock runs again once nothing else is pausing it
+ * @param {string} reason - Reason passed to pauseClock
+ */
+export function resumeClock(reason) {
+    clockPauses.delete(reason);
+
+    if (clock && clockInterval && clockPauses.size === 0) {
+        clock = Clock.resumeClock(clock, Date.now());
+    }
+}
+
+// ===== SAVED GAMES =====
+
+/**
+ * Everything needed to restore the current game
+ * @returns {Object} Snapshot (see storage.js)
+ */
+function getSnapshot() {
+    return {
+        gameState,
+        players,
+        rules,
+        allowUndo: undoEnabled,
+        moveHistory,
+        redoStack,
+        clock,
+        firstPlayer,
+        tournamentGame
+    };
+}
+
+/**
+ * Check if the current game can be saved (local, not a puzzle and still in progress)
+ * @returns {boolean} True if there is a game to save
+ */
+export function canSaveGame() {
+    return gameState !== null && !gameState.gameOver && !onlineSession && !replay && !puzzleGame;
+}
+
+/**
+ * Keep the automatic save in step with the game (finished games are forgotten)
+ */
+function autosave() {
+    if (onlineSession || replay || puzzleGame || !gameState) return;
+
+    if (gameState.gameOver) {
+        Storage.clearAutosave();
+    } else {
+        Storage.saveAutosave(getSnapshot());
+    }
+}
+
+/**
+ * Show the main menu, offering to resume an unfinished game
+ */
+export function showMenu() {
+    const snapshot = Storage.loadAutosave();
+    UI.showMenu(snapshot ? Storage.describeSnapshot(snapshot) : null);
+}
+
+/**
+ * Continue the automatically saved game
+ */
+export function resumeGame() {
+    const snapshot = Storage.loadAutosave();
+    if (!snapshot) {
+        UI.showError('There is no game to resume');
+        showMenu();
+        return;
+    }
+
+    restoreGame(snapshot);
+}
+
+/**
+ * Save the current game under a name
+ * @param {string} name - Slot name
+ * @returns {boolean} True if the game was saved
+ */
+export function saveGame(name) {
+    if (!canSaveGame()) {
+        UI.showError('Only local games in progress can be saved');
+        return false;
+    }
+
+    try {
+        Storage.saveToSlot(name, getSnapshot());
+    } catch (error) {
+        UI.showError(error.message);
+        return false;
+    }
+
+    UI.showFeedback('Game saved');
+    return true;
+}
+
+/**
+ * Load a named save, replacing the current game
+ * @param {string} name - Slot name
+ */
+export function loadGame(name) {
+    let snapshot;
+    try {
+        snapshot = Storage.loadSlot(name);
+    } catch (error) {
+        UI.showError(error.message);
+        return;
+    }
+
+    restoreGame(snapshot);
+}
+
+// ===== GAME RECORDS =====
+
+/**
+ * Write the current game in record notation (see game-notation.js)
+ * @returns {string|null} Record text, or null if there is no game (or it is a puzzle, which starts mid-game)
+ */
+export function exportGame() {
+    if (!gameState || puzzleGame) return null;
+
+    return Notation.serializeGameRecord({
+        rows: gameState.rows,
+        cols: gameState.cols,
+        players: players.map(player => player.name),
+        variants: rules.variants,
+        headStart: Engine.getHeadStarts(gameState),
+        layout,
+        moves: moveHistory,
+        date: new Date().toISOString().slice(0, 10)
+    });
+}
+
+/**
+ * Draw the board on screen (the replay position while replaying) as an image to save or share
+ * @param {Object} options - Image options
+ * @param {boolean} options.moveNumbers - True to number each line with the move that drew it
+ * @param {boolean} options.card - True for a result card (heading, result, rules and date)
+ * @returns {Object|null} Board image (see board-image.js), or null if there is no game
+ */
+export function createBoardImage(options = {}) {
+    if (!gameState) return null;
+
+    const moves = replay ? replay.moves.slice(0, replay.position) : moveHistory;
+    return BoardImage.createBoardSvg(gameState, players, {
+        theme: Themes.THEMES[display.theme],
+        moves: options.moveNumbers ? moves : null,
+        card: options.card ? { rules, date: new Date().toISOString().slice(0, 10) } : null
+    });
+}
+
+/**
+ * Load a game from record notation, continuing after its last move
+ * @param {string} text - Record text
+ * @param {Object} options - Import options
+ * @param {boolean} options.replay - True to watch the game in the replay viewer instead
+ * @returns {boolean} True if the game was imported
+ */
+export function importGame(text, options = {}) {
+    let record;
+    let replayed;
+    try {
+        record = Notation.parseGameRecord(text);
+        replayed = Notation.replayGameRecord(record);
+    } catch (error) {
+        UI.showError(error.message);
+        return false;
+    }
+
+    // Records don't say who was unnamed or a computer, so default names of any seat stay untracked
+    const importedPlayers = createPlayers(record.players.map((name, index) => ({
+        name,
+        color: UI.getDefaultPlayerColors()[index],
+        headStart: record.headStart[index]
+    }))).map(player => ({ ...player, anonymous: isDefaultName(player.name) }));
+
+    if (options.replay) {
+        cancelComputerMove();
+        leaveOnlineSession();
+        cancelPuzzle();
+        players = importedPlayers;
+        rules = Engine.getVariantRules(record.variants);
+        layout = record.layout;
+        beginReplay(record.rows, record.cols, replayed.history, null);
+        return true;
+    }
+
+    restoreGame({
+        gameState: replayed.gameState,
+        players: importedPlayers,
+        rules: Engine.getVariantRules(record.variants),
+        allowUndo: true,
+        moveHistory: replayed.history,
+        redoStack: [],
+        clock: null,
+        firstPlayer: 'fixed'
+    });
+
+    if (gameState.gameOver) {
+        UI.showGameOver(gameState, sessionStats, players, { rules, tournament: getTournamentProgress() });
+    } else {
+        UI.showFeedback('Game imported');
+    }
+    return true;
+}
+
+// ===== REPLAY =====
+
+/**
+ * Watch the game that just finished, move by move
+ */
+export function startReplay() {
+    if (!gameState || !gameState.gameOver || moveHistory.length === 0 || replay || puzzleGame) return;
+
+    cancelComputerMove();
+    beginReplay(gameState.rows, gameState.cols, moveHistory, { gameState, moveHistory, redoStack });
+}
+
+/**
+ * Enter replay mode at the start of a game
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @param {Array} moves - Moves to replay: [{lineType, row, col, player, completedBoxes}]
+ * @param {Object|null} returnTo - Game to go back to afterwards ({gameState, moveHistory, redoStack}),
+ *                                 or null to return to the menu
+ * @param {Array|null} mistakes - Flagged moves to show (see game-analysis.js), or null for a plain replay
+ */
+function beginReplay(rows, cols, moves, returnTo, mistakes = null) {
+    cancelReplay();
+    stopClockTimer();
+
+    preview = null;
+    hint = null;
+    clearEvaluation();
+    replay = {
+        moves,
+        position: 0,
+        autoplayTimeout: null,
+        returnTo,
+        mistakes
+    };
+    gameState = Engine.createInitialState(rows, cols, players.length,
+        players.map(player => player.headStart), layout);
+
+    Renderer.initCanvas(rows, cols);
+    UI.updateZoomButton(false);
+    UI.setPlayers(players);
+    UI.setRules(rules);
+    UI.showGameArea();
+    UI.setReplayMode(true);
+    UI.setAnalysis(mistakes, players);
+    UI.updateChainOverlayToggle(true, chainOverlay);
+    updateClockDisplay();
+    showReplayPosition();
+}
+
+/**
+ * Draw the replay position and update the controls
+ */
+function showReplayPosition() {
+    const lastMove = replay.moves[replay.position - 1] || null;
+
+    // When reviewing, mark a mistake about to be made next to the better line
+    const mistake = replay.mistakes && replay.mistakes.find(item => item.index === replay.position);
+    drawBoard({
+        lastMove,
+        mistake: mistake ? mistake.move : null,
+        hint: mistake ? mistake.better : null
+    });
+    UI.updateGameInfo(gameState, players);
+    if (replay.mistakes) {
+        UI.showMistake(replay.position, mistake || null, players);
+    }
+
+    let status = 'Start of game';
+    if (lastMove) {
+        const boxes = lastMove.completedBoxes.length;
+        status = `Move ${replay.position} of ${replay.moves.length}: ` +
+                 `${players[lastMove.player - 1].name} drew ${Notation.formatLine(lastMove)}` +
+                 (boxes > 0 ? ` and completed ${boxes} box${boxes > 1 ? 'es' : ''}` : '');
+    }
+    UI.updateReplayControls(replay.position, replay.moves.length, replay.autoplayTimeout !== null, status);
+}
+
+/**
+ * Jump to a position in the replay
+ * @param {number} position - Number of moves to show (0 = empty board)
+ */
+export function seekReplay(position) {
+    if (!replay) return;
+
+    const target = Math.max(0, Math.min(replay.moves.length, position));
+    while (replay.position < target) {
+        gameState = Engine.applyMove(gameState, replay.moves[replay.position++], rules).state;
+    }
+    while (replay.position > target) {
+        gameState = Engine.undoMove(gameState, replay.moves[--replay.position]);
+    }
+
+    showReplayPosition();
+}
+
+/**
+ * Step forward or back through the replay
+ * @param {number} delta - Moves to step (negative goes back)
+ */
+export function stepReplay(delta) {
+    if (!replay) return;
+
+    stopReplayAutoplay();
+    seekReplay(replay.position + delta);
+}
+
+/**
+ * Start or pause automatic playback
+ */
+export function toggleReplayAutoplay() {
+    if (!replay) return;
+
+    if (replay.autoplayTimeout !== null) {
+        stopReplayAutoplay();
+        showReplayPosition();
+        return;
+    }
+
+    // Playing from the end starts over
+    if (replay.position === replay.moves.length) {
+        seekReplay(0);
+    }
+    scheduleReplayStep();
+    showReplayPosition();
+}
+
+/**
+ * Change the autoplay speed
+ * @param {number} delay - Milliseconds between moves
+ */
+export function setReplaySpeed(delay) {
+    if (!(delay > 0)) return;
+
+    replayDelay = delay;
+    if (replay && replay.autoplayTimeout !== null) {
+        clearTimeout(replay.autoplayTimeout);
+        scheduleReplayStep();
+    }
+}
+
+/**
+ * Play the next replay move after the current delay
+ */
+function scheduleReplayStep() {
+    replay.autoplayTimeout = setTimeout(() => {
+        replay.autoplayTimeout = null;
+        seekReplay(replay.position + 1);
+
+        if (replay.position < replay.moves.length) {
+            scheduleReplayStep();
+            showReplayPosition();
+        }
+    }, replayDelay);
+}
+
+/**
+ * Stop automatic playback
+ */
+function stopReplayAutoplay() {
+    if (replay && replay.autoplayTimeout !== null) {
+        clearTimeout(replay.autoplayTimeout);
+        replay.autoplayTimeout = null;
+    }
+}
+
+/**
+ * Leave replay mode without restoring anything (a new game is starting)
+ */
+function cancelReplay() {
+    if (!replay) return;
+
+    stopReplayAutoplay();
+    replay = null;
+    UI.setReplayMode(false);
+}
+
+/**
+ * Leave the replay, back to the finished game or the menu
+ */
+export function exitReplay() {
+    if (!replay) return;
+
+    const { returnTo } = replay;
+    cancelReplay();
+
+    if (!returnTo) {
+        gameState = null;
+        showMenu();
+        return;
+    }
+
+    ({ gameState, moveHistory, redoStack } = returnTo);
+    drawBoard();
+    UI.updateGameInfo(gameState, players);
+    updateUndoControls();
+    updateClockDisplay();
+    if (gameState.gameOver) {
+        UI.showGameOver(gameState, sessionStats, players, gameOverDetails || { rules });
+    }
+}
+
+/**
+ * Check if the replay viewer is open
+ * @returns {boolean} True while replaying
+ */
+export function isReplaying() {
+    return replay !== null;
+}
+
+// ===== TOURNAMENTS =====
+
+/**
+ * Start a tournament, replacing any saved one, and show its first pairings
+ * @param {string} format - Key of TOURNAMENT_FORMATS (see tournaments.js)
+ * @param {Array} names - Player names in seeding order
+ * @param {Object} settings - {rows, cols, variants, bestOf, tieBreak, allowUndo}
+ * @returns {boolean} True if the tournament was created
+ */
+export function startTournament(format, names, settings) {
+    let tournament;
+    try {
+        tournament = Tournaments.createTournament(format, names, settings);
+        Tournaments.saveTournament(tournament);
+    } catch (error) {
+        UI.showError(error.message);
+        return false;
+    }
+
+    UI.showTournament(tournament, Tournaments.getNextGame(tournament), gameState !== null);
+    return true;
+}
+
+/**
+ * Show the saved tournament's standings and bracket (or the setup if there is none)
+ */
+export function showTournament() {
+    const tournament = Tournaments.loadTournament();
+    UI.showTournament(tournament, tournament && Tournaments.getNextGame(tournament), gameState !== null);
+}
+
+/**
+ * Start the next game of the saved tournament
+ * Each player keeps the same color for the whole match; unfinished games start over
+ */
+export function playTournamentGame() {
+    const tournament = Tournaments.loadTournament();
+    const next = tournament && Tournaments.getNextGame(tournament);
+    if (!next) {
+        UI.showError('There is no tournament game left to play');
+        showTournament();
+        return;
+    }
+
+    const { settings } = tournament;
+    const pairing = tournament.matches[next.index].players;
+    const colors = UI.getDefaultPlayerColors();
+    const playerConfigs = [next.first, next.second].map(seat => ({
+        name: tournament.players[seat],
+        color: colors[pairing.indexOf(seat)],
+        difficulty: null
+    }));
+
+    startLocalGame(settings.rows, settings.cols, playerConfigs,
+        { allowUndo: settings.allowUndo, variants: settings.variants });
+    tournamentGame = { index: next.index, first: next.first, second: next.second, createdAt: tournament.createdAt };
+    autosave();  // again, so a resumed game still belongs to the tournament
+}
+
+/**
+ * Check that a saved tournament game is still the one its tournament is waiting for
+ * @param {Object|null} saved - {index, first, second, createdAt} from the saved game, or null
+ * @returns {Object|null} The tournament game, or null if the game goes on outside the tournament
+ */
+function getResumedTournamentGame(saved) {
+    if (!saved) return null;
+
+    const tournament = Tournaments.loadTournament();
+    const next = tournament && tournament.createdAt === saved.createdAt && Tournaments.getNextGame(tournament);
+    if (!next || next.index !== saved.index || next.first !== saved.first || next.second !== saved.second) {
+        UI.showFeedback('This tournament game was already played or its tournament is gone, so it no longer counts');
+        return null;
+    }
+    return saved;
+}
+
+/**
+ * Add the finished game to the tournament it belongs to
+ */
+function recordTournamentGame() {
+    const tournament = Tournaments.loadTournament();
+    if (!tournament || tournament.createdAt !== tournamentGame.createdAt) {
+        UI.showError("This game's tournament is no longer saved, so the result was not recorded");
+        tournamentGame = null;
+        return;
+    }
+
+    const { index, first, second } = tournamentGame;
+    const seats = [first, second];
+    try {
+        Tournaments.recordGame(tournament, index, {
+            first,
+            scores: { [first]: gameState.scores.player1, [second]: gameState.scores.player2 },
+            winner: gameState.winner === 0 ? null : seats[gameState.winner - 1]
+        });
+        Tournaments.saveTournament(tournament);
+    } catch (error) {
+        UI.showError(error.message);
+    }
+}
+
+/**
+ * Where the tournament stands after the game just played (for the game over screen)
+ * @returns {Object|null} {tournament, match, next} (see tournaments.js), or null outside tournaments
+ */
+function getTournamentProgress() {
+    const tournament = tournamentGame && Tournaments.loadTournament();
+    if (!tournament || tournament.createdAt !== tournamentGame.createdAt) return null;
+
+    return {
+        tournament,
+        match: tournament.matches[tournamentGame.index],
+        next: Tournaments.getNextGame(tournament)
+    };
+}
+
+// ===== PUZZLES =====
+
+/**
+ * Show the puzzle list with the player's progress
+ */
+export function showPuzzles() {
+    UI.showPuzzles(Puzzles.PUZZLES, Puzzles.loadPuzzleProgress(), gameState !== null);
+}
+
+/**
+ * Set up a puzzle: the player takes the side to move, the computer the other side
+ * Puzzles use standard rules, without undo, hints or a clock, and are never saved
+ * @param {string} id - Puzzle id (see puzzles.js)
+ */
+export function startPuzzle(id) {
+    const puzzle = Puzzles.getPuzzle(id);
+    if (!puzzle) {
+        UI.showError(`Unknown puzzle: ${id}`);
+        return;
+    }
+
+    // A broken position would only show up as a wrong verdict later
+    try {
+        Puzzles.readPuzzle(puzzle);
+    } catch (error) {
+        UI.showError(`Puzzle "${puzzle.name}" can't be played: ${error.message}`);
+        return;
+    }
+
+    leaveOnlineSession();
+    tournamentGame = null;
+    firstPlayer = 'fixed';
+    layout = puzzle.layout || null;
+    const colors = UI.getDefaultPlayerColors();
+    const seats = [
+        { name: 'You', color: colors[0], difficulty: null },
+        { name: 'Computer', color: colors[1], difficulty: 'strong' }
+    ];
+    players = createPlayers(puzzle.toMove === 1 ? seats : seats.reverse());
+    rules = Engine.STANDARD_RULES;
+    undoEnabled = false;
+    timeControl = null;
+
+    puzzleGame = { puzzle, status: 'open', margin: null, revealed: false };
+    recordPuzzle('attempt');
+    beginPuzzle();
+}
+
+/**
+ * Set the puzzle position up again (keeps whether the solution is shown)
+ */
+function beginPuzzle() {
+    cancelComputerMove();
+    cancelReplay();
+
+    gameState = Puzzles.createPuzzleState(puzzleGame.puzzle);
+    moveHistory = [];
+    redoStack = [];
+    clock = null;
+    puzzleGame.status = 'open';
+
+    showGame();
+    UI.setPuzzleMode(puzzleGame.puzzle, Puzzles.getNextPuzzle(puzzleGame.puzzle.id) !== null);
+    updatePuzzle();
+    drawBoard();
+}
+
+/**
+ * Check the puzzle after a move, mark the next line of the solution when it is shown,
+ * and remember a solve
+ */
+function updatePuzzle() {
+    const { puzzle } = puzzleGame;
+    const linesPlayed = moveHistory.filter(move => move.player === puzzle.toMove).length;
+    const { status, margin } = Puzzles.checkPuzzle(puzzle, gameState, linesPlayed);
+
+    if (status === 'solved' && puzzleGame.status !== 'solved' && !puzzleGame.revealed) {
+        recordPuzzle('solved');
+    }
+    puzzleGame.status = status;
+    puzzleGame.margin = margin;
+
+    if (puzzleGame.revealed && status === 'open' && !isComputerTurn()) {
+        const [best] = Puzzles.getSolutionMoves(gameState);
+        hint = { lineType: best.lineType, row: best.row, col: best.col };
+    }
+    UI.updatePuzzleStatus(status, describePuzzleStatus());
+}
+
+/**
+ * Describe where the puzzle stands
+ * @returns {string} Status line for the puzzle controls
+ */
+function describePuzzleStatus() {
+    const { status, margin } = puzzleGame;
+    const outcome = gameState.gameOver
+        ? `the game ended ${Puzzles.describeMargin(margin)}`
+        : `with best play the game now ends ${Puzzles.describeMargin(margin)}`;
+
+    if (status === 'solved') return `Solved! ${outcome[0].toUpperCase()}${outcome.slice(1)}.`;
+    if (status === 'failed') return `Not this time: ${outcome}. Retry, or show the solution.`;
+    if (isComputerTurn()) return 'The computer is replying...';
+    return hint ? `Solution: draw the marked line (${Notation.formatLine(hint)})` : 'Your move';
+}
+
+/**
+ * Start the current puzzle over
+ */
+export function retryPuzzle() {
+    if (puzzleGame) startPuzzle(puzzleGame.puzzle.id);
+}
+
+/**
+ * Start the current puzzle over with the solution marked, one line at a time
+ * (solving it this way isn't counted as solved)
+ */
+export function revealPuzzle() {
+    if (!puzzleGame) return;
+
+    puzzleGame.revealed = true;
+    recordPuzzle('revealed');
+    beginPuzzle();
+}
+
+/**
+ * Move on to the next puzzle (the puzzle list after the last one)
+ */
+export function nextPuzzle() {
+    const next = puzzleGame && Puzzles.getNextPuzzle(puzzleGame.puzzle.id);
+    if (next) {
+        startPuzzle(next.id);
+    } else {
+        showPuzzles();
+    }
+}
+
+/**
+ * Remember progress on the current puzzle
+ * @param {string} event - 'attempt', 'solved' or 'revealed' (see puzzles.js recordPuzzleProgress)
+ */
+function recordPuzzle(event) {
+    try {
+        Puzzles.recordPuzzleProgress(puzzleGame.puzzle.id, event);
+    } catch (error) {
+        UI.showError(error.message);
+    }
+}
+
+/**
+ * Check if the puzzle being played is over (solved or failed)
+ * @returns {boolean} True if no more lines may be drawn
+ */
+function isPuzzleOver() {
+    return puzzleGame !== null && puzzleGame.status !== 'open';
+}
+
+/**
+ * Leave puzzle mode (another game is starting, or quitting)
+ */
+function cancelPuzzle() {
+    if (!puzzleGame) return;
+
+    puzzleGame = null;
+    UI.setPuzzleMode(null);
+}
+
+// ===== ONLINE MODE =====
+
+/**
+ * Host an online game and wait for an opponent
+ * @param {string} transportType - 'peerjs' or 'relay'
+ * @param {Object} options - Transport options ({relayUrl})
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @param {Array} colors - [host's color, guest's color]
+ * @param {Array} variants - Rule variant ids (none for standard rules)
+ * @returns {Promise<string>} Room code to share with the opponent
+ */
+export function hostOnlineGame(transportType, options, rows, cols, colors, variants = []) {
+    const roomCode = generateRoomCode();
+    const session = openOnlineSession(transportType, options, 1);
+    session.rows = rows;
+    session.cols = cols;
+    session.colors = colors.slice(0, 2);
+    session.variants = Engine.getVariantRules(variants).variants;
+
+    // Start as soon as the opponent arrives
+    session.transport.onConnect(() => {
+        if (session === onlineSession) beginOnlineGame(session);
+    });
+
+    return session.transport.host(roomCode)
+        .then(() => roomCode)
+        .catch((error) => {
+            if (session === onlineSession) leaveOnlineSession();
+            throw error;
+        });
+}
+
+/**
+ * Join an online game by room code (the host starts the game)
+ * @param {string} transportType - 'peerjs' or 'relay'
+ * @param {Object} options - Transport options ({relayUrl})
+ * @param {string} roomCode - Room code from the host
+ * @returns {Promise<void>} Resolves once connected to the host
+ */
+export function joinOnlineGame(transportType, options, roomCode) {
+    const session = openOnlineSession(transportType, options, 2);
+
+    return session.transport.join(roomCode).catch((error) => {
+        if (session === onlineSession) leaveOnlineSession();
+        throw error;
+    });
+}
+
+/**
+ * Create a transport and register its handlers
+ * @param {string} transportType - 'peerjs' or 'relay'
+ * @param {Object} options - Transport options
+ * @param {number} localPlayer - 1 for the host, 2 for the guest
+ * @returns {Object} New online session
+ */
+function openOnlineSession(transportType, options, localPlayer) {
+    leaveOnlineSession();
+
+    const session = {
+        transport: createTransport(transportType, options),
+        localPlayer,
+        isHost: localPlayer === 1,
+        rows: null,
+        cols: null,
+        colors: UI.getDefaultPlayerColors().slice(0, 2),
+        variants: [],
+        rematch: { local: false, remote: false }
+    };
+
+    session.transport.onMessage((message) => handleRemoteMessage(session, message));
+    session.transport.onDisconnect(() => handleRemoteDisconnect(session));
+
+    onlineSession = session;
+    return session;
+}
+
+/**
+ * Host only: start a game and tell the guest about it
+ * @param {Object} session - Current online session
+ */
+function beginOnlineGame(session) {
+    session.rematch = { local: false, remote: false };
+    session.transport.send({
+        type: MESSAGE_TYPES.START,
+        rows: session.rows,
+        cols: session.cols,
+        colors: session.colors,
+        variants: session.variants
+    });
+    startOnlineGame(session);
+}
+
+/**
+ * Start a game between the two online players
+ * @param {Object} session - Current online session
+ */
+function startOnlineGame(session) {
+    const local = session.localPlayer;
+    cancelPuzzle();
+    tournamentGame = null;
+    players = createPlayers(session.colors.map((color, index) => ({
+        name: index + 1 === local ? 'You' : 'Opponent',
+        color
+    })));
+    rules = Engine.getVariantRules(session.variants);
+    timeControl = null;
+    layout = null;
+    startGame(session.rows, session.cols);
+}
+
+/**
+ * Check a list of rule variants sent by the host
+ * @param {*} variants - Received variant ids (hosts that send none play standard rules)
+ * @returns {boolean} True if every variant is known
+ */
+function isKnownVariantList(variants = []) {
+    try {
+        Engine.getVariantRules(variants);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Handle a message from the other player
+ * @param {Object} session - Session the message arrived on
+ * @param {Object} message - Received message
+ */
+function handleRemoteMessage(session, message) {
+    if (session !== onlineSession || !isValidMessage(message)) return;
+
+    switch (message.type) {
+        case MESSAGE_TYPES.START:
+            if (session.isHost || !GameLogic.isValidGridSize(message.rows, message.cols) ||
+                !isKnownVariantList(message.variants)) return;
+            session.rows = message.rows;
+            session.cols = message.cols;
+            session.rematch = { local: false, remote: false };
+            if (Array.isArray(message.colors) && message.colors.slice(0, 2).every(isHexColor)) {
+                session.colors = message.colors.slice(0, 2);
+            }
+            session.variants = message.variants || [];
+            startOnlineGame(session);
+            break;
+
+        case MESSAGE_TYPES.MOVE:
+            handleRemoteMove(session, message);
+            break;
+
+        case MESSAGE_TYPES.REMATCH:
+            session.rematch.remote = true;
+            if (session.rematch.local) {
+                startRematch(session);
+            } else {
+                UI.showFeedback('Your opponent wants a rematch!');
+            }
+            break;
+
+        case MESSAGE_TYPES.LEAVE:
+            handleRemoteDisconnect(session);
+            break;
+    }
+}
+
+/**
+ * Apply the opponent's move through the same validation as local moves
+ * @param {Object} session - Current online session
+ * @param {Object} message - {lineType, row, col}
+ */
+function handleRemoteMove(session, message) {
+    if (!gameState || gameState.gameOver) return;
+
+    const { lineType, row, col } = message;
+    const wellFormed = (lineType === 'horizontal' || lineType === 'vertical') &&
+                       Number.isInteger(row) && Number.isInteger(col);
+
+    if (gameState.currentPlayer === session.localPlayer || !wellFormed || !playMove(lineType, row, col)) {
+        UI.showError('Ignored an illegal move from your opponent');
+    }
+}
+
+/**
+ * Ask for a rematch (starts once both players have asked)
+ * @param {Object} session - Current online session
+ */
+function requestRematch(session) {
+    if (session.rematch.local) return;
+
+    session.rematch.local = true;
+    session.transport.send({ type: MESSAGE_TYPES.REMATCH });
+
+    if (session.rematch.remote) {
+        startRematch(session);
+    } else {
+        UI.showFeedback('Waiting for your opponent to accept...');
+    }
+}
+
+/**
+ * Both players agreed: the host starts the next game
+ * @param {Object} session - Current online session
+ */
+function startRematch(session) {
+    if (session.isHost) {
+        beginOnlineGame(session);
+    }
+}
+
+/**
+ * The other player left or the connection dropped
+ * @param {Object} session - Session that was disconnected
+ */
+function handleRemoteDisconnect(session) {
+    if (session !== onlineSession) return;
+
+    cancelReplay();
+    stopClockTimer();
+    leaveOnlineSession();
+    gameState = null;
+    showMenu();
+    UI.showError('Your opponent disconnected');
+}
+
+/**
+ * Close the current online session, if any
+ */
+function leaveOnlineSession() {
+    if (!onlineSession) return;
+
+    const { transport } = onlineSession;
+    onlineSession = null;
+    transport.send({ type: MESSAGE_TYPES.LEAVE });
+    transport.close();
+}
+
+/**
+ * Handle game over
+ */
+function handleGameOver() {
+    // Update session stats
+    sessionStats.gamesPlayed++;
+    if (gameState.winner === 0) {
+        sessionStats.ties++;
+    } else {
+        const name = players[gameState.winner - 1].name;
+        sessionStats.wins[name] = (sessionStats.wins[name] || 0) + 1;
+    }
+
+    // Lifetime stats for named players (local games only)
+    const profiles = onlineSession ? [] : Profiles.recordGame(gameState, players, moveHistory, rules);
+    const ratingChanges = onlineSession ? [] : Ratings.recordGame(gameState, players, rules);
+    if (tournamentGame) recordTournamentGame();
+
+    // Show game over modal
+    // DON'T close connection - allow rematch with same opponent!
+    gameOverDetails = { rules, profiles, ratingChanges, tournament: getTournamentProgress() };
+    UI.showGameOver(gameState, sessionStats, players, gameOverDetails);
+}
+
+/**
+ * Restart the game with same settings
+ */
+export function restartGame() {
+    if (onlineSession) {
+        requestRematch(onlineSession);
+        return;
+    }
+    if (tournamentGame) {
+        playTournamentGame();
+        return;
+    }
+    if (puzzleGame) {
+        retryPuzzle();
+        return;
+    }
+
+    // Who starts is decided by the game just finished (a game given up half way doesn't count)
+    const lastState = gameState.gameOver ? gameState : null;
+    players = rotatePlayers(players, Engine.chooseFirstPlayer(firstPlayer, players.length, lastState, rules));
+    startGame(gameState.rows, gameState.cols);
+}
+
+/**
+ * Change player colors mid-game
+ * @param {Array} colors - New colors in turn order
+ */
+export function changeColors(colors) {
+    colors.forEach((color, index) => {
+        if (players[index]) players[index].color = color;
+    });
+
+    // Redraw everything with new colors
+    if (gameState) {
+        drawBoard();
+        UI.updateGameInfo(gameState, players);
+        autosave();
+    }
+}
+
+/**
+ * Apply the saved theme and ownership patterns (at startup)
+ */
+export function loadDisplaySettings() {
+    applyDisplay(Themes.loadDisplaySettings());
+}
+
+/**
+ * Change the theme and ownership patterns, and remember them
+ * @param {Object} settings - {theme, patterns}
+ */
+export function changeDisplaySettings(settings) {
+    if (!Object.hasOwn(Themes.THEMES, settings.theme)) {
+        UI.showError(`Unknown theme: ${settings.theme}`);
+        return;
+    }
+
+    applyDisplay(settings);
+    try {
+        Themes.saveDisplaySettings(settings);
+    } catch (error) {
+        UI.showError(error.message);
+    }
+}
+
+/**
+ * Get the display settings in use (for the settings modal)
+ * @returns {Object} {theme, patterns}
+ */
+export function getDisplaySettings() {
+    return { ...display };
+}
+
+/**
+ * Use display settings for the page and the board
+ * @param {Object} settings - {theme, patterns}
+ */
+function applyDisplay(settings) {
+    display = { theme: settings.theme, patterns: settings.patterns };
+    UI.applyTheme(display);
+    Renderer.setDisplay(Themes.THEMES[display.theme], display.patterns);
+
+    if (!gameState) return;
+    if (replay) {
+        showReplayPosition();
+    } else {
+        drawBoard();
+    }
+}
+
+/**
+ * Quit current game and return to menu
+ */
+export function quitGame() {
+    cancelComputerMove();
+    stopClockTimer();
+    if (gameState && !onlineSession && !replay && !puzzleGame) {
+        Storage.clearAutosave();
+    }
+    cancelReplay();
+    leaveOnlineSession();
+    cancelPuzzle();
+    tournamentGame = null;
     gameState = null;
-    UI.showMenu();
+    showMenu();
 }
 
 /**
- * Get current player colors (for UI)
+ * Get the current players (for UI)
+ * @returns {Array} Copies of [{name, color, label, difficulty}]
  */
-export function getPlayerColors() {
-    return { player1Color, player2Color };
+export function getPlayers() {
+    return players.map(player => ({ ...player }));
 }
 
 /**
@@ -148,8 +1893,7 @@ export function getGameState() {
 export function resetSessionStats() {
     sessionStats = {
         gamesPlayed: 0,
-        player1Wins: 0,
-        player2Wins: 0,
+        wins: {},
         ties: 0
     };
 }
@@ -0,0 +1,410 @@
+// Game engine - pure, rule-driven game core
+// Dots and Boxes - Every function returns new states and never modifies its arguments
+//
+// Board geometry (lines, boxes, bounds) comes from game-logic.js. What a move
+// does to the game - whose turn is next, when the game ends, who wins - is
+// decided by a rules object, so variants plug in without changes here or in
+// the controller and renderer.
+
+import * as GameLogic from './game-logic.js';
+
+// ===== RULES =====
+
+/**
+ * The rules of a game. Variants replace any of the hooks with createRules:
+ *
+ * @typedef {Object} Rules
+ * @property {string} id - Short identifier
+ * @property {string} name - Display name
+ * @property {Array} variants - Variant ids in play (empty for standard rules)
+ * @property {function(Object, Object): boolean} allowsMove - Extra restriction on a free line (state, move)
+ * @property {function(Object, Object): number} getNextPlayer - Who moves next (state after the move, move record)
+ * @property {function(Object): boolean} isTerminal - Whether the game is over (state)
+ * @property {function(number, number): number} compareScores - Positive if score a beats score b, 0 if equal
+ */
+
+/**
+ * Standard rules: completing a box earns another move, most boxes wins
+ * @type {Rules}
+ */
+export const STANDARD_RULES = Object.freeze({
+    id: 'standard',
+    name: 'Standard',
+    variants: [],
+    allowsMove: () => true,
+    getNextPlayer: (state, record) =>
+        record.completedBoxes.length > 0 ? record.player : getNextSeat(state, record.player),
+    isTerminal: state => state.boxes.length === GameLogic.getTotalBoxes(state),
+    compareScores: (a, b) => a - b
+});
+
+/**
+ * Create a rule set from the standard rules
+ * @param {Object} overrides - Hooks and fields to replace (see Rules)
+ * @returns {Rules} Frozen rules object
+ */
+export function createRules(overrides) {
+    return Object.freeze({ ...STANDARD_RULES, ...overrides });
+}
+
+/**
+ * The player after the given one in turn order
+ * @param {Object} state - Game state
+ * @param {number} player - Player number
+ * @returns {number} Next player number
+ */
+function getNextSeat(state, player) {
+    return player % state.playerCount + 1;
+}
+
+// ===== VARIANTS =====
+
+// Optional rule changes; any combination can be played together
+export const RULE_VARIANTS = {
+    'misere': {
+        name: 'Misère',
+        description: 'Fewest boxes wins',
+        overrides: { compareScores: (a, b) => b - a }
+    },
+    'no-extra-turn': {
+        name: 'No extra turn',
+        description: 'The turn passes even after completing a box',
+        overrides: { getNextPlayer: (state, record) => getNextSeat(state, record.player) }
+    },
+    'must-capture': {
+        name: 'Must capture',
+        description: 'A player who can complete a box must do so',
+        overrides: { allowsMove: (state, move) => !canCapture(state) || completesBox(state, move) }
+    }
+};
+
+// Whether a position offers a capture (states never change, so this is cached)
+const captureCache = new WeakMap();
+
+/**
+ * Check if any box has three sides drawn
+ * @param {Object} state - Game state
+ * @returns {boolean} True if the player to move can complete a box
+ */
+function canCapture(state) {
+    if (!captureCache.has(state)) {
+        let found = false;
+        for (let row = 0; row < state.rows - 1 && !found; row++) {
+            for (let col = 0; col < state.cols - 1 && !found; col++) {
+                found = !GameLogic.isHole(row, col, state) && GameLogic.countBoxSides(row, col, state) === 3;
+            }
+        }
+        captureCache.set(state, found);
+    }
+    return captureCache.get(state);
+}
+
+/**
+ * Check if drawing a line completes a box
+ * @param {Object} state - Game state
+ * @param {Object} move - {lineType, row, col}
+ * @returns {boolean} True if the line is the fourth side of a box
+ */
+function completesBox(state, move) {
+    return GameLogic.getAdjacentBoxes(move.lineType, move.row, move.col, state)
+        .some(box => GameLogic.countBoxSides(box.row, box.col, state) === 3);
+}
+
+/**
+ * Build the rules for a set of variants
+ * @param {Array} variants - Variant ids (see RULE_VARIANTS); empty for standard rules
+ * @returns {Rules} Rules with every variant applied
+ * @throws {Error} If a variant is unknown
+ */
+export function getVariantRules(variants = []) {
+    if (!Array.isArray(variants)) {
+        throw new Error('Rule variants must be a list');
+    }
+    const unknown = variants.find(id => !Object.hasOwn(RULE_VARIANTS, id));
+    if (unknown !== undefined) {
+        throw new Error(`Unknown rule variant: ${unknown}`);
+    }
+
+    // Same order whatever order they were chosen in
+    const ids = Object.keys(RULE_VARIANTS).filter(id => variants.includes(id));
+    if (ids.length === 0) return STANDARD_RULES;
+
+    return createRules(Object.assign(
+        {
+            id: ids.join('+'),
+            name: ids.map(id => RULE_VARIANTS[id].name).join(', '),
+            variants: ids
+        },
+        ...ids.map(id => RULE_VARIANTS[id].overrides)
+    ));
+}
+
+// ===== STATE =====
+
+/**
+ * Create the starting position
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @param {number} playerCount - Number of players (2-6)
+ * @param {Array} headStart - Points each player starts with, in turn order (none by default)
+ * @param {Object|null} layout - Custom board shape (see Layout in game-logic.js), or null for the full board
+ * @returns {Object} Initial game state (see game-logic.js)
+ * @throws {Error} If a head start is out of range or the layout doesn't fit the board
+ */
+export function createInitialState(rows, cols = rows, playerCount = 2, headStart = [], layout = null) {
+    const invalid = headStart.find(value => !GameLogic.isValidHeadStart(value));
+    if (invalid !== undefined) {
+        throw new Error(`Head starts must be 0 to ${GameLogic.MAX_HEAD_START} in steps of ½`);
+    }
+    if (layout) GameLogic.checkLayout(rows, cols, layout);
+    return GameLogic.createGameState(rows, cols, playerCount, headStart, layout);
+}
+
+/**
+ * Check if the game is over
+ * @param {Object} state - Game state
+ * @param {Rules} rules - Rules in play
+ * @returns {boolean} True if no more moves can be made
+ */
+export function isTerminal(state, rules = STANDARD_RULES) {
+    return rules.isTerminal(state);
+}
+
+/**
+ * Scores in player order
+ * @param {Object} state - Game state
+ * @returns {Array} Boxes owned by player 1, player 2, ...
+ */
+export function getScores(state) {
+    return Array.from({ length: state.playerCount }, (_, index) => state.scores[`player${index + 1}`]);
+}
+
+/**
+ * Head starts in player order
+ * @param {Object} state - Game state
+ * @returns {Array} Points given to player 1, player 2, ... before the game
+ */
+export function getHeadStarts(state) {
+    return Array.from({ length: state.playerCount }, (_, index) => state.headStart[`player${index + 1}`]);
+}
+
+/**
+ * Scores that decide the game: boxes plus head starts, in player order
+ * @param {Object} state - Game state
+ * @returns {Array} Totals for player 1, player 2, ...
+ */
+export function getTotals(state) {
+    return Array.from({ length: state.playerCount }, (_, index) => GameLogic.getTotalScore(state, index + 1));
+}
+
+/**
+ * Result of a finished game
+ * @param {Object} state - Game state
+ * @param {Rules} rules - Rules in play
+ * @returns {Object} {winners, winner}: winner is the sole winner, or 0 for a tie
+ */
+export function getResult(state, rules = STANDARD_RULES) {
+    const scores = getTotals(state);
+    const best = scores.reduce((top, score) => (rules.compareScores(score, top) > 0 ? score : top));
+    const winners = [];
+    scores.forEach((score, index) => {
+        if (rules.compareScores(score, best) === 0) winners.push(index + 1);
+    });
+
+    return { winners, winner: winners.length === 1 ? winners[0] : 0 };
+}
+
+/**
+ * End the game with one player forfeiting (e.g. running out of time)
+ * The best of the other players by score wins; the forfeiting player loses whatever the score
+ * @param {Object} state - Game state (not modified)
+ * @param {number} player - Player who forfeits
+ * @param {Rules} rules - Rules in play
+ * @returns {Object} Finished game state with forfeited set to the player
+ */
+export function forfeitGame(state, player, rules = STANDARD_RULES) {
+    const next = GameLogic.cloneGameState(state);
+    const scores = getTotals(state);
+    const others = scores.map((score, index) => index + 1).filter(number => number !== player);
+    const best = others.reduce((top, number) =>
+        (rules.compareScores(scores[number - 1], scores[top - 1]) > 0 ? number : top));
+    const winners = others.filter(number => rules.compareScores(scores[number - 1], scores[best - 1]) === 0);
+
+    next.gameOver = true;
+    next.forfeited = player;
+    next.winners = winners;
+    next.winner = winners.length === 1 ? winners[0] : 0;
+    return next;
+}
+
+/**
+ * Compare two players' results in a finished game
+ * @param {Object} state - Final game state
+ * @param {number} a - Player number
+ * @param {number} b - Player number
+ * @param {Rules} rules - Rules in play
+ * @returns {number} Positive if a finished ahead of b, negative if behind, 0 if level
+ */
+export function comparePlayers(state, a, b, rules = STANDARD_RULES) {
+    if (state.forfeited === a) return -1;
+    if (state.forfeited === b) return 1;
+    return rules.compareScores(GameLogic.getTotalScore(state, a), GameLogic.getTotalScore(state, b));
+}
+
+// ===== FIRST PLAYER =====
+
+// Who opens each game; the opener takes the first seat and the turn order follows round from there
+export const FIRST_PLAYER_OPTIONS = {
+    fixed: { name: 'Player 1', description: 'Player 1 always starts' },
+    alternate: { name: 'Take turns', description: 'The next player in turn order starts the next game' },
+    random: { name: 'Random', description: 'A random player starts each game' },
+    loser: { name: 'Loser starts', description: 'The player who finished last starts the next game' }
+};
+
+/**
+ * Choose who opens the next game
+ * @param {string} option - Key of FIRST_PLAYER_OPTIONS
+ * @param {number} playerCount - Number of players
+ * @param {Object|null} lastState - Final state of the previous game, or null for the first game
+ * @param {Rules} rules - Rules of the previous game
+ * @param {function(): number} random - Random number source in [0, 1)
+ * @returns {number} Seat (0-based, in the previous game's order) of the player who opens
+ * @throws {Error} If the option is unknown
+ */
+export function chooseFirstPlayer(option, playerCount, lastState, rules = STANDARD_RULES, random = Math.random) {
+    if (!Object.hasOwn(FIRST_PLAYER_OPTIONS, option)) {
+        throw new Error(`Unknown first player option: ${option}`);
+    }
+
+    if (option === 'random') return Math.floor(random() * playerCount);
+    if (!lastState || option === 'fixed') return 0;
+
+    if (option === 'loser') {
+        const players = Array.from({ length: playerCount }, (_, index) => index + 1);
+        const last = players.reduce((worst, number) =>
+            (comparePlayers(lastState, number, worst, rules) < 0 ? number : worst));
+        const level = players.every(number => comparePlayers(lastState, number, last, rules) === 0);
+
+        // Everyone level: nobody lost, so take turns instead
+        if (!level) return last - 1;
+    }
+    return 1 % playerCount;
+}
+
+// ===== MOVES =====
+
+/**
+ * Check if the player to move may draw a line
+ * @param {Object} state - Game state
+ * @param {Object} move - {lineType, row, col}
+ * @param {Rules} rules - Rules in play
+ * @returns {boolean} True if the move is legal
+ */
+export function isLegalMove(state, move, rules = STANDARD_RULES) {
+    return !state.gameOver &&
+           GameLogic.isValidMove(move.lineType, move.row, move.col, state) &&
+           rules.allowsMove(state, move);
+}
+
+/**
+ * List every legal move for the player to move
+ * @param {Object} state - Game state
+ * @param {Rules} rules - Rules in play
+ * @returns {Array} Legal moves: [{lineType, row, col}]
+ */
+export function getLegalMoves(state, rules = STANDARD_RULES) {
+    if (state.gameOver) return [];
+
+    return GameLogic.getValidMoves(state)
+        .map(line => ({ lineType: line.type, row: line.row, col: line.col }))
+        .filter(move => rules.allowsMove(state, move));
+}
+
+/**
+ * Draw a line for the player to move
+ * @param {Object} state - Game state (not modified)
+ * @param {Object} move - {lineType, row, col}
+ * @param {Rules} rules - Rules in play
+ * @returns {Object} {state, record}: the new state and the move record
+ *                   {lineType, row, col, player, completedBoxes} used for history and undo
+ * @throws {Error} If the move is illegal
+ */
+export function applyMove(state, move, rules = STANDARD_RULES) {
+    const { lineType, row, col } = move;
+    if (!isLegalMove(state, move, rules)) {
+        throw new Error(`Illegal move: ${lineType} line at ${row},${col}`);
+    }
+
+    const next = GameLogic.cloneGameState(state);
+    const player = state.currentPlayer;
+
+    const lines = lineType === 'horizontal' ? next.horizontalLines : next.verticalLines;
+    lines.set(`${row},${col}`, player);
+
+    // Award completed boxes to the mover
+    const completedBoxes = GameLogic.checkCompletedBoxes(lineType, row, col, next);
+    completedBoxes.forEach(box => {
+        next.boxes.push({ row: box.row, col: box.col, owner: player });
+        next.scores[`player${player}`]++;
+    });
+
+    const record = { lineType, row, col, player, completedBoxes };
+
+    if (rules.isTerminal(next)) {
+        next.gameOver = true;
+        Object.assign(next, getResult(next, rules));
+    }
+    next.currentPlayer = rules.getNextPlayer(next, record);
+
+    return { state: next, record };
+}
+
+/**
+ * Take back the last move
+ * @param {Object} state - Game state (not modified)
+ * @param {Object} record - Record of the last move, from applyMove
+ * @returns {Object} State before the move
+ */
+export function undoMove(state, record) {
+    const previous = GameLogic.cloneGameState(state);
+
+    const lines = record.lineType === 'horizontal' ? previous.horizontalLines : previous.verticalLines;
+    lines.delete(`${record.row},${record.col}`);
+
+    // Take back the boxes it completed
+    const completed = new Set(record.completedBoxes.map(box => `${box.row},${box.col}`));
+    previous.boxes = previous.boxes.filter(box => !completed.has(`${box.row},${box.col}`));
+    previous.scores[`player${record.player}`] -= completed.size;
+
+    // It's the mover's turn again and the game can't be over
+    previous.currentPlayer = record.player;
+    previous.gameOver = false;
+    previous.winner = null;
+    previous.winners = [];
+
+    return previous;
+}
+
+/**
+ * Play a list of moves from a position
+ * @param {Object} state - Starting state (not modified)
+ * @param {Array} moves - Moves in order: [{lineType, row, col}]
+ * @param {Rules} rules - Rules in play
+ * @returns {Object} {state, history}: the final state and a record for every move
+ * @throws {Error} If a move is illegal (the message names its position)
+ */
+export function playMoves(state, moves, rules = STANDARD_RULES) {
+    const history = [];
+
+    moves.forEach((move, index) => {
+        try {
+            const result = applyMove(state, move, rules);
+            state = result.state;
+            history.push(result.record);
+        } catch (error) {
+            throw new Error(`Move ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return { state, history };
+}
@@ -1,22 +1,100 @@
 // Pure game logic functions
-// Dots and Boxes - Core Game Logic
+// Dots and Boxes - Board geometry and state queries (moves are played by game-engine.js)
+
+// Supported board dimensions (in dots per side)
+export const MIN_GRID_SIZE = 2;
+export const MAX_GRID_SIZE = 15;
+
+// Supported number of players
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+
+// Largest head start (pre-awarded boxes and komi) a player can be given; it comes in half points
+export const MAX_HEAD_START = 10;
+
+// Owner of the lines nobody drew in this game: pre-drawn and blocked lines of the board layout,
+// and the lines of a puzzle position
+export const NEUTRAL = 0;
+
+/**
+ * A custom board shape (see board-layouts.js); lines are written as in game records:
+ *
+ * @typedef {Object} Layout
+ * @property {Array} holes - Boxes cut out of the board: ["row,col"]
+ * @property {Array} lines - Neutral lines drawn before the game starts: ["h<row>,<col>", "v<row>,<col>"]
+ * @property {Array} blocked - Edges nobody can draw; they count as a side of their boxes
+ */
+
+/**
+ * Checks if a head start is allowed
+ * @param {*} value - Points given to a player before the game
+ * @returns {boolean} True for 0 to MAX_HEAD_START in steps of a half
+ */
+export function isValidHeadStart(value) {
+    return Number.isInteger(value * 2) && value >= 0 && value <= MAX_HEAD_START;
+}
+
+/**
+ * Checks if a board size is supported
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @returns {boolean} True if both dimensions are in range
+ */
+export function isValidGridSize(rows, cols) {
+    return [rows, cols].every(size =>
+        Number.isInteger(size) && size >= MIN_GRID_SIZE && size <= MAX_GRID_SIZE
+    );
+}
 
 /**
  * Creates a new game state
- * @param {number} gridSize - Size of the grid (3, 5, or 7)
+ * @param {number} rows - Number of dot rows (e.g. 6 for a 5x5-box board)
+ * @param {number} cols - Number of dot columns (defaults to a square board)
+ * @param {number} playerCount - Number of players (2-6)
+ * @param {Array} headStart - Points each player starts with, in turn order (none by default)
+ * @param {Layout|null} layout - Board shape (checked with checkLayout), or null for the full board
  * @returns {Object} Initial game state
  */
-export function createGameState(gridSize) {
-    return {
-        gridSize: gridSize,
-        horizontalLines: new Map(),     // Stores drawn horizontal lines: "row,col" -> player number
-        verticalLines: new Map(),       // Stores drawn vertical lines: "row,col" -> player number
+export function createGameState(rows, cols = rows, playerCount = 2, headStart = [], layout = null) {
+    const scores = {};
+    const bonus = {};
+    for (let player = 1; player <= playerCount; player++) {
+        scores[`player${player}`] = 0;
+        bonus[`player${player}`] = headStart[player - 1] || 0;
+    }
+
+    const gameState = {
+        rows: rows,                     // Dots per column (boxes: rows - 1)
+        cols: cols,                     // Dots per row (boxes: cols - 1)
+        horizontalLines: new Map(),     // Stores drawn horizontal lines: "row,col" -> player number (or NEUTRAL)
+        verticalLines: new Map(),       // Stores drawn vertical lines: "row,col" -> player number (or NEUTRAL)
         boxes: [],                      // Array of completed boxes: [{row, col, owner}]
-        currentPlayer: 1,               // Whose turn it is (1 or 2)
-        scores: { player1: 0, player2: 0 },
+        playerCount: playerCount,
+        currentPlayer: 1,               // Whose turn it is (1 to playerCount)
+        scores: scores,                 // { player1: 0, player2: 0, ... }
+        headStart: bonus,               // Points added to the boxes for the result: { player1: 0, player2: 1.5, ... }
         gameOver: false,
-        winner: null                    // null, 0 (tie), 1, or 2
+        winner: null,                   // null, 0 (tie), or the winning player number
+        winners: [],                    // Every player sharing the top score
+        forfeited: null,                // Player who forfeited the game (e.g. ran out of time), if any
+        layout: null                    // Board shape: {holes, lines, blocked} as Sets, or null for the full board
     };
+
+    // Pre-drawn and blocked lines are on the board from the start, drawn by nobody
+    if (layout) {
+        gameState.layout = {
+            holes: new Set(layout.holes),
+            lines: new Set(layout.lines),
+            blocked: new Set(layout.blocked)
+        };
+        [...layout.lines, ...layout.blocked].forEach(text => {
+            const line = parseLineKey(text);
+            const lines = line.lineType === 'horizontal' ? gameState.horizontalLines : gameState.verticalLines;
+            lines.set(`${line.row},${line.col}`, NEUTRAL);
+        });
+    }
+
+    return gameState;
 }
 
 /**
@@ -28,7 +106,7 @@ export function createGameState(gridSize) {
  * @returns {boolean} True if move is valid
  */
 export function isValidMove(lineType, row, col, gameState) {
-    const { gridSize, horizontalLines, verticalLines } = gameState;
+    const { rows, cols, horizontalLines, verticalLines } = gameState;
     const lineKey = `${row},${col}`;
 
     // Check if line already exists
@@ -36,15 +114,19 @@ export function isValidMove(lineType, row, col, gameState) {
     if (lines.has(lineKey)) return false;
 
     // Check bounds
+    let inBounds;
     if (lineType === 'horizontal') {
         // Horizontal line connects (row,col) to (row,col+1)
         // Valid if: row is in grid AND col can extend right
-        return row >= 0 && row < gridSize && col >= 0 && col < gridSize - 1;
+        inBounds = row >= 0 && row < rows && col >= 0 && col < cols - 1;
     } else {
         // Vertical line connects (row,col) to (row+1,col)
         // Valid if: row can extend down AND col is in grid
-        return row >= 0 && row < gridSize - 1 && col >= 0 && col < gridSize;
+        inBounds = row >= 0 && row < rows - 1 && col >= 0 && col < cols;
     }
+
+    // On a custom board the line must border a box that isn't a hole
+    return inBounds && (gameState.layout === null || getAdjacentBoxes(lineType, row, col, gameState).length > 0);
 }
 
 /**
@@ -52,23 +134,65 @@ export function isValidMove(lineType, row, col, gameState) {
  * @param {string} lineType - 'horizontal' or 'vertical'
  * @param {number} row - Row coordinate
  * @param {number} col - Column coordinate
- * @param {number} gridSize - Size of the grid
+ * @param {Object} gameState - Current game state (for the board size and holes)
  * @returns {Array} Array of box coordinates that could be completed
  */
-function getAdjacentBoxes(lineType, row, col, gridSize) {
+export function getAdjacentBoxes(lineType, row, col, gameState) {
+    const { rows, cols } = gameState;
     const boxes = [];
 
     if (lineType === 'horizontal') {
         // Horizontal line can complete box above and/or below
         if (row > 0) boxes.push({ row: row - 1, col: col });           // Box above
-        if (row < gridSize - 1) boxes.push({ row: row, col: col });    // Box below
+        if (row < rows - 1) boxes.push({ row: row, col: col });        // Box below
     } else {
         // Vertical line can complete box to left and/or right
         if (col > 0) boxes.push({ row: row, col: col - 1 });           // Box to left
-        if (col < gridSize - 1) boxes.push({ row: row, col: col });    // Box to right
+        if (col < cols - 1) boxes.push({ row: row, col: col });        // Box to right
     }
 
-    return boxes;
+    return gameState.layout === null ? boxes : boxes.filter(box => !isHole(box.row, box.col, gameState));
+}
+
+/**
+ * Gets the four lines that surround a box
+ * @param {number} boxRow - Box row coordinate
+ * @param {number} boxCol - Box column coordinate
+ * @returns {Array} Array of lines: [{type, row, col}] (top, bottom, left, right)
+ */
+export function getBoxLines(boxRow, boxCol) {
+    return [
+        { type: 'horizontal', row: boxRow, col: boxCol },        // Top
+        { type: 'horizontal', row: boxRow + 1, col: boxCol },    // Bottom
+        { type: 'vertical', row: boxRow, col: boxCol },          // Left
+        { type: 'vertical', row: boxRow, col: boxCol + 1 }       // Right
+    ];
+}
+
+/**
+ * Checks if a line has already been drawn
+ * @param {string} lineType - 'horizontal' or 'vertical'
+ * @param {number} row - Row coordinate
+ * @param {number} col - Column coordinate
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True if the line exists
+ */
+export function isLineDrawn(lineType, row, col, gameState) {
+    const lines = lineType === 'horizontal' ? gameState.horizontalLines : gameState.verticalLines;
+    return lines.has(`${row},${col}`);
+}
+
+/**
+ * Counts how many sides of a box have been drawn
+ * @param {number} boxRow - Box row coordinate
+ * @param {number} boxCol - Box column coordinate
+ * @param {Object} gameState - Current game state
+ * @returns {number} Number of drawn sides (0-4)
+ */
+export function countBoxSides(boxRow, boxCol, gameState) {
+    return getBoxLines(boxRow, boxCol)
+        .filter(line => isLineDrawn(line.type, line.row, line.col, gameState))
+        .length;
 }
 
 /**
@@ -102,62 +226,476 @@ function isBoxComplete(boxRow, boxCol, gameState) {
  * @returns {Array} Array of completed box coordinates
  */
 export function checkCompletedBoxes(lineType, row, col, gameState) {
-    const potentialBoxes = getAdjacentBoxes(lineType, row, col, gameState.gridSize);
+    const potentialBoxes = getAdjacentBoxes(lineType, row, col, gameState);
     return potentialBoxes.filter(box => isBoxComplete(box.row, box.col, gameState));
 }
 
 /**
- * Applies a move to the game state (MUTATES gameState)
+ * Counts the boxes on the board
+ * @param {Object} gameState - Current game state
+ * @returns {number} Total number of boxes
+ */
+export function getTotalBoxes(gameState) {
+    const holes = gameState.layout === null ? 0 : gameState.layout.holes.size;
+    return (gameState.rows - 1) * (gameState.cols - 1) - holes;
+}
+
+/**
+ * Lists every line that can still be drawn
+ * @param {Object} gameState - Current game state
+ * @returns {Array} Array of valid moves: [{type, row, col}]
+ */
+export function getValidMoves(gameState) {
+    const { rows, cols } = gameState;
+    const moves = [];
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols - 1; col++) {
+            if (isValidMove('horizontal', row, col, gameState)) {
+                moves.push({ type: 'horizontal', row, col });
+            }
+        }
+    }
+
+    for (let row = 0; row < rows - 1; row++) {
+        for (let col = 0; col < cols; col++) {
+            if (isValidMove('vertical', row, col, gameState)) {
+                moves.push({ type: 'vertical', row, col });
+            }
+        }
+    }
+
+    return moves;
+}
+
+/**
+ * Creates an independent copy of a game state (safe to mutate)
+ * @param {Object} gameState - Game state to copy
+ * @returns {Object} Deep copy of the game state
+ */
+export function cloneGameState(gameState) {
+    return {
+        ...gameState,
+        horizontalLines: new Map(gameState.horizontalLines),
+        verticalLines: new Map(gameState.verticalLines),
+        boxes: gameState.boxes.map(box => ({ ...box })),
+        scores: { ...gameState.scores },
+        headStart: { ...gameState.headStart },
+        winners: [...gameState.winners]
+        // The layout never changes, so copies share it
+    };
+}
+
+/**
+ * Gets a player's score for the result: boxes plus any head start
+ * @param {Object} gameState - Current game state
+ * @param {number} player - Player number
+ * @returns {number} Total points
+ */
+export function getTotalScore(gameState, player) {
+    return gameState.scores[`player${player}`] + gameState.headStart[`player${player}`];
+}
+
+/**
+ * Gets the players with the highest score (head starts included)
+ * @param {Object} gameState - Current game state
+ * @returns {Array} Player numbers sharing the top score
+ */
+export function getLeaders(gameState) {
+    const players = [];
+    for (let player = 1; player <= gameState.playerCount; player++) {
+        players.push(player);
+    }
+
+    const best = Math.max(...players.map(player => getTotalScore(gameState, player)));
+    return players.filter(player => getTotalScore(gameState, player) === best);
+}
+
+// ===== BOARD LAYOUTS =====
+
+/**
+ * Checks if a box has been cut out of the board
+ * @param {number} boxRow - Box row coordinate
+ * @param {number} boxCol - Box column coordinate
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True for a hole in a custom board
+ */
+export function isHole(boxRow, boxCol, gameState) {
+    return gameState.layout !== null && gameState.layout.holes.has(`${boxRow},${boxCol}`);
+}
+
+/**
+ * Checks if a line is a blocked edge of the board layout
  * @param {string} lineType - 'horizontal' or 'vertical'
  * @param {number} row - Row coordinate
  * @param {number} col - Column coordinate
- * @param {number} player - Player number (1 or 2)
- * @param {Object} gameState - Current game state (will be modified)
- * @returns {Array} Array of completed boxes
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True if nobody can draw it
  */
-export function applyMove(lineType, row, col, player, gameState) {
-    const lineKey = `${row},${col}`;
+export function isBlockedLine(lineType, row, col, gameState) {
+    return gameState.layout !== null && gameState.layout.blocked.has(formatLineKey({ lineType, row, col }));
+}
 
-    // Add the line to the appropriate Map with the player who placed it
-    if (lineType === 'horizontal') {
-        gameState.horizontalLines.set(lineKey, player);
-    } else {
-        gameState.verticalLines.set(lineKey, player);
+/**
+ * Checks if a dot is part of the board (a corner of at least one box that isn't a hole)
+ * @param {number} row - Dot row
+ * @param {number} col - Dot column
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True if the dot should be drawn
+ */
+export function isDotOnBoard(row, col, gameState) {
+    if (gameState.layout === null) return true;
+
+    return [[row - 1, col - 1], [row - 1, col], [row, col - 1], [row, col]].some(([boxRow, boxCol]) =>
+        boxRow >= 0 && boxRow < gameState.rows - 1 && boxCol >= 0 && boxCol < gameState.cols - 1 &&
+        !isHole(boxRow, boxCol, gameState));
+}
+
+/**
+ * Checks that a layout fits the board and leaves a game to play
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
+ * @param {Layout} layout - Layout to check
+ * @throws {Error} Naming the first problem
+ */
+export function checkLayout(rows, cols, layout) {
+    if (!layout || typeof layout !== 'object' ||
+        !['holes', 'lines', 'blocked'].every(field => Array.isArray(layout[field]))) {
+        throw new Error('A board layout needs lists of holes, lines and blocked edges');
+    }
+
+    // Holes: boxes on the board, each listed once, with at least one box left over
+    const empty = createGameState(rows, cols);
+    layout.holes.forEach(key => {
+        const match = /^(\d+),(\d+)$/.exec(key);
+        if (!match || Number(match[1]) >= rows - 1 || Number(match[2]) >= cols - 1) {
+            throw new Error(`Hole "${key}" is not a box of a ${rows}x${cols} board`);
+        }
+    });
+    if (new Set(layout.holes).size !== layout.holes.length) {
+        throw new Error('A hole is listed twice');
+    }
+    if (layout.holes.length >= getTotalBoxes(empty)) {
+        throw new Error('A board layout needs at least one box');
+    }
+
+    // Lines: each on what is left of the board, listed once
+    const board = createGameState(rows, cols, 2, [], { holes: layout.holes, lines: [], blocked: [] });
+    const seen = new Set();
+    [...layout.lines, ...layout.blocked].forEach(key => {
+        const line = parseLineKey(key);
+        if (!line || !isValidMove(line.lineType, line.row, line.col, board)) {
+            throw new Error(`Line "${key}" is not on the board`);
+        }
+        if (seen.has(key)) {
+            throw new Error(`Line "${key}" is listed twice`);
+        }
+        seen.add(key);
+    });
+
+    // A box closed before the game would belong to nobody
+    const start = createGameState(rows, cols, 2, [], layout);
+    for (let row = 0; row < rows - 1; row++) {
+        for (let col = 0; col < cols - 1; col++) {
+            if (!isHole(row, col, start) && isBoxComplete(row, col, start)) {
+                throw new Error(`Box ${row},${col} is closed before the game starts`);
+            }
+        }
+    }
+}
+
+/**
+ * Counts the lines drawn by the players (lines that came with the board layout don't count)
+ * @param {Object} gameState - Current game state
+ * @returns {number} Lines played so far
+ */
+export function countPlayedLines(gameState) {
+    const played = map => [...map.values()].filter(player => player !== NEUTRAL).length;
+    return played(gameState.horizontalLines) + played(gameState.verticalLines);
+}
+
+/**
+ * Gets the layout of a game as plain data (for saving)
+ * @param {Object} gameState - Current game state
+ * @returns {Layout|null} Layout, or null for the full board
+ */
+export function getLayout(gameState) {
+    if (gameState.layout === null) return null;
+
+    return {
+        holes: [...gameState.layout.holes],
+        lines: [...gameState.layout.lines],
+        blocked: [...gameState.layout.blocked]
+    };
+}
+
+/**
+ * Writes a line the way layouts list them
+ * @param {Object} line - {lineType, row, col}
+ * @returns {string} e.g. 'h2,3'
+ */
+export function formatLineKey(line) {
+    return `${line.lineType === 'horizontal' ? 'h' : 'v'}${line.row},${line.col}`;
+}
+
+/**
+ * Reads a line the way layouts list them
+ * @param {string} text - e.g. 'h2,3'
+ * @returns {Object|null} {lineType, row, col}, or null if the text is not a line
+ */
+export function parseLineKey(text) {
+    const match = /^([hv])(\d+),(\d+)$/.exec(text);
+    if (!match) return null;
+
+    return { lineType: match[1] === 'h' ? 'horizontal' : 'vertical', row: Number(match[2]), col: Number(match[3]) };
+}
+
+// ===== CHAIN ANALYSIS =====
+
+/**
+ * Gets the undrawn sides of a box
+ * @param {number} boxRow - Box row coordinate
+ * @param {number} boxCol - Box column coordinate
+ * @param {Object} gameState - Current game state
+ * @returns {Array} Array of lines: [{type, row, col}]
+ */
+export function getOpenSides(boxRow, boxCol, gameState) {
+    return getBoxLines(boxRow, boxCol)
+        .filter(line => !isLineDrawn(line.type, line.row, line.col, gameState));
+}
+
+/**
+ * Gets the box on the other side of a line
+ * @param {Object} line - Line {type, row, col}
+ * @param {Object} box - Box {row, col} on one side of the line
+ * @param {Object} gameState - Current game state
+ * @returns {Object|null} Neighbouring box, or null at the board edge
+ */
+export function getBoxAcross(line, box, gameState) {
+    const adjacent = getAdjacentBoxes(line.type, line.row, line.col, gameState);
+    return adjacent.find(other => other.row !== box.row || other.col !== box.col) || null;
+}
+
+/**
+ * Checks if a line is safe to draw: it gives no box a third side
+ * (a line that completes a box gives nothing away, so it counts as safe)
+ * @param {string} lineType - 'horizontal' or 'vertical'
+ * @param {number} row - Row coordinate
+ * @param {number} col - Column coordinate
+ * @param {Object} gameState - Current game state
+ * @returns {boolean} True if no box would be left with exactly three sides
+ */
+export function isSafeLine(lineType, row, col, gameState) {
+    return getAdjacentBoxes(lineType, row, col, gameState)
+        .every(box => countBoxSides(box.row, box.col, gameState) !== 2);
+}
+
+/**
+ * Splits the unclaimed boxes into chains and loops. Boxes with two open sides
+ * form the chains; boxes with three or four open sides are junctions that end
+ * a chain and are left out of the count.
+ * @param {Object} gameState - Current game state
+ * @returns {Array} Array of {size, loop, boxes: Set of "row,col", lines: [{type, row, col}]}
+ */
+export function findChains(gameState) {
+    const visited = new Set();
+    const chains = [];
+
+    const isChainBox = box => countBoxSides(box.row, box.col, gameState) === 2;
+
+    for (let row = 0; row < gameState.rows - 1; row++) {
+        for (let col = 0; col < gameState.cols - 1; col++) {
+            const startKey = `${row},${col}`;
+            if (visited.has(startKey) || isHole(row, col, gameState) || !isChainBox({ row, col })) continue;
+
+            const boxes = new Set([startKey]);
+            const lines = new Map();
+            let loop = true;
+            const stack = [{ row, col }];
+            visited.add(startKey);
+
+            while (stack.length > 0) {
+                const box = stack.pop();
+
+                getOpenSides(box.row, box.col, gameState).forEach(line => {
+                    lines.set(`${line.type},${line.row},${line.col}`, line);
+
+                    // The board edge or a junction ends the chain
+                    const neighbour = getBoxAcross(line, box, gameState);
+                    if (!neighbour || !isChainBox(neighbour)) {
+                        loop = false;
+                        return;
+                    }
+
+                    const neighbourKey = `${neighbour.row},${neighbour.col}`;
+                    if (!visited.has(neighbourKey)) {
+                        visited.add(neighbourKey);
+                        boxes.add(neighbourKey);
+                        stack.push(neighbour);
+                    }
+                });
+            }
+
+            chains.push({ size: boxes.size, loop, boxes, lines: [...lines.values()] });
+        }
     }
 
-    // Check if any boxes were completed
-    const completedBoxes = checkCompletedBoxes(lineType, row, col, gameState);
+    return chains;
+}
 
-    // Award boxes to the player
-    completedBoxes.forEach(box => {
-        gameState.boxes.push({ row: box.row, col: box.col, owner: player });
-        gameState.scores[`player${player}`]++;
+/**
+ * Describes the structure of the board for training: chains, loops and which lines are safe
+ * @param {Object} gameState - Current game state
+ * @returns {Object} {chains (see findChains), safeLines, unsafeLines}: lines as [{type, row, col}]
+ */
+export function analyzeBoard(gameState) {
+    const safeLines = [];
+    const unsafeLines = [];
+    getValidMoves(gameState).forEach(line => {
+        (isSafeLine(line.type, line.row, line.col, gameState) ? safeLines : unsafeLines).push(line);
     });
 
-    // Check if game is over (all boxes claimed)
-    const totalBoxes = (gameState.gridSize - 1) ** 2;
-    if (gameState.boxes.length === totalBoxes) {
-        gameState.gameOver = true;
-        const { player1, player2 } = gameState.scores;
-
-        // Determine winner
-        if (player1 > player2) {
-            gameState.winner = 1;
-        } else if (player2 > player1) {
-            gameState.winner = 2;
-        } else {
-            gameState.winner = 0;  // Tie
+    return { chains: findChains(gameState), safeLines, unsafeLines };
+}
+
+// ===== SERIALIZATION =====
+
+// Bump when the serialized format changes
+export const STATE_VERSION = 1;
+
+/**
+ * Converts a game state to plain JSON-safe data (Maps become arrays)
+ * @param {Object} gameState - Game state to serialize
+ * @returns {Object} Serialized state, readable by deserializeGameState
+ */
+export function serializeGameState(gameState) {
+    return {
+        version: STATE_VERSION,
+        rows: gameState.rows,
+        cols: gameState.cols,
+        playerCount: gameState.playerCount,
+        currentPlayer: gameState.currentPlayer,
+        horizontalLines: [...gameState.horizontalLines].filter(([, player]) => player !== NEUTRAL),
+        verticalLines: [...gameState.verticalLines].filter(([, player]) => player !== NEUTRAL),
+        boxes: gameState.boxes.map(box => ({ ...box })),
+        scores: { ...gameState.scores },
+        headStart: { ...gameState.headStart },
+        gameOver: gameState.gameOver,
+        winner: gameState.winner,
+        winners: [...gameState.winners],
+        layout: getLayout(gameState)
+    };
+}
+
+/**
+ * Rebuilds a game state from serializeGameState output
+ * Every field is checked against the rules, so corrupted or edited data is rejected
+ * @param {Object} data - Serialized state
+ * @param {Function} getWinners - Winners of a finished game under the rules in play (defaults to most boxes)
+ * @returns {Object} Game state
+ * @throws {Error} If the data has the wrong version or is inconsistent
+ */
+export function deserializeGameState(data, getWinners = getLeaders) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Saved game is empty or unreadable');
+    }
+    if (data.version !== STATE_VERSION) {
+        throw new Error(`Unsupported saved game version: ${data.version}`);
+    }
+    if (!isValidGridSize(data.rows, data.cols)) {
+        throw new Error('Saved game has an invalid board size');
+    }
+    if (!Number.isInteger(data.playerCount) || data.playerCount < MIN_PLAYERS || data.playerCount > MAX_PLAYERS) {
+        throw new Error('Saved game has an invalid number of players');
+    }
+
+    const isPlayer = value => Number.isInteger(value) && value >= 1 && value <= data.playerCount;
+
+    // Head starts (saves from before head starts have none)
+    const headStart = [];
+    for (let player = 1; player <= data.playerCount; player++) {
+        const value = data.headStart ? data.headStart[`player${player}`] : 0;
+        if (!isValidHeadStart(value)) {
+            throw new Error(`Saved game has an invalid head start for player ${player}`);
         }
+        headStart.push(value);
     }
 
-    // Handle turn switching
-    if (completedBoxes.length === 0) {
-        // No boxes completed: switch to the other player
-        gameState.currentPlayer = player === 1 ? 2 : 1;
-    } else {
-        // Box(es) completed: same player goes again
-        gameState.currentPlayer = player;
+    // Board layout (saves from before custom boards have none); its lines aren't listed with the moves
+    const layout = data.layout || null;
+    if (layout) {
+        try {
+            checkLayout(data.rows, data.cols, layout);
+        } catch (error) {
+            throw new Error(`Saved game has an invalid board layout: ${error.message}`);
+        }
+    }
+    const gameState = createGameState(data.rows, data.cols, data.playerCount, headStart, layout);
+
+    // Lines: every one must be on the board, drawn once, by a real player
+    ['horizontal', 'vertical'].forEach(lineType => {
+        const entries = data[`${lineType}Lines`];
+        if (!Array.isArray(entries)) {
+            throw new Error(`Saved game is missing its ${lineType} lines`);
+        }
+
+        entries.forEach(entry => {
+            const [key, player] = Array.isArray(entry) ? entry : [];
+            const match = /^(\d+),(\d+)$/.exec(key);
+            if (!match || !isPlayer(player) || !isValidMove(lineType, Number(match[1]), Number(match[2]), gameState)) {
+                throw new Error(`Saved game has an invalid ${lineType} line: ${JSON.stringify(entry)}`);
+            }
+            gameState[`${lineType}Lines`].set(key, player);
+        });
+    });
+
+    // Boxes: exactly the completed ones, each owned once
+    if (!Array.isArray(data.boxes)) {
+        throw new Error('Saved game is missing its boxes');
+    }
+    const owned = new Set();
+    data.boxes.forEach(box => {
+        const key = box && `${box.row},${box.col}`;
+        if (!box || !Number.isInteger(box.row) || !Number.isInteger(box.col) ||
+            box.row < 0 || box.row >= data.rows - 1 || box.col < 0 || box.col >= data.cols - 1 ||
+            isHole(box.row, box.col, gameState) ||
+            !isPlayer(box.owner) || owned.has(key) || !isBoxComplete(box.row, box.col, gameState)) {
+            throw new Error(`Saved game has an invalid box: ${JSON.stringify(box)}`);
+        }
+        owned.add(key);
+        gameState.boxes.push({ row: box.row, col: box.col, owner: box.owner });
+        gameState.scores[`player${box.owner}`]++;
+    });
+
+    for (let row = 0; row < data.rows - 1; row++) {
+        for (let col = 0; col < data.cols - 1; col++) {
+            if (!isHole(row, col, gameState) && isBoxComplete(row, col, gameState) && !owned.has(`${row},${col}`)) {
+                throw new Error(`Saved game has a completed box without an owner at ${row},${col}`);
+            }
+        }
+    }
+
+    // Scores must match the boxes
+    for (let player = 1; player <= data.playerCount; player++) {
+        if (!data.scores || data.scores[`player${player}`] !== gameState.scores[`player${player}`]) {
+            throw new Error(`Saved game has the wrong score for player ${player}`);
+        }
+    }
+
+    if (!isPlayer(data.currentPlayer)) {
+        throw new Error('Saved game has an invalid current player');
+    }
+    gameState.currentPlayer = data.currentPlayer;
+
+    // Game over and the winner follow from the boxes
+    gameState.gameOver = gameState.boxes.length === getTotalBoxes(gameState);
+    if (gameState.gameOver) {
+        gameState.winners = getWinners(gameState);
+        gameState.winner = gameState.winners.length === 1 ? gameState.winners[0] : 0;
+    }
+    if (data.gameOver !== gameState.gameOver || data.winner !== gameState.winner) {
+        throw new Error('Saved game has an inconsistent result');
     }
 
-    return completedBoxes;
+    return gameState;
 }
@@ -0,0 +1,347 @@
+// Game record notation - pure parse/serialize functions
+// Dots and Boxes - Sharing and archiving games as text
+//
+// A record has tag lines followed by the moves, one numbered entry per turn:
+//
+//   [Game "Dots and Boxes"]
+//   [Board "4x4"]
+//   [Player1 "Ada"]
+//   [Player2 "Bob"]
+//   [Result "5-4"]
+//
+//   1. h0,0 2. v1,2 3. h1,1+v0,1 ...
+//
+// Lines are written as h<row>,<col> (dot row,col to row,col+1) or v<row>,<col>
+// (dot row,col to row+1,col). A turn where boxes are completed lists every line
+// the player drew, joined with '+'. Result is the final scores in player order,
+// or '*' for an unfinished game. Text in {braces} is a comment.
+//
+// Games played with rule variants list them in a Variant tag, e.g.
+// [Variant "misere, no-extra-turn"] (see RULE_VARIANTS in game-engine.js).
+// Head starts (points a player begins with) are listed in player order in a
+// HeadStart tag, e.g. [HeadStart "0, 1.5"]; the Result still counts boxes only.
+// Custom board shapes list their holes (boxes as row,col), pre-drawn lines and
+// blocked edges in Holes, Lines and Blocked tags, e.g. [Holes "1,1 1,2"] [Blocked "h0,0"].
+
+import * as GameLogic from './game-logic.js';
+import * as Engine from './game-engine.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+export const RECORD_GAME_NAME = 'Dots and Boxes';
+export const UNFINISHED_RESULT = '*';
+
+const MOVES_PER_LINE = 80;  // Wrap long move lists at this many characters
+
+// ===== SERIALIZE =====
+
+/**
+ * Write a line in record notation
+ * @param {Object} move - {lineType, row, col}
+ * @returns {string} e.g. 'h2,3'
+ */
+export function formatLine(move) {
+    return GameLogic.formatLineKey(move);
+}
+
+/**
+ * Write a game in record notation
+ * The moves are replayed so turns and the result always match the board
+ * @param {Object} record - {rows, cols, players: [name], variants: [id], headStart: [points],
+ *                          layout (see game-logic.js, null for the full board), moves: [{lineType, row, col}], date}
+ * @returns {string} Record text
+ * @throws {Error} If a move is illegal
+ */
+export function serializeGameRecord(record) {
+    const { gameState, turns } = replayMoves(record);
+
+    const tags = [
+        ['Game', RECORD_GAME_NAME],
+        ['Board', `${record.rows}x${record.cols}`],
+        ...getLayoutTags(record.layout || null),
+        ...(record.variants && record.variants.length > 0 ? [['Variant', record.variants.join(', ')]] : []),
+        ...record.players.map((name, index) => [`Player${index + 1}`, name]),
+        ...(Engine.getHeadStarts(gameState).some(Boolean)
+            ? [['HeadStart', Engine.getHeadStarts(gameState).join(', ')]]
+            : []),
+        ...(record.date ? [['Date', record.date]] : []),
+        ['Result', formatResult(gameState)]
+    ];
+
+    const header = tags.map(([name, value]) => `[${name} "${escapeTagValue(value)}"]`).join('\n');
+
+    // Wrap the numbered turns into readable lines
+    const lines = [];
+    let current = '';
+    turns.forEach((turn, index) => {
+        const entry = `${index + 1}. ${turn.map(formatLine).join('+')}`;
+        if (current && current.length + entry.length + 1 > MOVES_PER_LINE) {
+            lines.push(current);
+            current = entry;
+        } else {
+            current = current ? `${current} ${entry}` : entry;
+        }
+    });
+    lines.push(current ? `${current} ${formatResult(gameState)}` : formatResult(gameState));
+
+    return `${header}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Write the tags of a custom board shape (empty lists are left out)
+ * @param {Object|null} layout - Board layout, or null for the full board
+ * @returns {Array} [[name, value]]
+ */
+function getLayoutTags(layout) {
+    if (!layout) return [];
+
+    return [['Holes', layout.holes], ['Lines', layout.lines], ['Blocked', layout.blocked]]
+        .filter(([, keys]) => keys.length > 0)
+        .map(([name, keys]) => [name, keys.join(' ')]);
+}
+
+/**
+ * Write the result tag for a game
+ * @param {Object} gameState - Game state after the last move
+ * @returns {string} Scores like '5-4', or '*' if the game isn't over
+ */
+function formatResult(gameState) {
+    if (!gameState.gameOver) return UNFINISHED_RESULT;
+
+    const scores = [];
+    for (let player = 1; player <= gameState.playerCount; player++) {
+        scores.push(gameState.scores[`player${player}`]);
+    }
+    return scores.join('-');
+}
+
+/**
+ * Escape quotes and backslashes inside a tag value
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeTagValue(value) {
+    return String(value).replace(/[\\"]/g, char => `\\${char}`).replace(/[\r\n]+/g, ' ');
+}
+
+// ===== PARSE =====
+
+/**
+ * Read a game record
+ * Only the syntax is checked here; use replayGameRecord to check the moves
+ * @param {string} text - Record text
+ * @returns {Object} {rows, cols, players: [name], variants: [id], headStart: [points], layout,
+ *                   moves: [{lineType, row, col, turn, text}], date, result}
+ * @throws {Error} If the text is not a valid record
+ */
+export function parseGameRecord(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('The game record is empty');
+    }
+
+    const source = text.replace(/\{[^}]*\}/g, ' ');
+    const tags = {};
+    const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/;
+    const moveLines = [];
+
+    source.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim().startsWith('[')) {
+            const match = tagPattern.exec(line);
+            if (!match) {
+                throw new Error(`Line ${index + 1}: malformed tag "${line.trim()}"`);
+            }
+            tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+        } else {
+            moveLines.push(line);
+        }
+    });
+
+    // Board size
+    const board = /^(\d+)x(\d+)$/.exec((tags.Board || '').trim());
+    if (!board) {
+        throw new Error('The record needs a Board tag like [Board "5x5"]');
+    }
+    const rows = Number(board[1]);
+    const cols = Number(board[2]);
+    if (!GameLogic.isValidGridSize(rows, cols)) {
+        throw new Error(`Board ${rows}x${cols} is not supported (${GameLogic.MIN_GRID_SIZE}-${GameLogic.MAX_GRID_SIZE} dots per side)`);
+    }
+
+    // Players: Player1, Player2, ... (two unnamed players if none are given)
+    const players = [];
+    while (Object.hasOwn(tags, `Player${players.length + 1}`)) {
+        players.push(tags[`Player${players.length + 1}`].trim() || `Player ${players.length + 1}`);
+    }
+    if (players.length === 0) {
+        players.push('Player 1', 'Player 2');
+    }
+    if (players.length < GameLogic.MIN_PLAYERS || players.length > GameLogic.MAX_PLAYERS) {
+        throw new Error(`The record needs ${GameLogic.MIN_PLAYERS}-${GameLogic.MAX_PLAYERS} players (Player1, Player2, ... tags)`);
+    }
+
+    // Rule variants (standard rules if there is no Variant tag)
+    const variants = (tags.Variant || '').split(/[\s,]+/).filter(Boolean);
+    Engine.getVariantRules(variants);
+
+    // Board shape (the full board if there are no Holes, Lines or Blocked tags)
+    let layout = null;
+    if (['Holes', 'Lines', 'Blocked'].some(name => Object.hasOwn(tags, name))) {
+        const readKeys = name => (tags[name] || '').toLowerCase().split(/\s+/).filter(Boolean);
+        layout = { holes: readKeys('Holes'), lines: readKeys('Lines'), blocked: readKeys('Blocked') };
+        try {
+            GameLogic.checkLayout(rows, cols, layout);
+        } catch (error) {
+            throw new Error(`Invalid board layout: ${error.message}`);
+        }
+    }
+
+    // Head starts in player order (none if there is no HeadStart tag)
+    const headStart = tags.HeadStart ? tags.HeadStart.split(',').map(value => Number(value.trim())) : [];
+    if (tags.HeadStart && (headStart.length !== players.length || !headStart.every(GameLogic.isValidHeadStart))) {
+        throw new Error(`The HeadStart tag needs one value per player, each 0-${GameLogic.MAX_HEAD_START} in steps of 0.5`);
+    }
+
+    // Moves: "N." turn numbers, lines joined by '+', optional result at the end
+    const moves = [];
+    let result = tags.Result ? tags.Result.trim() : null;
+    let turn = 0;
+    const tokens = moveLines.join(' ').split(/\s+/).filter(Boolean);
+
+    tokens.forEach((token, index) => {
+        const number = /^(\d+)\.(.*)$/.exec(token);
+        if (number) {
+            if (Number(number[1]) !== turn + 1) {
+                throw new Error(`Expected turn number ${turn + 1} but found "${number[1]}."`);
+            }
+            turn++;
+            token = number[2];
+            if (!token) return;
+        } else if (index === tokens.length - 1 && isResultToken(token)) {
+            if (result !== null && result !== token) {
+                throw new Error(`The result after the moves (${token}) doesn't match the Result tag (${result})`);
+            }
+            result = token;
+            return;
+        } else if (turn === 0) {
+            throw new Error(`Moves must start with a turn number, found "${token}"`);
+        } else if (moves.length > 0 && moves[moves.length - 1].turn === turn) {
+            throw new Error(`Turn ${turn}: lines in the same turn are joined with '+', found "${token}"`);
+        }
+
+        token.split('+').forEach(part => {
+            moves.push({ ...parseLine(part, turn), turn, text: part });
+        });
+    });
+
+    if (result !== null && !isResultToken(result)) {
+        throw new Error(`Invalid result "${result}" (use scores like 5-4, or * if unfinished)`);
+    }
+
+    return { rows, cols, players, variants, headStart, layout, moves, date: tags.Date || null, result };
+}
+
+/**
+ * Read one line written as h<row>,<col> or v<row>,<col>
+ * @param {string} text - Line text
+ * @param {number} turn - Turn number (for error messages)
+ * @returns {Object} {lineType, row, col}
+ * @throws {Error} If the text is not a line
+ */
+function parseLine(text, turn) {
+    const match = /^([hv])(\d+),(\d+)$/i.exec(text);
+    if (!match) {
+        throw new Error(`Turn ${turn}: "${text}" is not a line (use h<row>,<col> or v<row>,<col>)`);
+    }
+
+    return {
+        lineType: match[1].toLowerCase() === 'h' ? 'horizontal' : 'vertical',
+        row: Number(match[2]),
+        col: Number(match[3])
+    };
+}
+
+/**
+ * Check if a token is a result: '*' or scores like '5-4' / '3-2-4'
+ * @param {string} token - Token to check
+ * @returns {boolean} True if it's a result
+ */
+function isResultToken(token) {
+    return token === UNFINISHED_RESULT || /^\d+(-\d+)+$/.test(token);
+}
+
+// ===== REPLAY =====
+
+/**
+ * Play a parsed record through the game engine, checking every move
+ * @param {Object} record - Output of parseGameRecord
+ * @returns {Object} {gameState, history: [{lineType, row, col, player, completedBoxes}]}
+ * @throws {Error} Naming the first illegal move, or if the result doesn't match
+ */
+export function replayGameRecord(record) {
+    const { gameState, history } = replayMoves(record);
+
+    const result = formatResult(gameState);
+    if (record.result && record.result !== result) {
+        throw new Error(`The moves end with result ${result}, but the record says ${record.result}`);
+    }
+
+    return { gameState, history };
+}
+
+/**
+ * Replay moves from an empty board
+ * Moves with a turn number must follow the turn order: a turn continues
+ * exactly as long as the rules give the player another move
+ * @param {Object} record - {rows, cols, players, variants?, headStart?, layout?, moves: [{lineType, row, col, turn?}]}
+ * @returns {Object} {gameState, history, turns: [[move]]}
+ * @throws {Error} Naming the first illegal move
+ */
+function replayMoves(record) {
+    const rules = Engine.getVariantRules(record.variants || []);
+    let gameState = Engine.createInitialState(record.rows, record.cols, record.players.length,
+        record.headStart || [], record.layout || null);
+    const history = [];
+    const turns = [];
+    let turnEnded = true;
+
+    record.moves.forEach((move, index) => {
+        const label = `Move ${index + 1}${move.turn ? ` (turn ${move.turn}, ${formatLine(move)})` : ` (${formatLine(move)})`}`;
+
+        if (gameState.gameOver) {
+            throw new Error(`${label}: the game is already over`);
+        }
+        if (!GameLogic.isValidMove(move.lineType, move.row, move.col, gameState)) {
+            const reason = GameLogic.isBlockedLine(move.lineType, move.row, move.col, gameState)
+                ? 'that line is blocked'
+                : GameLogic.isLineDrawn(move.lineType, move.row, move.col, gameState)
+                ? 'that line is already drawn'
+                : record.layout ? 'that line is not on the board'
+                : `that line is not on a ${record.rows}x${record.cols} board`;
+            throw new Error(`${label}: ${reason}`);
+        }
+        if (!Engine.isLegalMove(gameState, move, rules)) {
+            throw new Error(`${label}: not allowed by the ${rules.name} rules`);
+        }
+
+        // Turn numbers must agree with who is to move
+        if (move.turn) {
+            const startsTurn = index === 0 || move.turn !== record.moves[index - 1].turn;
+            if (startsTurn && !turnEnded) {
+                throw new Error(`${label}: the previous line completed a box, so it belongs to turn ${record.moves[index - 1].turn} (join with '+')`);
+            }
+            if (!startsTurn && turnEnded) {
+                throw new Error(`${label}: the previous line ended the turn, so this one starts a new turn`);
+            }
+        }
+
+        const played = Engine.applyMove(gameState, move, rules);
+        gameState = played.state;
+        history.push(played.record);
+
+        if (turnEnded) turns.push([]);
+        turns[turns.length - 1].push(move);
+        turnEnded = gameState.currentPlayer !== played.record.player;
+    });
+
+    return { gameState, history, turns };
+}
@@ -4,22 +4,60 @@
 import * as GameController from './game-controller.js';
 import * as Renderer from './renderer.js';
 import * as UI from './ui-controller.js';
+import { DEFAULT_RELAY_URL } from './transport.js';
+import { isValidGridSize, MIN_GRID_SIZE, MAX_GRID_SIZE, MIN_PLAYERS, MAX_PLAYERS } from './game-logic.js';
+import * as Storage from './storage.js';
+import * as Profiles from './profiles.js';
+import * as Ratings from './ratings.js';
+import * as Tournaments from './tournaments.js';
+import * as Puzzles from './puzzles.js';
+import * as BoardLayouts from './board-layouts.js';
+import * as BoardImage from './board-image.js';
+import { normalizeRoomCode, validateRoomCode } from './utils.js';
 
-// ===== STATE FOR COLOR PICKER =====
+// ===== STATE FOR GAME SETUP =====
 
-let selectedPlayer1Color = '#C65D3B';  // Default terracotta
-let selectedPlayer2Color = '#4A6FA5';  // Default steel blue
+// Players being configured: [{name, color, difficulty}]
+let setupPlayers = [];
+
+// ===== STATE FOR THE BOARD EDITOR =====
+
+// Board shape being designed (see board-layouts.js BoardLayout)
+let editorLayout = BoardLayouts.createBlankLayout(5, 5);
+
+// ===== STATE FOR BOARD GESTURES =====
+
+// Last two-finger position while pinching or panning ({distance, x, y} in page pixels), or null
+let pinch = null;
 
 // ===== INITIALIZATION =====
 
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Dots and Boxes - Game initialized');
 
+    // Saved theme first: it decides the default player colors
+    UI.renderThemeOptions();
+    GameController.loadDisplaySettings();
+    UI.renderTournamentOptions();
+
     setupMenuListeners();
     setupGameSetupListeners();
+    setupOnlineListeners();
     setupGameListeners();
     setupColorSettingsListeners();
+    setupSavedGamesListeners();
+    setupGameRecordListeners();
+    setupBoardImageListeners();
+    setupReplayListeners();
+    setupStatsListeners();
+    setupLeaderboardListeners();
+    setupTournamentListeners();
+    setupPuzzleListeners();
+    setupLayoutEditorListeners();
     setupGameOverListeners();
+
+    // Offer to resume a game interrupted by a refresh or closed tab
+    GameController.showMenu();
 });
 
 // ===== MENU LISTENERS =====
@@ -27,45 +65,252 @@ document.addEventListener('DOMContentLoaded', () => {
 function setupMenuListeners() {
     // Local Mode button
     document.getElementById('localModeBtn').addEventListener('click', () => {
+        UI.setProfileNames(Profiles.listProfiles().map(profile => profile.name));
+        UI.renderLayoutOptions(BoardLayouts.listLayouts());
         UI.showGameSetup();
     });
 
-    // Online Mode button (disabled - P2P too complex)
+    // Online Mode button
     document.getElementById('onlineModeBtn').addEventListener('click', () => {
-        UI.showError('Peer2Peer is such a headache :/');
+        UI.showOnlineSetup();
+    });
+
+    // Resume Game button (only shown when there is an unfinished game)
+    document.getElementById('resumeGameBtn').addEventListener('click', () => {
+        GameController.resumeGame();
+    });
+
+    // Saved Games button
+    document.getElementById('savedGamesBtn').addEventListener('click', () => {
+        openSavedGames();
+    });
+
+    // Import Game button
+    document.getElementById('importGameBtn').addEventListener('click', () => {
+        UI.showGameRecord('import');
+    });
+
+    // Player Stats button
+    document.getElementById('statsBtn').addEventListener('click', () => {
+        UI.renderStats(Profiles.listProfiles(), 0);
+        UI.showStats();
+    });
+
+    // Leaderboard button
+    document.getElementById('leaderboardBtn').addEventListener('click', () => {
+        UI.renderLeaderboard(Ratings.getLeaderboard(), 0);
+        UI.showLeaderboard();
+    });
+
+    // Tournament button
+    document.getElementById('tournamentBtn').addEventListener('click', () => {
+        GameController.showTournament();
+    });
+
+    // Puzzles button
+    document.getElementById('puzzlesBtn').addEventListener('click', () => {
+        GameController.showPuzzles();
+    });
+
+    // Board Editor button
+    document.getElementById('layoutEditorBtn').addEventListener('click', () => {
+        UI.renderLayoutOptions(BoardLayouts.listLayouts());
+        renderLayoutEditor();
+        UI.showLayoutEditor();
     });
 }
 
 // ===== GAME SETUP LISTENERS =====
 
 function setupGameSetupListeners() {
-    // Color picker for Player 1
-    const p1Container = document.querySelectorAll('#gameSetupModal .color-picker-compact')[0];
-    setupColorPicker(
-        'player1',
-        document.getElementById('player1ColorCustom'),
-        p1Container.querySelectorAll('.color-swatch'),
-        (color) => { selectedPlayer1Color = color; }
-    );
+    while (setupPlayers.length < MIN_PLAYERS) {
+        setupPlayers.push(createSetupPlayer(setupPlayers.length));
+    }
+    renderSetupPlayers();
+    setupGridSizePicker('setup');
+    UI.renderLayoutOptions(BoardLayouts.listLayouts());
+    UI.renderVariantOptions('setupVariants');
+    UI.renderTimeControlOptions();
+    UI.renderFirstPlayerOptions();
 
-    // Color picker for Player 2
-    const p2Container = document.querySelectorAll('#gameSetupModal .color-picker-compact')[1];
-    setupColorPicker(
-        'player2',
-        document.getElementById('player2ColorCustom'),
-        p2Container.querySelectorAll('.color-swatch'),
-        (color) => { selectedPlayer2Color = color; }
-    );
+    // Theme: switches the page and gives every player the theme's default color
+    document.getElementById('setupTheme').addEventListener('change', () => {
+        GameController.changeDisplaySettings(readSetupDisplay());
+        const defaults = UI.getDefaultPlayerColors();
+        setupPlayers.forEach((player, index) => { player.color = defaults[index]; });
+        renderSetupPlayers();
+    });
+
+    document.getElementById('setupPatterns').addEventListener('change', () => {
+        GameController.changeDisplaySettings(readSetupDisplay());
+    });
+
+    // Board shape: a custom shape comes with its own size
+    document.getElementById('setupLayout').addEventListener('change', () => {
+        UI.updateSetupLayout();
+    });
+
+    // Clock picker: the timeout choice only matters with a clock
+    document.getElementById('setupTimeControl').addEventListener('change', () => {
+        UI.updateTimeoutOptions();
+    });
+
+    // Add Player button
+    document.getElementById('addPlayerBtn').addEventListener('click', () => {
+        if (setupPlayers.length >= MAX_PLAYERS) return;
+        setupPlayers.push(createSetupPlayer(setupPlayers.length));
+        renderSetupPlayers();
+    });
 
     // Start Game button
     document.getElementById('startGameBtn').addEventListener('click', () => {
-        const gridSize = parseInt(document.getElementById('setupGridSize').value);
-        GameController.startLocalGame(gridSize, selectedPlayer1Color, selectedPlayer2Color);
+        const layout = BoardLayouts.findLayout(document.getElementById('setupLayout').value);
+        const size = layout ? { rows: layout.rows, cols: layout.cols } : readGridSize('setup');
+        if (!size) return;
+
+        GameController.startLocalGame(size.rows, size.cols, setupPlayers, {
+            layout: layout ? BoardLayouts.getGameLayout(layout) : null,
+            allowUndo: document.getElementById('setupAllowUndo').checked,
+            variants: UI.getSelectedVariants('setupVariants'),
+            firstPlayer: document.getElementById('setupFirstPlayer').value,
+            ...UI.getTimeControlSettings()
+        });
     });
 
     // Cancel button
     document.getElementById('cancelSetupBtn').addEventListener('click', () => {
-        UI.showMenu();
+        GameController.showMenu();
+    });
+}
+
+/**
+ * Default configuration for a new player in the setup list
+ * @param {number} index - Seat index (0-based)
+ * @returns {Object} {name, color, difficulty, headStart}
+ */
+function createSetupPlayer(index) {
+    const taken = setupPlayers.map(player => player.color);
+    const defaults = UI.getDefaultPlayerColors();
+    const color = defaults.find(preset => !taken.includes(preset)) || defaults[index % defaults.length];
+    return { name: '', color, difficulty: null, headStart: 0 };
+}
+
+/**
+ * Redraw the player list in the setup modal
+ */
+function renderSetupPlayers() {
+    UI.renderPlayerSetup(setupPlayers, {
+        onChange(index, changes) {
+            Object.assign(setupPlayers[index], changes);
+            updateSetupColorWarning();
+        },
+        onRemove(index) {
+            if (setupPlayers.length <= MIN_PLAYERS) return;
+            setupPlayers.splice(index, 1);
+            renderSetupPlayers();
+        }
+    }, MIN_PLAYERS);
+    UI.setAddPlayerEnabled(setupPlayers.length < MAX_PLAYERS);
+    updateSetupColorWarning();
+}
+
+/**
+ * Warn in the setup modal when two players' colors are hard to tell apart
+ */
+function updateSetupColorWarning() {
+    UI.showColorWarning(
+        'setupColorWarning',
+        setupPlayers.map(player => player.color),
+        setupPlayers.map((player, index) => player.name.trim() || `Player ${index + 1}`)
+    );
+}
+
+/**
+ * Read the theme options of the setup modal
+ * @returns {Object} {theme, patterns}
+ */
+function readSetupDisplay() {
+    return {
+        theme: document.getElementById('setupTheme').value,
+        patterns: document.getElementById('setupPatterns').checked
+    };
+}
+
+// ===== ONLINE LOBBY LISTENERS =====
+
+function setupOnlineListeners() {
+    const transportSelect = document.getElementById('onlineTransport');
+    const relayUrlInput = document.getElementById('relayUrl');
+    relayUrlInput.value = DEFAULT_RELAY_URL;
+    UI.renderVariantOptions('onlineVariants');
+
+    // Relay address only matters for the relay transport
+    transportSelect.addEventListener('change', () => {
+        document.getElementById('relayUrlSection').classList.toggle('hidden', transportSelect.value !== 'relay');
+    });
+
+    setupGridSizePicker('online');
+
+    // Host Game button
+    document.getElementById('hostGameBtn').addEventListener('click', () => {
+        const size = readGridSize('online');
+        if (!size) return;
+
+        UI.setOnlineLobbyBusy(true);
+        UI.setConnectionStatus('Creating room...');
+
+        GameController.hostOnlineGame(
+            transportSelect.value,
+            { relayUrl: relayUrlInput.value.trim() },
+            size.rows,
+            size.cols,
+            setupPlayers.slice(0, 2).map(player => player.color),
+            UI.getSelectedVariants('onlineVariants')
+        ).then((roomCode) => {
+            UI.showRoomCode(roomCode);
+            UI.setConnectionStatus('Waiting for your opponent to join...');
+        }).catch((error) => {
+            UI.setOnlineLobbyBusy(false);
+            UI.setConnectionStatus('Host a game or enter a room code');
+            UI.showError(error.message);
+        });
+    });
+
+    // Join Game button
+    document.getElementById('joinGameBtn').addEventListener('click', () => {
+        const roomCode = normalizeRoomCode(document.getElementById('joinRoomCode').value);
+        if (!validateRoomCode(roomCode)) {
+            UI.showError('Room codes are 6 letters and numbers');
+            return;
+        }
+
+        UI.setOnlineLobbyBusy(true);
+        UI.setConnectionStatus('Connecting...');
+
+        GameController.joinOnlineGame(
+            transportSelect.value,
+            { relayUrl: relayUrlInput.value.trim() },
+            roomCode
+        ).then(() => {
+            UI.setConnectionStatus('Connected! Waiting for the host to start...');
+        }).catch((error) => {
+            UI.setOnlineLobbyBusy(false);
+            UI.setConnectionStatus('Host a game or enter a room code');
+            UI.showError(error.message);
+        });
+    });
+
+    // Copy room code button
+    document.getElementById('copyRoomCodeBtn').addEventListener('click', () => {
+        const roomCode = document.getElementById('roomCodeText').textContent;
+        navigator.clipboard.writeText(roomCode)
+            .then(() => UI.showFeedback('Room code copied!'))
+            .catch(() => UI.showError('Could not copy - share the code manually'));
+    });
+
+    // Cancel button
+    document.getElementById('cancelOnlineBtn').addEventListener('click', () => {
+        GameController.quitGame();
     });
 }
 
@@ -76,38 +321,194 @@ function setupGameListeners() {
 
     // Canvas click listener
     canvas.addEventListener('click', (event) => {
-        const gameState = GameController.getGameState();
-        if (!gameState) return;
-
-        const coords = Renderer.getCanvasCoordinates(event);
-        const line = Renderer.detectLineClick(coords.x, coords.y, gameState);
-
+        const line = findLineAt(event);
         if (line) {
             GameController.handleMove(line.type, line.row, line.col);
         }
     });
 
-    // Canvas touch listener (for mobile)
+    // Hover preview: a faint line in the current player's color shows what a click would draw
+    canvas.addEventListener('mousemove', (event) => {
+        GameController.previewLine(findLineAt(event));
+    });
+
+    canvas.addEventListener('mouseleave', () => {
+        GameController.previewLine(null);
+    });
+
+    // Touch (mobile): pressing shows the line, sliding picks another, lifting the finger draws it
+    // Sliding off the lines cancels, so a stray touch doesn't place a line
+    // Two fingers pinch to zoom and drag to pan; nothing is drawn until every finger is lifted
     canvas.addEventListener('touchstart', (event) => {
         event.preventDefault();
-        const gameState = GameController.getGameState();
-        if (!gameState) return;
+        if (event.touches.length >= 2) {
+            pinch = getPinch(event);
+            GameController.previewLine(null);
+            return;
+        }
+        if (!pinch) {
+            GameController.previewLine(findLineAt(event));
+        }
+    });
 
-        const coords = Renderer.getCanvasCoordinates(event);
-        const line = Renderer.detectLineClick(coords.x, coords.y, gameState);
+    canvas.addEventListener('touchmove', (event) => {
+        event.preventDefault();
+        if (!pinch) {
+            GameController.previewLine(findLineAt(event));
+            return;
+        }
+        if (event.touches.length < 2) return;
+
+        const next = getPinch(event);
+        Renderer.zoomAt(next.distance / pinch.distance, next.x, next.y);
+        Renderer.panBy(next.x - pinch.x, next.y - pinch.y);
+        UI.updateZoomButton(Renderer.isZoomed());
+        pinch = next;
+    });
 
+    canvas.addEventListener('touchend', (event) => {
+        event.preventDefault();
+        if (pinch) {
+            if (event.touches.length === 0) pinch = null;
+            return;
+        }
+
+        const line = GameController.getPreviewLine();
+        GameController.previewLine(null);
         if (line) {
-            GameController.handleMove(line.type, line.row, line.col);
+            GameController.handleMove(line.lineType, line.row, line.col);
+        }
+    });
+
+    canvas.addEventListener('touchcancel', () => {
+        pinch = null;
+        GameController.previewLine(null);
+    });
+
+    // Trackpads and mice: Ctrl + wheel (or a trackpad pinch) zooms, scrolling pans once zoomed in
+    canvas.addEventListener('wheel', (event) => {
+        if (event.ctrlKey) {
+            event.preventDefault();
+            Renderer.zoomAt(Math.exp(-event.deltaY / 200), event.clientX, event.clientY);
+            UI.updateZoomButton(Renderer.isZoomed());
+        } else if (Renderer.isZoomed()) {
+            event.preventDefault();
+            Renderer.panBy(-event.deltaX, -event.deltaY);
+        }
+    }, { passive: false });
+
+    document.getElementById('resetZoomBtn').addEventListener('click', () => {
+        Renderer.resetView();
+        UI.updateZoomButton(false);
+    });
+
+    // Keyboard play: arrow keys move a cursor between lines, Enter / Space draws, D describes the board
+    canvas.addEventListener('focus', () => {
+        GameController.setBoardFocus(true);
+    });
+
+    canvas.addEventListener('blur', () => {
+        GameController.setBoardFocus(false);
+    });
+
+    canvas.addEventListener('keydown', (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey || GameController.isReplaying()) return;
+
+        const actions = {
+            ArrowUp: () => GameController.moveCursor('up'),
+            ArrowDown: () => GameController.moveCursor('down'),
+            ArrowLeft: () => GameController.moveCursor('left'),
+            ArrowRight: () => GameController.moveCursor('right'),
+            Enter: () => GameController.drawCursorLine(),
+            ' ': () => GameController.drawCursorLine(),
+            d: () => GameController.toggleBoardDescription(),
+            D: () => GameController.toggleBoardDescription()
+        };
+
+        if (actions[event.key]) {
+            event.preventDefault();
+            actions[event.key]();
+        }
+    });
+
+    document.getElementById('describeBoardBtn').addEventListener('click', () => {
+        GameController.toggleBoardDescription();
+    });
+
+    // Undo / Redo buttons
+    document.getElementById('undoBtn').addEventListener('click', () => {
+        GameController.undo();
+    });
+
+    document.getElementById('redoBtn').addEventListener('click', () => {
+        GameController.redo();
+    });
+
+    // Keyboard shortcuts: Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || !GameController.getGameState()) return;
+        if (document.getElementById('gameArea').classList.contains('hidden')) return;
+
+        // Text fields keep their own undo, and nothing happens to the game behind an open dialog
+        if (['INPUT', 'TEXTAREA'].includes(event.target.tagName) || event.target.isContentEditable) return;
+        if (document.querySelector('.modal:not(.hidden)')) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            GameController.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            GameController.redo();
         }
     });
 
-    // Settings button (color change)
+    // Hint button
+    document.getElementById('hintBtn').addEventListener('click', () => {
+        GameController.showHint();
+    });
+
+    // Evaluate button (exact solver)
+    document.getElementById('evaluateBtn').addEventListener('click', () => {
+        GameController.evaluatePosition();
+    });
+
+    // Chain overlay switch (training aid)
+    document.getElementById('chainOverlayToggle').addEventListener('change', (event) => {
+        GameController.setChainOverlay(event.target.checked);
+    });
+
+    // Save button
+    document.getElementById('saveGameBtn').addEventListener('click', () => {
+        openSavedGames();
+    });
+
+    // Export button
+    document.getElementById('exportGameBtn').addEventListener('click', () => {
+        UI.showGameRecord('export', GameController.exportGame());
+    });
+
+    // Image button (PNG / SVG of the board)
+    document.getElementById('boardImageBtn').addEventListener('click', () => {
+        openBoardImage(false);
+    });
+
+    // Settings button (color change); the clock stops while the modal is open
     document.getElementById('settingsBtn').addEventListener('click', () => {
-        const colors = GameController.getPlayerColors();
-        UI.initColorSettings(colors.player1Color, colors.player2Color);
+        GameController.pauseClock('settings');
+        UI.initColorSettings(GameController.getPlayers(), GameController.getDisplaySettings());
         UI.showColorSettings();
     });
 
+    // The clock also stops while the tab is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            GameController.pauseClock('hidden');
+        } else {
+            GameController.resumeClock('hidden');
+        }
+    });
+
     // Quit button
     document.getElementById('quitGameBtn').addEventListener('click', () => {
         if (confirm('Are you sure you want to quit? Progress will be lost.')) {
@@ -116,37 +517,569 @@ function setupGameListeners() {
     });
 }
 
-// ===== COLOR SETTINGS LISTENERS (MID-GAME) =====
+/**
+ * Measure a two-finger touch
+ * @param {TouchEvent} event - Touch event with at least two touches
+ * @returns {Object} {distance between the fingers, x, y of their midpoint} in page pixels
+ */
+function getPinch(event) {
+    const [first, second] = event.touches;
+    return {
+        distance: Math.max(1, Math.hypot(second.clientX - first.clientX, second.clientY - first.clientY)),
+        x: (first.clientX + second.clientX) / 2,
+        y: (first.clientY + second.clientY) / 2
+    };
+}
 
-function setupColorSettingsListeners() {
-    // Color picker for Player 1 (settings modal)
-    setupColorPicker(
-        'settingsPlayer1',
-        document.getElementById('settingsPlayer1Custom'),
-        document.querySelectorAll('#settingsPlayer1Presets .color-swatch'),
-        (color) => { /* color selected */ }
-    );
+/**
+ * Find the undrawn line under the mouse or finger
+ * @param {Event} event - Mouse or touch event on the canvas
+ * @returns {Object|null} {type, row, col}, or null if there is no game or no line there
+ */
+function findLineAt(event) {
+    const gameState = GameController.getGameState();
+    if (!gameState) return null;
 
-    // Color picker for Player 2 (settings modal)
-    setupColorPicker(
-        'settingsPlayer2',
-        document.getElementById('settingsPlayer2Custom'),
-        document.querySelectorAll('#settingsPlayer2Presets .color-swatch'),
-        (color) => { /* color selected */ }
-    );
+    const coords = Renderer.getCanvasCoordinates(event);
+    return Renderer.detectLineClick(coords.x, coords.y, gameState);
+}
 
+// ===== COLOR SETTINGS LISTENERS (MID-GAME) =====
+
+function setupColorSettingsListeners() {
     // Apply button
     document.getElementById('applyColorsBtn').addEventListener('click', () => {
-        const p1Color = document.getElementById('settingsPlayer1Custom').value;
-        const p2Color = document.getElementById('settingsPlayer2Custom').value;
-
-        GameController.changeColors(p1Color, p2Color);
+        GameController.changeDisplaySettings(UI.getDisplaySettings());
+        GameController.changeColors(UI.getColorSettings());
         UI.hideColorSettings();
+        GameController.resumeClock('settings');
+    });
+
+    // Theme: offer its colors (nothing changes until Apply)
+    document.getElementById('settingsTheme').addEventListener('change', () => {
+        UI.previewThemeColors(GameController.getPlayers());
     });
 
     // Cancel button
     document.getElementById('closeSettingsBtn').addEventListener('click', () => {
         UI.hideColorSettings();
+        GameController.resumeClock('settings');
+    });
+}
+
+// ===== SAVED GAMES LISTENERS =====
+
+function setupSavedGamesListeners() {
+    const nameInput = document.getElementById('saveSlotName');
+
+    // Save button
+    document.getElementById('saveSlotBtn').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (Storage.hasSaveSlot(name) && !confirm(`Replace the saved game "${name}"?`)) return;
+
+        if (GameController.saveGame(name)) {
+            UI.hideSavedGames();
+        }
+    });
+
+    nameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            document.getElementById('saveSlotBtn').click();
+        }
+    });
+
+    // Close button (back to the menu if there is no game underneath)
+    document.getElementById('closeSavedGamesBtn').addEventListener('click', () => {
+        if (GameController.getGameState()) {
+            UI.hideSavedGames();
+        } else {
+            GameController.showMenu();
+        }
+    });
+}
+
+/**
+ * Open the saved games modal (with the save form during a local game)
+ */
+function openSavedGames() {
+    const canSave = GameController.canSaveGame();
+    if (GameController.getGameState() && !canSave) {
+        UI.showError('Only local games in progress can be saved');
+        return;
+    }
+
+    renderSaveSlots();
+    UI.showSavedGames(canSave);
+}
+
+/**
+ * Redraw the list of saved games
+ */
+function renderSaveSlots() {
+    UI.renderSaveSlots(Storage.listSaveSlots(), {
+        onLoad(name) {
+            if (GameController.canSaveGame() && !confirm('Load this game? The current game will be replaced.')) return;
+            GameController.loadGame(name);
+        },
+        onDelete(name) {
+            if (!confirm(`Delete the saved game "${name}"?`)) return;
+            try {
+                Storage.deleteSlot(name);
+            } catch (error) {
+                UI.showError(error.message);
+            }
+            renderSaveSlots();
+        }
+    });
+}
+
+// ===== GAME RECORD LISTENERS =====
+
+function setupGameRecordListeners() {
+    const textArea = document.getElementById('gameRecordText');
+    const fileInput = document.getElementById('recordFileInput');
+
+    // Copy button
+    document.getElementById('copyRecordBtn').addEventListener('click', () => {
+        navigator.clipboard.writeText(textArea.value)
+            .then(() => UI.showFeedback('Game record copied!'))
+            .catch(() => UI.showError('Could not copy - select the text and copy it manually'));
+    });
+
+    // Download button
+    document.getElementById('downloadRecordBtn').addEventListener('click', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`dots-and-boxes-${date}.txt`, new Blob([textArea.value], { type: 'text/plain' }));
+    });
+
+    // Open File button
+    document.getElementById('uploadRecordBtn').addEventListener('click', () => {
+        fileInput.click();
+    });
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        file.text()
+            .then((text) => { textArea.value = text; })
+            .catch(() => UI.showError('Could not read that file'));
+    });
+
+    // Import button
+    document.getElementById('importRecordBtn').addEventListener('click', () => {
+        GameController.importGame(textArea.value);
+    });
+
+    // Replay button (watch the imported game instead of continuing it)
+    document.getElementById('replayRecordBtn').addEventListener('click', () => {
+        GameController.importGame(textArea.value, { replay: true });
+    });
+
+    // Close button (back to the menu if there is no game underneath)
+    document.getElementById('closeRecordBtn').addEventListener('click', () => {
+        if (GameController.getGameState()) {
+            UI.hideGameRecord();
+        } else {
+            GameController.showMenu();
+        }
+    });
+}
+
+// ===== BOARD IMAGE LISTENERS =====
+
+function setupBoardImageListeners() {
+    // Options redraw the preview
+    ['boardImageCard', 'boardImageNumbers'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateBoardImagePreview);
+    });
+
+    // Download button
+    document.getElementById('downloadImageBtn').addEventListener('click', () => {
+        saveBoardImage(false);
+    });
+
+    // Share button (phones and tablets that can share files)
+    document.getElementById('shareImageBtn').addEventListener('click', () => {
+        saveBoardImage(true);
+    });
+
+    // Close button
+    document.getElementById('closeImageBtn').addEventListener('click', () => {
+        UI.hideBoardImage();
+    });
+}
+
+/**
+ * Open the board image modal
+ * @param {boolean} card - True to start with the result card selected
+ */
+function openBoardImage(card) {
+    UI.showBoardImage(card, canShareImages());
+    updateBoardImagePreview();
+}
+
+/**
+ * Redraw the image preview with the chosen options
+ */
+function updateBoardImagePreview() {
+    const image = GameController.createBoardImage(UI.getBoardImageOptions());
+    if (image) UI.updateBoardImagePreview(BoardImage.getSvgDataUrl(image));
+}
+
+/**
+ * Download or share the board image in the chosen format
+ * @param {boolean} share - True to open the device's share sheet instead of downloading
+ */
+function saveBoardImage(share) {
+    const options = UI.getBoardImageOptions();
+    const image = GameController.createBoardImage(options);
+    if (!image) return;
+
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `dots-and-boxes-${options.card ? 'result' : 'board'}-${date}.${options.format}`;
+    const blob = options.format === 'svg'
+        ? Promise.resolve(new Blob([image.svg], { type: 'image/svg+xml' }))
+        : BoardImage.renderPng(image);
+
+    blob.then((contents) => {
+        if (!share) {
+            downloadFile(filename, contents);
+            return null;
+        }
+        const file = new File([contents], filename, { type: contents.type });
+        return navigator.share({ files: [file], title: 'Dots and Boxes' })
+            .catch((error) => {
+                // Closing the share sheet is not an error
+                if (error.name !== 'AbortError') throw new Error('Could not share the image');
+            });
+    }).catch(error => UI.showError(error.message));
+}
+
+/**
+ * Check if the device can share image files (Web Share API)
+ * @returns {boolean} True if the Share button can be offered
+ */
+function canShareImages() {
+    if (typeof navigator.canShare !== 'function') return false;
+    const file = new File([''], 'board.png', { type: 'image/png' });
+    return navigator.canShare({ files: [file] });
+}
+
+// ===== REPLAY LISTENERS =====
+
+function setupReplayListeners() {
+    const slider = document.getElementById('replaySlider');
+    const speedSelect = document.getElementById('replaySpeed');
+
+    // Step buttons
+    document.getElementById('replayStartBtn').addEventListener('click', () => {
+        GameController.stepReplay(-Infinity);
+    });
+
+    document.getElementById('replayBackBtn').addEventListener('click', () => {
+        GameController.stepReplay(-1);
+    });
+
+    document.getElementById('replayForwardBtn').addEventListener('click', () => {
+        GameController.stepReplay(1);
+    });
+
+    document.getElementById('replayEndBtn').addEventListener('click', () => {
+        GameController.stepReplay(Infinity);
+    });
+
+    // Play / Pause button
+    document.getElementById('replayPlayBtn').addEventListener('click', () => {
+        GameController.toggleReplayAutoplay();
+    });
+
+    // Slider jumps to any move
+    slider.addEventListener('input', () => {
+        GameController.seekReplay(Number(slider.value));
+    });
+
+    // Autoplay speed
+    speedSelect.addEventListener('change', () => {
+        GameController.setReplaySpeed(Number(speedSelect.value));
+    });
+
+    // Exit Replay button
+    document.getElementById('exitReplayBtn').addEventListener('click', () => {
+        GameController.exitReplay();
+    });
+
+    // Analysis: jump to the position before a flagged move
+    document.getElementById('analysisList').addEventListener('click', (event) => {
+        const item = event.target.closest('.analysis-item');
+        if (item) {
+            GameController.seekReplay(Number(item.dataset.position));
+        }
+    });
+
+    // Keyboard: arrows step, Home/End jump, Space plays/pauses
+    document.addEventListener('keydown', (event) => {
+        if (!GameController.isReplaying()) return;
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        if (event.key === ' ' && event.target.tagName === 'BUTTON') return;  // Space already clicks it
+
+        const actions = {
+            ArrowLeft: () => GameController.stepReplay(-1),
+            ArrowRight: () => GameController.stepReplay(1),
+            Home: () => GameController.stepReplay(-Infinity),
+            End: () => GameController.stepReplay(Infinity),
+            ' ': () => GameController.toggleReplayAutoplay()
+        };
+
+        if (actions[event.key]) {
+            event.preventDefault();
+            actions[event.key]();
+        }
+    });
+}
+
+// ===== PLAYER STATS LISTENERS =====
+
+function setupStatsListeners() {
+    const playerSelect = document.getElementById('statsPlayer');
+
+    // Player picker
+    playerSelect.addEventListener('change', () => {
+        UI.renderStats(Profiles.listProfiles(), Number(playerSelect.value));
+    });
+
+    // Export button
+    document.getElementById('exportStatsBtn').addEventListener('click', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`dots-and-boxes-stats-${date}.json`,
+            new Blob([Profiles.exportProfiles()], { type: 'application/json' }));
+    });
+
+    // Clear All button
+    document.getElementById('clearStatsBtn').addEventListener('click', () => {
+        if (!confirm('Delete all player stats? This cannot be undone.')) return;
+        Profiles.clearProfiles();
+        UI.renderStats([], 0);
+    });
+
+    // Close button
+    document.getElementById('closeStatsBtn').addEventListener('click', () => {
+        GameController.showMenu();
+    });
+}
+
+// ===== LEADERBOARD LISTENERS =====
+
+function setupLeaderboardListeners() {
+    const playerSelect = document.getElementById('leaderboardPlayer');
+
+    // Rating history player picker
+    playerSelect.addEventListener('change', () => {
+        UI.renderLeaderboard(Ratings.getLeaderboard(), Number(playerSelect.value));
+    });
+
+    // Clear All button
+    document.getElementById('clearRatingsBtn').addEventListener('click', () => {
+        if (!confirm('Delete all ratings? This cannot be undone.')) return;
+        Ratings.clearRatings();
+        UI.renderLeaderboard([], 0);
+    });
+
+    // Close button
+    document.getElementById('closeLeaderboardBtn').addEventListener('click', () => {
+        GameController.showMenu();
+    });
+}
+
+// ===== TOURNAMENT LISTENERS =====
+
+function setupTournamentListeners() {
+    // Start Tournament button
+    document.getElementById('startTournamentBtn').addEventListener('click', () => {
+        const { format, names, settings } = UI.getTournamentSetup();
+        GameController.startTournament(format, names, settings);
+    });
+
+    // Cancel button (back to the saved tournament, or wherever the modal was opened from)
+    document.getElementById('cancelTournamentSetupBtn').addEventListener('click', () => {
+        if (Tournaments.loadTournament()) {
+            GameController.showTournament();
+        } else {
+            closeTournament();
+        }
+    });
+
+    // Play Next Game button
+    document.getElementById('playTournamentBtn').addEventListener('click', () => {
+        if (GameController.canSaveGame() && !confirm('Start the next tournament game? The current game will be lost.')) return;
+        GameController.playTournamentGame();
+    });
+
+    // New Tournament button
+    document.getElementById('newTournamentBtn').addEventListener('click', () => {
+        const tournament = Tournaments.loadTournament();
+        if (tournament && !tournament.finished &&
+            !confirm('Set up a new tournament? This one will be replaced once the new one starts.')) return;
+        UI.showTournamentSetup();
+    });
+
+    // Close button
+    document.getElementById('closeTournamentBtn').addEventListener('click', closeTournament);
+}
+
+/**
+ * Close the tournament modal, back to the game underneath or the menu
+ */
+function closeTournament() {
+    if (GameController.getGameState()) {
+        UI.hideTournament();
+    } else {
+        GameController.showMenu();
+    }
+}
+
+// ===== PUZZLE LISTENERS =====
+
+function setupPuzzleListeners() {
+    // Play a puzzle from the list
+    document.getElementById('puzzleList').addEventListener('click', (event) => {
+        const button = event.target.closest('.puzzle-play');
+        if (!button) return;
+        if (GameController.canSaveGame() && !confirm('Start this puzzle? The current game will be lost.')) return;
+        GameController.startPuzzle(button.dataset.puzzle);
+    });
+
+    // Clear Progress button
+    document.getElementById('clearPuzzleProgressBtn').addEventListener('click', () => {
+        if (!confirm('Forget which puzzles you have tried and solved?')) return;
+        Puzzles.clearPuzzleProgress();
+        GameController.showPuzzles();
+    });
+
+    // Close button (back to the puzzle underneath or the menu)
+    document.getElementById('closePuzzlesBtn').addEventListener('click', () => {
+        if (GameController.getGameState()) {
+            UI.hidePuzzles();
+        } else {
+            GameController.showMenu();
+        }
+    });
+
+    // Puzzle controls under the board
+    document.getElementById('retryPuzzleBtn').addEventListener('click', () => {
+        GameController.retryPuzzle();
+    });
+
+    document.getElementById('revealPuzzleBtn').addEventListener('click', () => {
+        GameController.revealPuzzle();
+    });
+
+    document.getElementById('nextPuzzleBtn').addEventListener('click', () => {
+        GameController.nextPuzzle();
+    });
+
+    document.getElementById('allPuzzlesBtn').addEventListener('click', () => {
+        GameController.showPuzzles();
+    });
+}
+
+// ===== BOARD EDITOR LISTENERS =====
+
+function setupLayoutEditorListeners() {
+    // Start from: a blank board of the current size, or a copy of a built-in or saved shape
+    document.getElementById('layoutOpen').addEventListener('change', event => {
+        const layout = BoardLayouts.findLayout(event.target.value);
+        editorLayout = layout
+            ? BoardLayouts.readLayout(layout)
+            : BoardLayouts.createBlankLayout(editorLayout.rows, editorLayout.cols, editorLayout.name);
+        renderLayoutEditor();
+    });
+
+    // Name (kept as typed; checked when saving)
+    document.getElementById('layoutName').addEventListener('input', event => {
+        editorLayout.name = event.target.value;
+    });
+
+    // Size: whatever no longer fits is dropped
+    ['layoutRows', 'layoutCols'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            const { rows, cols } = UI.getLayoutEditorFields();
+            if (!isValidGridSize(rows, cols)) {
+                UI.showError(`Boards need ${MIN_GRID_SIZE}-${MAX_GRID_SIZE} dots per side`);
+            } else {
+                editorLayout = BoardLayouts.resizeLayout(editorLayout, rows, cols);
+            }
+            renderLayoutEditor();
+        });
+    });
+
+    // Apply button: take the shape from the JSON text
+    document.getElementById('applyLayoutTextBtn').addEventListener('click', () => {
+        try {
+            editorLayout = BoardLayouts.parseLayoutText(document.getElementById('layoutText').value);
+        } catch (error) {
+            UI.showError(error.message);
+            return;
+        }
+        renderLayoutEditor();
+    });
+
+    // Save button
+    document.getElementById('saveLayoutBtn').addEventListener('click', () => {
+        let saved;
+        try {
+            saved = BoardLayouts.saveLayout(editorLayout);
+        } catch (error) {
+            UI.showError(error.message);
+            return;
+        }
+        editorLayout = saved;
+        UI.renderLayoutOptions(BoardLayouts.listLayouts());
+        renderLayoutEditor();
+        UI.showFeedback(`Saved board "${saved.name}"`);
+    });
+
+    // Delete button (saved shapes only)
+    document.getElementById('deleteLayoutBtn').addEventListener('click', () => {
+        const name = editorLayout.name.trim();
+        const layout = BoardLayouts.findLayout(name);
+        if (!layout || layout.preset) {
+            UI.showError('Only saved boards can be deleted');
+            return;
+        }
+        if (!confirm(`Delete the board "${name}"?`)) return;
+
+        try {
+            BoardLayouts.deleteLayout(name);
+        } catch (error) {
+            UI.showError(error.message);
+            return;
+        }
+        UI.renderLayoutOptions(BoardLayouts.listLayouts());
+        UI.showFeedback(`Deleted board "${name}"`);
+    });
+
+    // Close button
+    document.getElementById('closeLayoutEditorBtn').addEventListener('click', () => {
+        GameController.showMenu();
+    });
+}
+
+/**
+ * Redraw the board editor for the shape being designed
+ */
+function renderLayoutEditor() {
+    UI.renderLayoutEditor(editorLayout, {
+        onBox(row, col) {
+            editorLayout = BoardLayouts.toggleHole(editorLayout, row, col);
+            renderLayoutEditor();
+        },
+        onEdge(line) {
+            editorLayout = BoardLayouts.cycleLine(editorLayout, line);
+            renderLayoutEditor();
+        }
     });
 }
 
@@ -158,34 +1091,89 @@ function setupGameOverListeners() {
         GameController.restartGame();
     });
 
+    // Standings button (tournament games)
+    document.getElementById('tournamentStandingsBtn').addEventListener('click', () => {
+        GameController.showTournament();
+    });
+
+    // Watch Replay button
+    document.getElementById('replayGameBtn').addEventListener('click', () => {
+        GameController.startReplay();
+    });
+
+    // Analyze Game button
+    document.getElementById('analyzeGameBtn').addEventListener('click', () => {
+        GameController.startAnalysis();
+    });
+
+    // Export Game button
+    document.getElementById('exportFinishedGameBtn').addEventListener('click', () => {
+        UI.showGameRecord('export', GameController.exportGame());
+    });
+
+    // Result Card button
+    document.getElementById('resultCardBtn').addEventListener('click', () => {
+        openBoardImage(true);
+    });
+
     // Main Menu button
     document.getElementById('mainMenuBtn').addEventListener('click', () => {
         GameController.quitGame();
     });
 }
 
-// ===== HELPER: COLOR PICKER =====
+// ===== HELPER: GRID SIZE PICKER =====
 
 /**
- * Set up a color picker with presets and custom input
- * @param {string} playerPrefix - Prefix for element IDs ('player1', 'player2', etc.)
- * @param {HTMLElement} customInput - Custom color input element
- * @param {NodeList} swatches - Preset color swatch buttons
- * @param {Function} onChange - Callback when color changes
+ * Show the custom row/column inputs when "Custom..." is selected
+ * @param {string} prefix - Element ID prefix ('setup' or 'online')
  */
-function setupColorPicker(playerPrefix, customInput, swatches, onChange) {
-    // Preset swatch click
-    swatches.forEach(swatch => {
-        swatch.addEventListener('click', () => {
-            const color = swatch.dataset.color;
-            customInput.value = color;
-            onChange(color);
-        });
+function setupGridSizePicker(prefix) {
+    const select = document.getElementById(`${prefix}GridSize`);
+    select.addEventListener('change', () => {
+        document.getElementById(`${prefix}CustomSize`).classList.toggle('hidden', select.value !== 'custom');
     });
+}
 
-    // Custom color input change
-    customInput.addEventListener('input', () => {
-        const color = customInput.value;
-        onChange(color);
-    });
+/**
+ * Read the chosen board size from a grid size picker
+ * @param {string} prefix - Element ID prefix ('setup' or 'online')
+ * @returns {Object|null} {rows, cols} in dots, or null if the custom size is invalid
+ */
+function readGridSize(prefix) {
+    const value = document.getElementById(`${prefix}GridSize`).value;
+    let rows;
+    let cols;
+
+    if (value === 'custom') {
+        rows = parseInt(document.getElementById(`${prefix}Rows`).value);
+        cols = parseInt(document.getElementById(`${prefix}Cols`).value);
+    } else {
+        [rows, cols] = value.split('x').map(Number);
+    }
+
+    if (!isValidGridSize(rows, cols)) {
+        UI.showError(`Boards need ${MIN_GRID_SIZE}-${MAX_GRID_SIZE} dots per side`);
+        return null;
+    }
+
+    return { rows, cols };
+}
+
+// ===== HELPER: FILE DOWNLOAD =====
+
+/**
+ * Save a file to the player's device
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+function downloadFile(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 }
@@ -0,0 +1,116 @@
+// PeerJS transport - direct WebRTC connection between the two players
+// Uses the public PeerJS signaling server; the room code becomes the host's peer ID
+
+import { createEventHandlers } from './utils.js';
+
+// Prefix so our room codes don't collide with other PeerJS apps
+const PEER_ID_PREFIX = 'dotsandblox-';
+
+/**
+ * Create a transport backed by PeerJS (loaded globally from index.html)
+ * @returns {Object} Transport (see transport.js)
+ */
+export function createPeerTransport() {
+    const events = createEventHandlers();
+    let peer = null;
+    let connection = null;
+
+    /**
+     * Create the local peer, resolving once it is registered
+     * @param {string|undefined} id - Requested peer ID (host) or undefined (guest)
+     * @returns {Promise<Object>} Open Peer instance
+     */
+    function openPeer(id) {
+        if (typeof window.Peer !== 'function') {
+            return Promise.reject(new Error('PeerJS failed to load. Check your internet connection.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            peer = new window.Peer(id);
+            peer.on('open', () => resolve(peer));
+            peer.on('error', (error) => {
+                if (error.type === 'unavailable-id') {
+                    reject(new Error('That room code is already in use.'));
+                } else if (error.type === 'peer-unavailable') {
+                    reject(new Error('Room not found. Check the code and try again.'));
+                } else {
+                    reject(new Error(`Connection error: ${error.type || error.message}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Wire up a data connection to the other player
+     * @param {Object} conn - PeerJS DataConnection
+     */
+    function attachConnection(conn) {
+        connection = conn;
+        conn.on('data', (data) => events.emit('message', data));
+        conn.on('close', () => {
+            if (connection === conn) {
+                connection = null;
+                events.emit('disconnect');
+            }
+        });
+    }
+
+    return {
+        host(roomCode) {
+            return openPeer(PEER_ID_PREFIX + roomCode).then(() => {
+                peer.on('connection', (conn) => {
+                    // Only one opponent per room
+                    if (connection) {
+                        conn.on('open', () => conn.close());
+                        return;
+                    }
+
+                    conn.on('open', () => {
+                        attachConnection(conn);
+                        events.emit('connect');
+                    });
+                });
+            });
+        },
+
+        join(roomCode) {
+            return openPeer(undefined).then(() => new Promise((resolve, reject) => {
+                const conn = peer.connect(PEER_ID_PREFIX + roomCode, { reliable: true });
+                conn.on('open', () => {
+                    attachConnection(conn);
+                    resolve();
+                });
+                conn.on('error', () => reject(new Error('Could not connect to the host.')));
+                peer.on('error', (error) => {
+                    if (error.type === 'peer-unavailable') {
+                        reject(new Error('Room not found. Check the code and try again.'));
+                    }
+                });
+            }));
+        },
+
+        send(message) {
+            if (connection) connection.send(message);
+        },
+
+        onConnect(handler) {
+            events.on('connect', handler);
+        },
+
+        onMessage(handler) {
+            events.on('message', handler);
+        },
+
+        onDisconnect(handler) {
+            events.on('disconnect', handler);
+        },
+
+        close() {
+            const conn = connection;
+            connection = null;
+            if (conn) conn.close();
+            if (peer) peer.destroy();
+            peer = null;
+        }
+    };
+}
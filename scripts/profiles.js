@@ -0,0 +1,260 @@
+// Player profiles - lifetime statistics stored in localStorage
+// Named human players in local games get a profile that follows them across sessions
+
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+import { STANDARD_RULES, comparePlayers } from './game-engine.js';
+import { getTotalScore } from './game-logic.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Bump when the profile format changes
+export const PROFILES_VERSION = 1;
+
+const PROFILES_KEY = 'dotsandblox.profiles';
+
+/**
+ * Lifetime statistics for one player:
+ *
+ * @typedef {Object} Profile
+ * @property {string} name - Display name (as last entered)
+ * @property {number} games - Games played
+ * @property {number} wins - Games won outright
+ * @property {number} losses - Games lost
+ * @property {number} ties - Games sharing the top score
+ * @property {number} totalMargin - Sum of margins over the best other score (positive when ahead) over all games
+ * @property {number} longestChain - Most boxes captured in a single turn
+ * @property {Object} streak - Current run of results: {result: 'win'|'loss'|'tie', count}
+ * @property {number} bestWinStreak - Longest run of wins
+ * @property {Object} opponents - Opponent name -> {games, wins, losses, ties} (result against that opponent)
+ * @property {Object} boardSizes - "ROWSxCOLS" -> {games, wins, losses, ties}
+ * @property {string} lastPlayed - ISO date of the last game
+ */
+
+// ===== HELPERS =====
+
+/**
+ * Key a profile by name, ignoring case and extra spaces
+ * @param {string} name - Player name
+ * @returns {string} Profile key
+ */
+export function getProfileKey(name) {
+    return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Check if a player should have a profile (named humans only)
+ * @param {Object} player - {difficulty, anonymous}; anonymous players kept the default "Player N" name
+ * @returns {boolean} True if the player's games are recorded
+ */
+export function isTrackedPlayer(player) {
+    return player.difficulty === null && !player.anonymous;
+}
+
+/**
+ * Create an empty win/loss/tie record
+ * @returns {Object} {games, wins, losses, ties}
+ */
+function createRecord() {
+    return { games: 0, wins: 0, losses: 0, ties: 0 };
+}
+
+/**
+ * Add one result to a win/loss/tie record (MUTATES record)
+ * @param {Object} record - {games, wins, losses, ties}
+ * @param {string} result - 'win', 'loss' or 'tie'
+ */
+function addResult(record, result) {
+    record.games++;
+    record[{ win: 'wins', loss: 'losses', tie: 'ties' }[result]]++;
+}
+
+/**
+ * Create a profile with no games
+ * @param {string} name - Player name
+ * @returns {Profile} New profile
+ */
+function createProfile(name) {
+    return {
+        name,
+        ...createRecord(),
+        totalMargin: 0,
+        longestChain: 0,
+        streak: { result: null, count: 0 },
+        bestWinStreak: 0,
+        opponents: {},
+        boardSizes: {},
+        lastPlayed: null
+    };
+}
+
+/**
+ * Most boxes each player captured in a single turn
+ * @param {Array} moveHistory - [{player, completedBoxes}]
+ * @returns {Object} Player number -> longest run of boxes
+ */
+export function getLongestChains(moveHistory) {
+    const longest = {};
+    let runPlayer = null;
+    let run = 0;
+
+    moveHistory.forEach(move => {
+        if (move.player !== runPlayer) {
+            runPlayer = move.player;
+            run = 0;
+        }
+        run += move.completedBoxes.length;
+        longest[move.player] = Math.max(longest[move.player] || 0, run);
+
+        // A line that completes nothing ends the turn
+        if (move.completedBoxes.length === 0) {
+            runPlayer = null;
+        }
+    });
+
+    return longest;
+}
+
+// ===== STORAGE =====
+
+/**
+ * Load all profiles (an unreadable or outdated store counts as empty)
+ * @returns {Object} Profile key -> Profile
+ */
+function readProfiles() {
+    const data = readStorage(PROFILES_KEY);
+    if (!data) return {};
+
+    if (data.version !== PROFILES_VERSION || !data.profiles || typeof data.profiles !== 'object') {
+        console.warn('Ignoring unreadable player profiles');
+        return {};
+    }
+    return data.profiles;
+}
+
+/**
+ * Save all profiles
+ * @param {Object} profiles - Profile key -> Profile
+ */
+function writeProfiles(profiles) {
+    try {
+        writeStorage(PROFILES_KEY, { version: PROFILES_VERSION, profiles });
+    } catch (error) {
+        console.warn('Could not save player profiles:', error.message);
+    }
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * Record a finished game for every tracked player
+ * @param {Object} gameState - Final game state
+ * @param {Array} players - Players in turn order: [{name, difficulty}]
+ * @param {Array} moveHistory - Moves of the game: [{player, completedBoxes}]
+ * @param {Object} rules - Rules the game was played with (decides which score is better)
+ * @returns {Array} Updated profiles of the tracked players, in turn order
+ */
+export function recordGame(gameState, players, moveHistory, rules = STANDARD_RULES) {
+    const profiles = readProfiles();
+    const chains = getLongestChains(moveHistory);
+    const boardSize = `${gameState.rows}x${gameState.cols}`;
+    const scoreOf = index => getTotalScore(gameState, index + 1);
+    const compare = (a, b) => {
+        const order = comparePlayers(gameState, a, b, rules);
+        return order > 0 ? 'win' : order < 0 ? 'loss' : 'tie';
+    };
+    const updated = [];
+
+    players.forEach((player, index) => {
+        if (!isTrackedPlayer(player)) return;
+
+        const key = getProfileKey(player.name);
+        const profile = profiles[key] || createProfile(player.name);
+        profile.name = player.name;
+
+        // Overall result: only a sole leader wins
+        const number = index + 1;
+        const result = !gameState.winners.includes(number) ? 'loss' : gameState.winner === number ? 'win' : 'tie';
+        addResult(profile, result);
+
+        const bestOther = players
+            .map((other, i) => scoreOf(i))
+            .filter((score, i) => i !== index)
+            .reduce((top, score) => (rules.compareScores(score, top) > 0 ? score : top));
+        profile.totalMargin += rules.compareScores(scoreOf(index), bestOther);
+        profile.longestChain = Math.max(profile.longestChain, chains[number] || 0);
+
+        // Streaks
+        if (profile.streak.result === result) {
+            profile.streak.count++;
+        } else {
+            profile.streak = { result, count: 1 };
+        }
+        if (result === 'win') {
+            profile.bestWinStreak = Math.max(profile.bestWinStreak, profile.streak.count);
+        }
+
+        // Head to head: compare scores with each opponent (a player who forfeited loses)
+        players.forEach((other, i) => {
+            if (i === index) return;
+            profile.opponents[other.name] = profile.opponents[other.name] || createRecord();
+            addResult(profile.opponents[other.name], compare(number, i + 1));
+        });
+
+        profile.boardSizes[boardSize] = profile.boardSizes[boardSize] || createRecord();
+        addResult(profile.boardSizes[boardSize], result);
+
+        profile.lastPlayed = new Date().toISOString();
+        profiles[key] = profile;
+        updated.push(profile);
+    });
+
+    if (updated.length > 0) {
+        writeProfiles(profiles);
+    }
+    return updated;
+}
+
+/**
+ * List all profiles, most games first
+ * @returns {Array} Profiles
+ */
+export function listProfiles() {
+    return Object.values(readProfiles()).sort((a, b) => b.games - a.games || a.name.localeCompare(b.name));
+}
+
+/**
+ * Look up one player's profile
+ * @param {string} name - Player name
+ * @returns {Profile|null} Profile, or null if the player has none
+ */
+export function getProfile(name) {
+    return readProfiles()[getProfileKey(name)] || null;
+}
+
+/**
+ * Average margin of victory (negative when losing on average)
+ * @param {Profile} profile - Player profile
+ * @returns {number} Average of own score minus best other score
+ */
+export function getAverageMargin(profile) {
+    return profile.games > 0 ? profile.totalMargin / profile.games : 0;
+}
+
+/**
+ * All profile data as JSON, for backing up
+ * @returns {string} JSON text
+ */
+export function exportProfiles() {
+    return JSON.stringify({
+        version: PROFILES_VERSION,
+        exportedAt: new Date().toISOString(),
+        profiles: readProfiles()
+    }, null, 2);
+}
+
+/**
+ * Delete every profile
+ */
+export function clearProfiles() {
+    removeStorage(PROFILES_KEY);
+}
@@ -0,0 +1,379 @@
+// Puzzles - "win from here" positions, checked against the exact solver
+// Progress (attempts, solved, solution seen) is kept in localStorage
+
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+import * as GameLogic from './game-logic.js';
+import * as Engine from './game-engine.js';
+import * as Solver from './solver.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Bump when the saved progress format changes
+export const PUZZLE_PROGRESS_VERSION = 1;
+
+const PROGRESS_KEY = 'dotsandblox.puzzles';
+
+// What the player to move has to do
+export const PUZZLE_GOALS = {
+    move: { name: 'Find the move', description: 'Draw the one line that keeps the win' },
+    play: { name: 'Play it out', description: 'Finish the game against the computer, which replies perfectly' }
+};
+
+/**
+ * A puzzle position, as written in PUZZLES (plain JSON):
+ *
+ * @typedef {Object} Puzzle
+ * @property {string} id - Unique id (progress is saved under it)
+ * @property {string} name - Display name
+ * @property {string} description - What to look out for
+ * @property {number} rows - Number of dot rows
+ * @property {number} cols - Number of dot columns
+ * @property {Array} lines - Lines drawn so far, named as in game records: ["h0,0", "v1,2"]
+ * @property {Object} boxes - Boxes taken so far: {"row,col": player}; exactly the boxes the lines close
+ * @property {number} toMove - Player to move (1 or 2); the computer plays the other side
+ * @property {string} goal - Key of PUZZLE_GOALS
+ * @property {number} margin - Boxes the player to move must win by, counting the boxes taken so far
+ *                             (0 to hold a draw)
+ * @property {Object} layout - Custom board shape (see Layout in game-logic.js); omit for the full board
+ *
+ * Positions must be small enough for the solver (see solver.js MAX_SOLVER_LINES).
+ */
+
+// Built-in puzzles, easiest first
+export const PUZZLES = [
+    {
+        id: 'all-but-two',
+        name: 'All but two',
+        description: 'Two boxes are yours for the taking - but then you have to open the long chain. Keep control instead.',
+        rows: 4,
+        cols: 4,
+        lines: ['h0,0', 'h0,1', 'h1,0', 'h1,1', 'h1,2', 'h2,2', 'h3,0', 'h3,1', 'h3,2',
+            'v0,0', 'v0,1', 'v0,3', 'v1,1', 'v2,0', 'v2,2', 'v2,3'],
+        boxes: { '0,0': 1, '2,2': 2 },
+        toMove: 1,
+        goal: 'move',
+        margin: 1
+    },
+    {
+        id: 'hard-hearted-handout',
+        name: 'Hard-hearted handout',
+        description: "No safe lines are left. Give away the short chain - in a way your opponent can't turn down.",
+        rows: 4,
+        cols: 4,
+        lines: ['h0,0', 'h0,1', 'h2,2', 'h3,1', 'h3,2',
+            'v0,0', 'v0,2', 'v0,3', 'v1,0', 'v1,1', 'v1,2', 'v2,0', 'v2,1'],
+        boxes: {},
+        toMove: 2,
+        goal: 'move',
+        margin: 1
+    },
+    {
+        id: 'take-one-leave-two',
+        name: 'Take one, leave two',
+        description: 'Boxes are on offer at both ends of the top row. Take what you can keep, then make your opponent open the long chain.',
+        rows: 4,
+        cols: 4,
+        lines: ['h0,0', 'h0,1', 'h0,2', 'h1,0', 'h1,1', 'h1,2', 'h2,0', 'h3,0', 'h3,2',
+            'v0,2', 'v1,0', 'v1,1', 'v1,3', 'v2,0', 'v2,1', 'v2,2'],
+        boxes: { '1,0': 1, '2,0': 2 },
+        toMove: 1,
+        goal: 'play',
+        margin: 3
+    },
+    {
+        id: 'count-the-chains',
+        name: 'Count the chains',
+        description: 'Only one line wins. Count the chains and work out who will have to open the first one.',
+        rows: 4,
+        cols: 4,
+        lines: ['h0,0', 'h2,0', 'h2,1', 'h2,2', 'h3,0', 'h3,1', 'h3,2',
+            'v0,1', 'v0,2', 'v0,3', 'v1,2'],
+        boxes: {},
+        toMove: 2,
+        goal: 'move',
+        margin: 1
+    },
+    {
+        id: 'which-capture',
+        name: 'Which capture?',
+        description: 'Two boxes can be taken, but only one capture lets you keep every box that is left.',
+        rows: 5,
+        cols: 5,
+        lines: ['h0,0', 'h0,1', 'h0,2', 'h0,3', 'h1,0', 'h1,1', 'h1,2', 'h2,2', 'h3,1', 'h3,2', 'h3,3',
+            'h4,0', 'h4,1', 'h4,3',
+            'v0,2', 'v0,3', 'v1,0', 'v1,3', 'v1,4', 'v2,0', 'v2,1', 'v2,4', 'v3,0', 'v3,3', 'v3,4'],
+        boxes: { '0,2': 2, '3,3': 1 },
+        toMove: 2,
+        goal: 'move',
+        margin: 10
+    },
+    {
+        id: 'come-from-behind',
+        name: 'Come from behind',
+        description: "You're two boxes down with ten left to share. Win the game from here.",
+        rows: 5,
+        cols: 5,
+        lines: ['h0,0', 'h0,2', 'h0,3', 'h1,0', 'h1,1', 'h1,2', 'h2,0', 'h2,1', 'h2,2', 'h3,0', 'h3,1', 'h3,3',
+            'h4,0', 'h4,2', 'h4,3',
+            'v0,0', 'v0,1', 'v0,4', 'v1,0', 'v1,1', 'v1,2', 'v1,3', 'v1,4', 'v2,0', 'v2,1', 'v2,2', 'v2,4', 'v3,2'],
+        boxes: { '0,0': 2, '1,0': 2, '1,1': 2, '1,2': 2, '2,0': 1, '2,1': 1 },
+        toMove: 1,
+        goal: 'play',
+        margin: 1
+    },
+    {
+        id: 'endgame-technique',
+        name: 'Endgame technique',
+        description: 'Nine boxes left and none taken yet. Win at least seven of them against the computer.',
+        rows: 4,
+        cols: 4,
+        lines: ['h0,0', 'h0,2', 'h1,1', 'h3,0', 'h3,1',
+            'v0,0', 'v0,2', 'v1,0', 'v1,2', 'v1,3', 'v2,1'],
+        boxes: {},
+        toMove: 2,
+        goal: 'play',
+        margin: 5
+    },
+    {
+        id: 'turn-it-around',
+        name: 'Turn it around',
+        description: "You're a box behind on the big board. Every box counts: win by eight.",
+        rows: 5,
+        cols: 5,
+        lines: ['h0,0', 'h0,1', 'h0,2', 'h1,1', 'h1,2', 'h1,3', 'h3,2', 'h3,3', 'h4,0', 'h4,1', 'h4,2', 'h4,3',
+            'v0,1', 'v0,2', 'v0,4', 'v1,0', 'v1,1', 'v1,3', 'v2,0', 'v2,1', 'v2,2', 'v2,4', 'v3,0', 'v3,2',
+            'v3,3', 'v3,4'],
+        boxes: { '0,1': 2, '3,2': 1, '3,3': 1 },
+        toMove: 2,
+        goal: 'play',
+        margin: 8
+    }
+];
+
+// ===== READING PUZZLES =====
+
+/**
+ * Check a puzzle and make sure it can be solved (every puzzle is checked as it starts)
+ * @param {*} data - Puzzle to check (see Puzzle)
+ * @returns {Puzzle} The puzzle
+ * @throws {Error} Naming the first problem, or if the goal can't be reached with perfect play
+ */
+export function readPuzzle(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Not a puzzle');
+    }
+    if (typeof data.id !== 'string' || !data.id || typeof data.name !== 'string' || !data.name) {
+        throw new Error('A puzzle needs an id and a name');
+    }
+    if (!GameLogic.isValidGridSize(data.rows, data.cols)) {
+        throw new Error(`Puzzle boards need ${GameLogic.MIN_GRID_SIZE}-${GameLogic.MAX_GRID_SIZE} dots per side`);
+    }
+    if (data.toMove !== 1 && data.toMove !== 2) {
+        throw new Error('The player to move must be 1 or 2');
+    }
+    if (!Object.hasOwn(PUZZLE_GOALS, data.goal)) {
+        throw new Error(`Unknown puzzle goal: ${data.goal}`);
+    }
+    if (!Number.isInteger(data.margin) || data.margin < 0) {
+        throw new Error('A puzzle margin is a whole number of boxes, 0 or more');
+    }
+
+    const state = createPuzzleState(data);
+    if (state.gameOver) {
+        throw new Error('The puzzle position is already finished');
+    }
+    if (!Solver.canSolve(state, Engine.STANDARD_RULES)) {
+        throw new Error(`Puzzle positions can have up to ${Solver.MAX_SOLVER_LINES} lines left to draw`);
+    }
+    const best = getBestMargin(data, state);
+    if (best < data.margin) {
+        throw new Error(`With perfect play the puzzle ends ${describeMargin(best)}`);
+    }
+
+    return data;
+}
+
+/**
+ * Set up the board of a puzzle
+ * Lines already drawn belong to nobody (GameLogic.NEUTRAL); the boxes keep their owners
+ * @param {Puzzle} puzzle - Puzzle
+ * @returns {Object} Game state with the puzzle's player to move
+ * @throws {Error} If a line or box doesn't fit the board
+ */
+export function createPuzzleState(puzzle) {
+    if (puzzle.layout) GameLogic.checkLayout(puzzle.rows, puzzle.cols, puzzle.layout);
+    const state = GameLogic.createGameState(puzzle.rows, puzzle.cols, 2, [], puzzle.layout || null);
+
+    (puzzle.lines || []).forEach(text => {
+        const line = GameLogic.parseLineKey(text);
+        if (!line || !GameLogic.isValidMove(line.lineType, line.row, line.col, state)) {
+            throw new Error(`Puzzle line "${text}" is not a free line of the board`);
+        }
+        const lines = line.lineType === 'horizontal' ? state.horizontalLines : state.verticalLines;
+        lines.set(`${line.row},${line.col}`, GameLogic.NEUTRAL);
+    });
+
+    // Every closed box needs an owner, and only closed boxes can have one
+    const owners = puzzle.boxes || {};
+    for (let row = 0; row < puzzle.rows - 1; row++) {
+        for (let col = 0; col < puzzle.cols - 1; col++) {
+            const key = `${row},${col}`;
+            const closed = !GameLogic.isHole(row, col, state) && GameLogic.countBoxSides(row, col, state) === 4;
+            if (closed !== Object.hasOwn(owners, key)) {
+                throw new Error(closed ? `Box ${key} is closed but has no owner` : `Box ${key} is not closed`);
+            }
+            if (closed) {
+                if (owners[key] !== 1 && owners[key] !== 2) {
+                    throw new Error(`Box ${key} must belong to player 1 or 2`);
+                }
+                state.boxes.push({ row, col, owner: owners[key] });
+                state.scores[`player${owners[key]}`]++;
+            }
+        }
+    }
+    if (Object.keys(owners).length !== state.boxes.length) {
+        throw new Error('A puzzle box is not on the board');
+    }
+
+    state.currentPlayer = puzzle.toMove;
+    if (Engine.isTerminal(state)) {
+        state.gameOver = true;
+        Object.assign(state, Engine.getResult(state));
+    }
+    return state;
+}
+
+/**
+ * Find a built-in puzzle
+ * @param {string} id - Puzzle id
+ * @returns {Puzzle|null} The puzzle, or null if there is none with that id
+ */
+export function getPuzzle(id) {
+    return PUZZLES.find(puzzle => puzzle.id === id) || null;
+}
+
+/**
+ * The puzzle after this one
+ * @param {string} id - Puzzle id
+ * @returns {Puzzle|null} Next puzzle, or null after the last one
+ */
+export function getNextPuzzle(id) {
+    const index = PUZZLES.findIndex(puzzle => puzzle.id === id);
+    return PUZZLES[index + 1] || null;
+}
+
+// ===== CHECKING SOLUTIONS =====
+
+/**
+ * Where a puzzle stands after the latest move
+ * @param {Puzzle} puzzle - Puzzle being solved
+ * @param {Object} state - Current position (the puzzle's start position or later)
+ * @param {number} linesPlayed - Lines drawn so far by the puzzle's player
+ * @returns {Object} {status: 'open', 'solved' or 'failed', margin: final margin the puzzle's player
+ *                   can still reach with perfect play (the actual margin once the game is over)}
+ */
+export function checkPuzzle(puzzle, state, linesPlayed) {
+    const margin = getBestMargin(puzzle, state);
+
+    if (margin < puzzle.margin) return { status: 'failed', margin };
+    if (state.gameOver || (puzzle.goal === 'move' && linesPlayed > 0)) return { status: 'solved', margin };
+    return { status: 'open', margin };
+}
+
+/**
+ * Final margin the puzzle's player reaches with perfect play from a position
+ * @param {Puzzle} puzzle - Puzzle
+ * @param {Object} state - Position
+ * @returns {number} Their boxes minus the computer's at the end of the game
+ */
+function getBestMargin(puzzle, state) {
+    const opponent = 3 - puzzle.toMove;
+    const lead = state.scores[`player${puzzle.toMove}`] - state.scores[`player${opponent}`];
+    if (state.gameOver) return lead;
+
+    const { value } = Solver.solvePosition(state, Engine.STANDARD_RULES);
+    return lead + (state.currentPlayer === puzzle.toMove ? value : -value);
+}
+
+/**
+ * Lines that reach the goal from a position, for the solution and the computer's replies
+ * @param {Object} state - Position
+ * @returns {Array} Best lines for the player to move: [{lineType, row, col, value}]
+ */
+export function getSolutionMoves(state) {
+    return Solver.getBestMoves(state, Engine.STANDARD_RULES);
+}
+
+/**
+ * Say what a puzzle asks for
+ * @param {Puzzle} puzzle - Puzzle
+ * @returns {string} e.g. "Find the line that wins by 3 or more"
+ */
+export function describeGoal(puzzle) {
+    const target = puzzle.margin === 0 ? 'draws'
+        : puzzle.margin === 1 ? 'wins'
+        : `wins by ${puzzle.margin} or more`;
+
+    if (puzzle.goal === 'move') {
+        return `Find the line that ${target === 'draws' ? 'saves a draw' : target}`;
+    }
+    return puzzle.margin === 0 ? 'Hold the computer to a draw'
+        : puzzle.margin === 1 ? 'Beat the computer from here'
+        : `Beat the computer by ${puzzle.margin} boxes or more`;
+}
+
+/**
+ * Say how a game ends for the puzzle's player
+ * @param {number} margin - Their boxes minus the computer's
+ * @returns {string} e.g. "in a win by 3", "in a draw"
+ */
+export function describeMargin(margin) {
+    if (margin > 0) return `in a win by ${margin}`;
+    if (margin < 0) return `in a loss by ${-margin}`;
+    return 'in a draw';
+}
+
+// ===== PROGRESS =====
+
+/**
+ * Load what the player has done with each puzzle
+ * @returns {Object} Puzzle id -> {attempts, solved, revealed}: solved in an attempt without the solution,
+ *                   and whether the solution was ever shown
+ */
+export function loadPuzzleProgress() {
+    const data = readStorage(PROGRESS_KEY);
+    if (!data) return {};
+
+    if (data.version !== PUZZLE_PROGRESS_VERSION || !data.puzzles || typeof data.puzzles !== 'object') {
+        console.warn('Ignoring unreadable puzzle progress');
+        return {};
+    }
+    return data.puzzles;
+}
+
+/**
+ * Remember what happened in a puzzle
+ * @param {string} id - Puzzle id
+ * @param {string} event - 'attempt' (started or retried), 'solved' or 'revealed' (solution shown)
+ * @returns {Object} Updated progress for the puzzle: {attempts, solved, revealed}
+ * @throws {Error} If storage is unavailable
+ */
+export function recordPuzzleProgress(id, event) {
+    const puzzles = loadPuzzleProgress();
+    const entry = { attempts: 0, solved: false, revealed: false, ...puzzles[id] };
+
+    if (event === 'attempt') entry.attempts++;
+    if (event === 'solved') entry.solved = true;
+    if (event === 'revealed') entry.revealed = true;
+
+    puzzles[id] = entry;
+    writeStorage(PROGRESS_KEY, { version: PUZZLE_PROGRESS_VERSION, puzzles });
+    return entry;
+}
+
+/**
+ * Forget all puzzle progress
+ */
+export function clearPuzzleProgress() {
+    removeStorage(PROGRESS_KEY);
+}
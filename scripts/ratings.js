@@ -0,0 +1,188 @@
+// Player ratings - Elo ladder stored in localStorage
+// Named players are rated against each other after every completed local game
+
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+import { getProfileKey, isTrackedPlayer } from './profiles.js';
+import { STANDARD_RULES, comparePlayers } from './game-engine.js';
+import { getTotalScore } from './game-logic.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Bump when the ratings format changes
+export const RATINGS_VERSION = 1;
+
+export const INITIAL_RATING = 1500;
+
+const RATINGS_KEY = 'dotsandblox.ratings';
+const BASE_K_FACTOR = 32;          // Rating change scale on a 5x5-dot (16-box) board
+const REFERENCE_BOXES = 16;
+const MAX_HISTORY_POINTS = 200;    // Rating history kept per player
+
+/**
+ * One rated player:
+ *
+ * @typedef {Object} RatedPlayer
+ * @property {string} name - Display name (as last entered)
+ * @property {number} rating - Current rating
+ * @property {number} peak - Highest rating reached
+ * @property {number} games - Rated games played
+ * @property {Array} history - [{date, rating}] after each rated game (oldest first)
+ * @property {Object} headToHead - Opponent key -> {wins, losses, ties}
+ */
+
+// ===== RATING MATH =====
+
+/**
+ * Expected score of A against B (0 to 1)
+ * @param {number} ratingA - Rating of player A
+ * @param {number} ratingB - Rating of player B
+ * @returns {number} Probability-like expected score for A
+ */
+export function getExpectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * How much a game can move ratings
+ * Small boards are closer to luck, so they count for less; big boards for more
+ * @param {number} boxes - Boxes on the board
+ * @returns {number} K-factor
+ */
+export function getKFactor(boxes) {
+    const scale = Math.sqrt(boxes / REFERENCE_BOXES);
+    return BASE_K_FACTOR * Math.min(1.5, Math.max(0.25, scale));
+}
+
+/**
+ * Rating changes for one game
+ * Each pair of rated players is an Elo match decided by their scores (equal scores tie);
+ * with more than two rated players each match counts 1/(n-1)
+ * @param {Array} entries - [{rating, score}] for the rated players
+ * @param {number} boxes - Boxes on the board
+ * @param {Function} compare - Orders two entries: positive if the first finished ahead
+ *                             (defaults to most boxes)
+ * @returns {Array} Rating change for each entry
+ */
+export function getRatingChanges(entries, boxes, compare = (a, b) => a.score - b.score) {
+    const k = getKFactor(boxes) / Math.max(1, entries.length - 1);
+
+    return entries.map((entry, index) => entries.reduce((change, other, otherIndex) => {
+        if (otherIndex === index) return change;
+        const order = compare(entry, other);
+        const actual = order > 0 ? 1 : order < 0 ? 0 : 0.5;
+        return change + k * (actual - getExpectedScore(entry.rating, other.rating));
+    }, 0));
+}
+
+// ===== STORAGE =====
+
+/**
+ * Load all rated players (an unreadable or outdated store counts as empty)
+ * @returns {Object} Player key -> RatedPlayer
+ */
+function readRatings() {
+    const data = readStorage(RATINGS_KEY);
+    if (!data) return {};
+
+    if (data.version !== RATINGS_VERSION || !data.players || typeof data.players !== 'object') {
+        console.warn('Ignoring unreadable player ratings');
+        return {};
+    }
+    return data.players;
+}
+
+/**
+ * Save all rated players
+ * @param {Object} ratings - Player key -> RatedPlayer
+ */
+function writeRatings(ratings) {
+    try {
+        writeStorage(RATINGS_KEY, { version: RATINGS_VERSION, players: ratings });
+    } catch (error) {
+        console.warn('Could not save player ratings:', error.message);
+    }
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * Update ratings after a finished game (needs at least two named players)
+ * @param {Object} gameState - Final game state
+ * @param {Array} players - Players in turn order: [{name, difficulty}]
+ * @param {Object} rules - Rules the game was played with (decides which score is better)
+ * @returns {Array} [{name, before, after}] for each rated player, in turn order
+ */
+export function recordGame(gameState, players, rules = STANDARD_RULES) {
+    const seats = players
+        .map((player, index) => ({ player, index }))
+        .filter(({ player }) => isTrackedPlayer(player));
+
+    // Two seats with the same name would be rating themselves
+    const keys = seats.map(({ player }) => getProfileKey(player.name));
+    if (seats.length < 2 || new Set(keys).size !== keys.length) return [];
+
+    const ratings = readRatings();
+    const date = new Date().toISOString();
+
+    const entries = seats.map(({ player, index }, i) => {
+        const rated = ratings[keys[i]] || {
+            name: player.name,
+            rating: INITIAL_RATING,
+            peak: INITIAL_RATING,
+            games: 0,
+            history: [],
+            headToHead: {}
+        };
+        rated.name = player.name;
+        return { rated, key: keys[i], number: index + 1, score: getTotalScore(gameState, index + 1) };
+    });
+
+    // A player who forfeited loses to everyone, whatever the score
+    const compare = (a, b) => comparePlayers(gameState, a.number, b.number, rules);
+    const changes = getRatingChanges(
+        entries.map(({ rated, number, score }) => ({ rating: rated.rating, number, score })),
+        (gameState.rows - 1) * (gameState.cols - 1),
+        compare
+    );
+
+    const results = entries.map(({ rated, key }, i) => {
+        const before = rated.rating;
+        rated.rating = Math.round(before + changes[i]);
+        rated.peak = Math.max(rated.peak, rated.rating);
+        rated.games++;
+        rated.history = [...rated.history, { date, rating: rated.rating }].slice(-MAX_HISTORY_POINTS);
+
+        entries.forEach((other, j) => {
+            if (j === i) return;
+            const record = rated.headToHead[other.key] || { wins: 0, losses: 0, ties: 0 };
+            const order = compare(entries[i], other);
+            if (order > 0) record.wins++;
+            else if (order < 0) record.losses++;
+            else record.ties++;
+            rated.headToHead[other.key] = record;
+        });
+
+        ratings[key] = rated;
+        return { name: rated.name, before, after: rated.rating };
+    });
+
+    writeRatings(ratings);
+    return results;
+}
+
+/**
+ * The ladder, highest rating first
+ * @returns {Array} [{key, ...RatedPlayer}]
+ */
+export function getLeaderboard() {
+    return Object.entries(readRatings())
+        .map(([key, rated]) => ({ key, ...rated }))
+        .sort((a, b) => b.rating - a.rating || a.name.localeCompare(b.name));
+}
+
+/**
+ * Delete every rating
+ */
+export function clearRatings() {
+    removeStorage(RATINGS_KEY);
+}
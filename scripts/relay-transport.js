@@ -0,0 +1,143 @@
+// WebSocket relay transport - talks to server/relay-server.mjs
+// The server pairs host and guest by room code and forwards their messages
+
+import { createEventHandlers } from './utils.js';
+
+/**
+ * Create a transport that relays messages through a WebSocket server
+ * @param {string} url - Relay server address (e.g. 'ws://localhost:8787')
+ * @returns {Object} Transport (see transport.js)
+ */
+export function createRelayTransport(url) {
+    const events = createEventHandlers();
+    let socket = null;
+    let paired = false;
+    let pending = null;  // {resolve, reject} for the current host/join request
+
+    /**
+     * Open the socket and send the first request to the server
+     * @param {Object} request - {type: 'host'|'join', room}
+     * @returns {Promise<void>} Resolves when the server accepts the request
+     */
+    function connect(request) {
+        return new Promise((resolve, reject) => {
+            pending = { resolve, reject };
+
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                pending = null;
+                reject(new Error(`Invalid relay address: ${url}`));
+                return;
+            }
+
+            socket.addEventListener('open', () => {
+                socket.send(JSON.stringify(request));
+            });
+
+            socket.addEventListener('message', (event) => {
+                let data;
+                try {
+                    data = JSON.parse(event.data);
+                } catch (error) {
+                    return;  // Ignore anything that isn't JSON
+                }
+                handleServerMessage(data);
+            });
+
+            socket.addEventListener('error', () => {
+                settle(new Error(`Could not reach the relay server at ${url}`));
+            });
+
+            socket.addEventListener('close', () => {
+                settle(new Error('The relay server closed the connection.'));
+                if (paired) {
+                    paired = false;
+                    events.emit('disconnect');
+                }
+            });
+        });
+    }
+
+    /**
+     * Resolve or reject the pending host/join request
+     * @param {Error|null} error - Failure reason, or null on success
+     */
+    function settle(error) {
+        if (!pending) return;
+        const { resolve, reject } = pending;
+        pending = null;
+        if (error) {
+            reject(error);
+        } else {
+            resolve();
+        }
+    }
+
+    /**
+     * Handle a control or relayed message from the server
+     * @param {Object} data - Parsed server message
+     */
+    function handleServerMessage(data) {
+        switch (data.type) {
+            case 'hosted':
+                settle(null);
+                break;
+            case 'joined':
+                paired = true;
+                settle(null);
+                break;
+            case 'peer-joined':
+                paired = true;
+                events.emit('connect');
+                break;
+            case 'peer-left':
+                if (paired) {
+                    paired = false;
+                    events.emit('disconnect');
+                }
+                break;
+            case 'relay':
+                events.emit('message', data.payload);
+                break;
+            case 'error':
+                settle(new Error(data.message || 'Relay server error'));
+                break;
+        }
+    }
+
+    return {
+        host(roomCode) {
+            return connect({ type: 'host', room: roomCode });
+        },
+
+        join(roomCode) {
+            return connect({ type: 'join', room: roomCode });
+        },
+
+        send(message) {
+            if (socket && socket.readyState === WebSocket.OPEN && paired) {
+                socket.send(JSON.stringify({ type: 'relay', payload: message }));
+            }
+        },
+
+        onConnect(handler) {
+            events.on('connect', handler);
+        },
+
+        onMessage(handler) {
+            events.on('message', handler);
+        },
+
+        onDisconnect(handler) {
+            events.on('disconnect', handler);
+        },
+
+        close() {
+            paired = false;
+            pending = null;
+            if (socket) socket.close();
+            socket = null;
+        }
+    };
+}
@@ -1,6 +1,8 @@
 // Canvas rendering for Dots and Boxes
 // Handles all visual representation and click detection
 
+import * as GameLogic from './game-logic.js';
+
 // ===== CONSTANTS & CONFIGURATION =====
 
 // Visual constants (will adjust for mobile)
@@ -8,16 +10,64 @@ let DOT_RADIUS = 6;
 let LINE_WIDTH = 4;
 let MARGIN = 40;
 
+// Annotation colors
+const HINT_COLOR = '#2E8B57';      // Recommended line
+const MISTAKE_COLOR = '#C0392B';   // Line flagged by the game analysis
+
+// Chain overlay colors: short chains (1-2 boxes) are cheap to give away, long ones and loops decide games
+const CHAIN_COLORS = { short: '#4A6FA5', long: '#C65D3B', loop: '#8B5A8C' };
+const SAFE_LINE_COLOR = '#2E8B57';
+const UNSAFE_LINE_COLOR = '#999999';
+
+// Keyboard cursor ring
+const FOCUS_COLOR = '#1E6FD9';
+
+// Hatching drawn over owned boxes when patterns are on, one per seat (Player 1 to Player 6)
+const OWNER_PATTERNS = ['diagonal', 'horizontal', 'dots', 'vertical', 'cross', 'reverse-diagonal'];
+
+// Completed boxes grow into place over this long (ms)
+const BOX_ANIMATION_TIME = 300;
+
+// Board sizing: cells never grow past MAX_CELL_SIZE, the board fits the game area
+// (MAX_BOARD_WIDTH, see #gameArea in game.css), and short windows still get MIN_BOARD_HEIGHT
+const MAX_CELL_SIZE = 100;
+const MAX_BOARD_WIDTH = 960;
+const MIN_BOARD_HEIGHT = 300;
+
+// Pinch zoom limit (1 = whole board visible)
+const MAX_ZOOM = 4;
+
 // Canvas references
 let canvas = null;
 let ctx = null;
-let gridSize = 0;
+let gridRows = 0;   // Dots per column
+let gridCols = 0;   // Dots per row
 let cellSize = 0;
 
+// Drawing happens in logical coordinates (CSS pixels of the unzoomed board); the backing store has
+// pixelRatio device pixels per CSS pixel so lines stay sharp on high-density screens
+let boardWidth = 0;
+let boardHeight = 0;
+let pixelRatio = 1;
+
+// Zoomed view: scale and the top-left corner of the visible part, in logical coordinates
+let view = { zoom: 1, x: 0, y: 0 };
+
+// Board colors from the theme (see themes.js) and whether owned boxes are hatched
+let boardColors = { background: '#FFFFFF', dots: '#333333' };
+let ownerPatterns = false;
+
 // Resize handler reference (to allow removal)
 let resizeHandler = null;
 let resizeTimeout = null;
 
+// Latest frame to draw (drawGame calls made before the next frame are merged) and its request
+let pendingFrame = null;
+let frameRequest = null;
+
+// Boxes being animated: {boxes: Set of "row,col", start (ms, set on the first frame)}, or null
+let boxAnimation = null;
+
 // ===== HELPER FUNCTIONS =====
 
 /**
@@ -33,13 +83,24 @@ function hexToRgba(hex, alpha = 1) {
     return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 }
 
+/**
+ * Look up the player who drew a line or owns a box
+ * @param {Array} players - Players in turn order: [{color, label}]
+ * @param {number} player - Player number (1-based)
+ * @returns {Object} Player {color, label}
+ */
+function getPlayer(players, player) {
+    return players[player - 1] || { color: '#333333', label: `P${player}` };
+}
+
 // ===== INITIALIZATION =====
 
 /**
- * Initialize the canvas with the given grid size
- * @param {number} size - Grid size (3, 5, or 7)
+ * Initialize the canvas with the given board size
+ * @param {number} rows - Number of dot rows
+ * @param {number} cols - Number of dot columns
  */
-export function initCanvas(size) {
+export function initCanvas(rows, cols) {
     canvas = document.getElementById('gameCanvas');
 
     // Only get context once, or reuse existing
@@ -50,8 +111,11 @@ export function initCanvas(size) {
         });
     }
 
-    gridSize = size;
-    console.log('Canvas initialized with grid size:', gridSize);
+    gridRows = rows;
+    gridCols = cols;
+    view = { zoom: 1, x: 0, y: 0 };
+    pendingFrame = null;  // Nothing from the last board is redrawn on resize
+    console.log(`Canvas initialized with ${gridRows}x${gridCols} dots`);
 
     // Remove old resize listener if it exists
     if (resizeHandler) {
@@ -77,8 +141,8 @@ export function initCanvas(size) {
 }
 
 /**
- * Resize canvas based on viewport size (responsive)
- * Adjusts constants for mobile vs desktop
+ * Resize canvas based on viewport size (responsive) and the screen's pixel density
+ * Adjusts constants for mobile vs desktop, then redraws the last frame
  */
 function resizeCanvas() {
     const isMobile = window.innerWidth < 768;
@@ -94,17 +158,39 @@ function resizeCanvas() {
         MARGIN = 40;
     }
 
-    // Calculate max canvas size based on viewport
-    const maxWidth = window.innerWidth - 40;  // 20px padding each side
-    const maxHeight = window.innerHeight - 200;  // Space for UI elements
-    const maxSize = Math.min(maxWidth, maxHeight, isMobile ? 400 : 600);
-
-    // Set canvas dimensions
-    canvas.width = maxSize;
-    canvas.height = maxSize;
+    // Calculate max canvas size based on viewport (big boards use the whole window; pinch zoom
+    // takes over where phones run out of room)
+    const maxWidth = Math.min(window.innerWidth - 40, MAX_BOARD_WIDTH);  // 20px padding each side
+    const maxHeight = Math.max(window.innerHeight - 200, MIN_BOARD_HEIGHT);  // Space for UI elements
+
+    // Square cells: the tighter dimension decides the cell size
+    cellSize = Math.min(
+        MAX_CELL_SIZE,
+        (maxWidth - 2 * MARGIN) / (gridCols - 1),
+        (maxHeight - 2 * MARGIN) / (gridRows - 1)
+    );
+
+    // Logical size in CSS pixels (non-square for rectangular boards), backing store in device pixels
+    boardWidth = Math.round(2 * MARGIN + cellSize * (gridCols - 1));
+    boardHeight = Math.round(2 * MARGIN + cellSize * (gridRows - 1));
+    pixelRatio = window.devicePixelRatio || 1;
+
+    canvas.width = Math.round(boardWidth * pixelRatio);
+    canvas.height = Math.round(boardHeight * pixelRatio);
+    canvas.style.width = `${boardWidth}px`;
+
+    clampView();
+    requestRedraw();
+}
 
-    // Calculate cell size based on grid
-    cellSize = (maxSize - 2 * MARGIN) / (gridSize - 1);
+/**
+ * Use a theme's board colors and switch ownership patterns on or off (takes effect on the next draw)
+ * @param {Object} theme - Theme from themes.js: {background, dots}
+ * @param {boolean} patterns - True to hatch each owner's boxes with their own pattern
+ */
+export function setDisplay(theme, patterns) {
+    boardColors = { background: theme.background, dots: theme.dots };
+    ownerPatterns = patterns;
 }
 
 /**
@@ -124,14 +210,16 @@ export function getMargin() {
 // ===== DRAWING FUNCTIONS =====
 
 /**
- * Draw all dots in the grid
- * @param {Object} gameState - Current game state (not used here, but kept for consistency)
+ * Draw all dots in the grid (custom boards leave out the dots that only touch holes)
+ * @param {Object} gameState - Current game state
  */
 function drawDots(gameState) {
-    ctx.fillStyle = '#333';  // Dark gray for dots
+    ctx.fillStyle = boardColors.dots;
+
+    for (let row = 0; row < gridRows; row++) {
+        for (let col = 0; col < gridCols; col++) {
+            if (!GameLogic.isDotOnBoard(row, col, gameState)) continue;
 
-    for (let row = 0; row < gridSize; row++) {
-        for (let col = 0; col < gridSize; col++) {
             const x = MARGIN + col * cellSize;
             const y = MARGIN + row * cellSize;
 
@@ -144,12 +232,12 @@ function drawDots(gameState) {
 
 /**
  * Draw all lines (horizontal and vertical)
- * Lines are colored based on which player drew them
+ * Lines are colored based on which player drew them; lines that came with the board are drawn in
+ * the dot color, faint if pre-drawn and dashed if blocked
  * @param {Object} gameState - Current game state
- * @param {string} player1Color - Player 1's color
- * @param {string} player2Color - Player 2's color
+ * @param {Array} players - Players in turn order: [{color, label}]
  */
-function drawLines(gameState, player1Color, player2Color) {
+function drawLines(gameState, players) {
     ctx.lineCap = 'round';
     ctx.lineWidth = LINE_WIDTH;
 
@@ -158,7 +246,7 @@ function drawLines(gameState, player1Color, player2Color) {
         const [row, col] = key.split(',').map(Number);
 
         // Set color based on player
-        ctx.strokeStyle = player === 1 ? player1Color : player2Color;
+        setLineStyle(gameState, players, player, 'horizontal', row, col);
 
         const x1 = MARGIN + col * cellSize;
         const y1 = MARGIN + row * cellSize;
@@ -176,7 +264,7 @@ function drawLines(gameState, player1Color, player2Color) {
         const [row, col] = key.split(',').map(Number);
 
         // Set color based on player
-        ctx.strokeStyle = player === 1 ? player1Color : player2Color;
+        setLineStyle(gameState, players, player, 'vertical', row, col);
 
         const x1 = MARGIN + col * cellSize;
         const y1 = MARGIN + row * cellSize;
@@ -188,70 +276,460 @@ function drawLines(gameState, player1Color, player2Color) {
         ctx.lineTo(x2, y2);
         ctx.stroke();
     });
+    ctx.setLineDash([]);
+}
+
+/**
+ * Pick the stroke for a drawn line
+ * @param {Object} gameState - Current game state
+ * @param {Array} players - Players in turn order: [{color}]
+ * @param {number} player - Player who drew the line (NEUTRAL for lines that came with the board)
+ * @param {string} lineType - 'horizontal' or 'vertical'
+ * @param {number} row - Row coordinate
+ * @param {number} col - Column coordinate
+ */
+function setLineStyle(gameState, players, player, lineType, row, col) {
+    if (player !== GameLogic.NEUTRAL) {
+        ctx.strokeStyle = getPlayer(players, player).color;
+        ctx.setLineDash([]);
+    } else if (GameLogic.isBlockedLine(lineType, row, col, gameState)) {
+        ctx.strokeStyle = boardColors.dots;
+        ctx.setLineDash([LINE_WIDTH, LINE_WIDTH * 2]);
+    } else {
+        ctx.strokeStyle = hexToRgba(boardColors.dots, 0.45);
+        ctx.setLineDash([]);
+    }
+}
+
+/**
+ * Shade the holes of a custom board
+ * @param {Object} gameState - Current game state
+ */
+function drawHoles(gameState) {
+    if (gameState.layout === null) return;
+
+    ctx.fillStyle = hexToRgba(boardColors.dots, 0.08);
+    gameState.layout.holes.forEach(key => {
+        const [row, col] = key.split(',').map(Number);
+        ctx.fillRect(MARGIN + col * cellSize, MARGIN + row * cellSize, cellSize, cellSize);
+    });
 }
 
 /**
  * Draw completed boxes with player colors
  * @param {Object} gameState - Current game state
- * @param {string} player1Color - Player 1's color
- * @param {string} player2Color - Player 2's color
+ * @param {Array} players - Players in turn order: [{color, label}]
+ * @param {number} progress - How far the box animation has got (0-1)
  */
-function drawBoxes(gameState, player1Color, player2Color) {
+function drawBoxes(gameState, players, progress = 1) {
     gameState.boxes.forEach(box => {
-        const x = MARGIN + box.col * cellSize;
-        const y = MARGIN + box.row * cellSize;
+        const owner = getPlayer(players, box.owner);
+
+        // New boxes grow from their centre (ease-out)
+        const animated = boxAnimation && boxAnimation.boxes.has(`${box.row},${box.col}`);
+        const scale = animated ? 1 - Math.pow(1 - progress, 3) : 1;
+        const size = cellSize * scale;
+        const x = MARGIN + box.col * cellSize + (cellSize - size) / 2;
+        const y = MARGIN + box.row * cellSize + (cellSize - size) / 2;
 
         // Fill box with player color (semi-transparent)
-        const fillColor = box.owner === 1 ? hexToRgba(player1Color, 0.3) : hexToRgba(player2Color, 0.3);
-        ctx.fillStyle = fillColor;
-        ctx.fillRect(x, y, cellSize, cellSize);
+        ctx.fillStyle = hexToRgba(owner.color, 0.3);
+        ctx.fillRect(x, y, size, size);
+        if (ownerPatterns) {
+            drawOwnerPattern(OWNER_PATTERNS[(box.owner - 1) % OWNER_PATTERNS.length], x, y, size, owner.color);
+        }
 
         // Draw player indicator text
-        ctx.fillStyle = box.owner === 1 ? player1Color : player2Color;
-        ctx.font = `bold ${cellSize / 3}px Arial`;
+        ctx.fillStyle = owner.color;
+        ctx.font = `bold ${size / 3}px Arial`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText(`P${box.owner}`, x + cellSize / 2, y + cellSize / 2);
+        ctx.fillText(owner.label, x + size / 2, y + size / 2);
+    });
+}
+
+/**
+ * Hatch a box so its owner can be told apart without relying on color
+ * @param {string} pattern - One of OWNER_PATTERNS
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} size - Box size
+ * @param {string} color - Owner's color
+ */
+function drawOwnerPattern(pattern, x, y, size, color) {
+    const gap = size / 6;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, size, size);
+    ctx.clip();
+    ctx.strokeStyle = hexToRgba(color, 0.6);
+    ctx.fillStyle = hexToRgba(color, 0.6);
+    ctx.lineWidth = Math.max(1, size / 40);
+
+    ctx.beginPath();
+    if (pattern === 'dots') {
+        for (let dx = gap / 2; dx < size; dx += gap) {
+            for (let dy = gap / 2; dy < size; dy += gap) {
+                ctx.moveTo(x + dx + ctx.lineWidth, y + dy);
+                ctx.arc(x + dx, y + dy, ctx.lineWidth, 0, Math.PI * 2);
+            }
+        }
+        ctx.fill();
+    } else {
+        for (let offset = gap; offset < size * 2; offset += gap) {
+            if (pattern === 'horizontal' || pattern === 'cross') {
+                ctx.moveTo(x, y + offset);
+                ctx.lineTo(x + size, y + offset);
+            }
+            if (pattern === 'vertical' || pattern === 'cross') {
+                ctx.moveTo(x + offset, y);
+                ctx.lineTo(x + offset, y + size);
+            }
+            if (pattern === 'diagonal') {
+                ctx.moveTo(x + offset, y);
+                ctx.lineTo(x, y + offset);
+            }
+            if (pattern === 'reverse-diagonal') {
+                ctx.moveTo(x + size - offset, y);
+                ctx.lineTo(x + size, y + offset);
+            }
+        }
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+/**
+ * Draw a halo behind the most recent line so it stands out, and outline the boxes it completed
+ * @param {Object} lastMove - {lineType, row, col, player, completedBoxes}
+ * @param {Array} players - Players in turn order: [{color, label}]
+ */
+function drawLastMove(lastMove, players) {
+    const color = getPlayer(players, lastMove.player).color;
+
+    ctx.lineCap = 'round';
+    ctx.lineWidth = LINE_WIDTH * 4;
+    ctx.strokeStyle = hexToRgba(color, 0.35);
+    strokeGridLine(lastMove.lineType, lastMove.row, lastMove.col);
+
+    ctx.lineWidth = LINE_WIDTH / 2;
+    ctx.strokeStyle = color;
+    (lastMove.completedBoxes || []).forEach(box => {
+        const inset = LINE_WIDTH * 1.5;
+        ctx.strokeRect(MARGIN + box.col * cellSize + inset, MARGIN + box.row * cellSize + inset,
+            cellSize - 2 * inset, cellSize - 2 * inset);
+    });
+}
+
+/**
+ * Draw a faint line where the player to move is pointing
+ * @param {Object} preview - {lineType, row, col, player}
+ * @param {Array} players - Players in turn order: [{color, label}]
+ */
+function drawPreview(preview, players) {
+    ctx.lineCap = 'round';
+    ctx.lineWidth = LINE_WIDTH;
+    ctx.strokeStyle = hexToRgba(getPlayer(players, preview.player).color, 0.4);
+    strokeGridLine(preview.lineType, preview.row, preview.col);
+}
+
+/**
+ * Draw a ring around the line slot under the keyboard cursor
+ * @param {Object} cursor - {lineType, row, col}
+ */
+function drawFocusCursor(cursor) {
+    const x = MARGIN + cursor.col * cellSize;
+    const y = MARGIN + cursor.row * cellSize;
+    const pad = Math.max(LINE_WIDTH * 2, cellSize / 8);
+
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = FOCUS_COLOR;
+    if (cursor.lineType === 'horizontal') {
+        ctx.strokeRect(x + DOT_RADIUS, y - pad, cellSize - 2 * DOT_RADIUS, pad * 2);
+    } else {
+        ctx.strokeRect(x - pad, y + DOT_RADIUS, pad * 2, cellSize - 2 * DOT_RADIUS);
+    }
+}
+
+/**
+ * Stroke one line of the grid with the current style
+ * @param {string} lineType - 'horizontal' or 'vertical'
+ * @param {number} row - Row coordinate
+ * @param {number} col - Column coordinate
+ */
+function strokeGridLine(lineType, row, col) {
+    const x1 = MARGIN + col * cellSize;
+    const y1 = MARGIN + row * cellSize;
+    const x2 = lineType === 'horizontal' ? x1 + cellSize : x1;
+    const y2 = lineType === 'horizontal' ? y1 : y1 + cellSize;
+
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+}
+
+/**
+ * Draw a dashed line over an undrawn line to point it out
+ * @param {Object} line - {lineType, row, col}
+ * @param {string} color - Stroke color
+ */
+function drawMarkedLine(line, color) {
+    ctx.lineCap = 'round';
+    ctx.lineWidth = LINE_WIDTH * 1.5;
+    ctx.strokeStyle = color;
+    ctx.setLineDash([LINE_WIDTH * 2, LINE_WIDTH * 2]);
+    strokeGridLine(line.lineType, line.row, line.col);
+    ctx.setLineDash([]);
+}
+
+/**
+ * Overlay color for a chain
+ * @param {Object} chain - {size, loop}
+ * @returns {string} Hex color
+ */
+function getChainColor(chain) {
+    if (chain.loop) return CHAIN_COLORS.loop;
+    return chain.size >= 3 ? CHAIN_COLORS.long : CHAIN_COLORS.short;
+}
+
+/**
+ * Tint the boxes of every chain and loop
+ * @param {Array} chains - Chains from game-logic.js findChains
+ */
+function drawChainTints(chains) {
+    chains.forEach(chain => {
+        ctx.fillStyle = hexToRgba(getChainColor(chain), 0.2);
+        chain.boxes.forEach(key => {
+            const [row, col] = key.split(',').map(Number);
+            ctx.fillRect(MARGIN + col * cellSize, MARGIN + row * cellSize, cellSize, cellSize);
+        });
+    });
+}
+
+/**
+ * Label each chain with its length ("L" marks a loop) on the box nearest its middle
+ * @param {Array} chains - Chains from game-logic.js findChains
+ */
+function drawChainLabels(chains) {
+    ctx.font = `bold ${cellSize / 4}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    chains.forEach(chain => {
+        const boxes = [...chain.boxes].map(key => key.split(',').map(Number));
+        const middleRow = boxes.reduce((sum, [row]) => sum + row, 0) / boxes.length;
+        const middleCol = boxes.reduce((sum, [, col]) => sum + col, 0) / boxes.length;
+        const [row, col] = boxes.reduce((best, box) =>
+            Math.hypot(box[0] - middleRow, box[1] - middleCol) < Math.hypot(best[0] - middleRow, best[1] - middleCol)
+                ? box : best);
+
+        ctx.fillStyle = getChainColor(chain);
+        ctx.fillText(chain.loop ? `L${chain.size}` : `${chain.size}`,
+            MARGIN + (col + 0.5) * cellSize, MARGIN + (row + 0.5) * cellSize);
+    });
+}
+
+/**
+ * Show which undrawn lines are safe and dim the ones that give a box a third side
+ * @param {Array} safeLines - Safe lines: [{type, row, col}]
+ * @param {Array} unsafeLines - Dangerous lines: [{type, row, col}]
+ */
+function drawLineGuides(safeLines, unsafeLines) {
+    ctx.lineCap = 'round';
+    ctx.lineWidth = LINE_WIDTH / 2;
+
+    ctx.strokeStyle = hexToRgba(SAFE_LINE_COLOR, 0.5);
+    safeLines.forEach(line => strokeGridLine(line.type, line.row, line.col));
+
+    ctx.strokeStyle = hexToRgba(UNSAFE_LINE_COLOR, 0.3);
+    ctx.setLineDash([LINE_WIDTH, LINE_WIDTH]);
+    unsafeLines.forEach(line => strokeGridLine(line.type, line.row, line.col));
+    ctx.setLineDash([]);
+}
+
+/**
+ * Label undrawn lines with their exact values (see solver.js), the best ones in the hint color
+ * @param {Array} values - [{lineType, row, col, value}]
+ */
+function drawLineValues(values) {
+    const best = Math.max(...values.map(line => line.value));
+    ctx.font = `bold ${cellSize / 5}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    values.forEach(line => {
+        const horizontal = line.lineType === 'horizontal';
+        const x = MARGIN + (horizontal ? line.col + 0.5 : line.col) * cellSize;
+        const y = MARGIN + (horizontal ? line.row : line.row + 0.5) * cellSize;
+
+        // A patch of background keeps the number readable over the grid
+        ctx.fillStyle = boardColors.background;
+        ctx.beginPath();
+        ctx.arc(x, y, cellSize / 6, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = line.value === best ? HINT_COLOR : boardColors.dots;
+        ctx.fillText(line.value > 0 ? `+${line.value}` : `${line.value}`, x, y);
     });
 }
 
 /**
  * Main draw function - renders the entire game state
+ * Calls made before the next animation frame are merged, so only the latest is drawn
  * @param {Object} gameState - Current game state
- * @param {string} player1Color - Player 1's color (hex)
- * @param {string} player2Color - Player 2's color (hex)
- */
-export function drawGame(gameState, player1Color = '#C65D3B', player2Color = '#4A6FA5') {
-    // Use requestAnimationFrame for smoother rendering
-    requestAnimationFrame(() => {
-        // Clear canvas with fillRect (faster than clearRect)
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-        // Draw in order: boxes (background), lines (middle), dots (foreground)
-        drawBoxes(gameState, player1Color, player2Color);
-        drawLines(gameState, player1Color, player2Color);
-        drawDots(gameState);
-    });
+ * @param {Array} players - Players in turn order: [{color (hex), label}]
+ * @param {Object} options - Extra drawing options
+ * @param {Object|null} options.lastMove - Line to highlight, with the boxes it completed:
+ *                                         {lineType, row, col, player, completedBoxes}
+ * @param {Object|null} options.preview - Line the player to move is pointing at: {lineType, row, col, player}
+ * @param {Object|null} options.cursor - Line slot under the keyboard cursor: {lineType, row, col}
+ * @param {Array} options.animateBoxes - Newly completed boxes to animate: [{row, col}]
+ * @param {Object|null} options.hint - Recommended line to mark: {lineType, row, col}
+ * @param {Object|null} options.mistake - Line to mark as a mistake: {lineType, row, col}
+ * @param {Object|null} options.overlay - Chain overlay from game-logic.js analyzeBoard
+ * @param {Array|null} options.lineValues - Exact value of each undrawn line to label (see solver.js)
+ */
+export function drawGame(gameState, players, options = {}) {
+    if (options.animateBoxes && options.animateBoxes.length > 0 && !prefersReducedMotion()) {
+        boxAnimation = { boxes: new Set(options.animateBoxes.map(box => `${box.row},${box.col}`)), start: null };
+    }
+
+    pendingFrame = { gameState, players, options };
+    if (!frameRequest) {
+        frameRequest = requestAnimationFrame(drawFrame);
+    }
+}
+
+/**
+ * Draw the latest requested frame, and keep going while boxes are animating
+ * @param {number} time - Frame timestamp (ms)
+ */
+function drawFrame(time) {
+    frameRequest = null;
+    const { gameState, players, options } = pendingFrame;
+
+    let progress = 1;
+    if (boxAnimation) {
+        if (boxAnimation.start === null) boxAnimation.start = time;
+        progress = Math.min(1, (time - boxAnimation.start) / BOX_ANIMATION_TIME);
+    }
+
+    // Clear canvas with fillRect (faster than clearRect)
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = boardColors.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Everything else is drawn in logical coordinates
+    const scale = pixelRatio * view.zoom;
+    ctx.setTransform(scale, 0, 0, scale, -view.x * scale, -view.y * scale);
+
+    // Draw in order: holes and boxes (background), overlay tints and guides, highlight, lines (middle),
+    // dots (foreground), overlay labels and line values, keyboard cursor
+    drawHoles(gameState);
+    drawBoxes(gameState, players, progress);
+    if (options.overlay) {
+        drawChainTints(options.overlay.chains);
+        drawLineGuides(options.overlay.safeLines, options.overlay.unsafeLines);
+    }
+    if (options.lastMove) {
+        drawLastMove(options.lastMove, players);
+    }
+    drawLines(gameState, players);
+    if (options.preview) {
+        drawPreview(options.preview, players);
+    }
+    if (options.mistake) {
+        drawMarkedLine(options.mistake, MISTAKE_COLOR);
+    }
+    if (options.hint) {
+        drawMarkedLine(options.hint, HINT_COLOR);
+    }
+    drawDots(gameState);
+    if (options.overlay) {
+        drawChainLabels(options.overlay.chains);
+    }
+    if (options.lineValues) {
+        drawLineValues(options.lineValues);
+    }
+    if (options.cursor) {
+        drawFocusCursor(options.cursor);
+    }
+
+    if (boxAnimation && progress < 1) {
+        frameRequest = requestAnimationFrame(drawFrame);
+    } else {
+        boxAnimation = null;
+    }
+}
+
+/**
+ * Draw the last frame again (after a resize or a change of view)
+ */
+function requestRedraw() {
+    if (pendingFrame && !frameRequest) {
+        frameRequest = requestAnimationFrame(drawFrame);
+    }
+}
+
+/**
+ * Check if the player has asked the system for less motion
+ * @returns {boolean} True if animations should be skipped
+ */
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+           window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
 // ===== CLICK DETECTION =====
 
 /**
  * Convert mouse/touch event to canvas coordinates
+ * Works in logical coordinates, so it stays accurate however the canvas is scaled by CSS or zoomed
  * @param {Event} event - Mouse or touch event
- * @returns {Object} {x, y} coordinates relative to canvas
+ * @returns {Object} {x, y} coordinates on the board (as used for drawing)
  */
 export function getCanvasCoordinates(event) {
-    const rect = canvas.getBoundingClientRect();
+    // Handle both mouse and touch events (a lifted finger is only in changedTouches)
+    let point = event;
+    if (event.touches && event.touches.length > 0) {
+        point = event.touches[0];
+    } else if (event.changedTouches && event.changedTouches.length > 0) {
+        point = event.changedTouches[0];
+    }
 
-    // Handle both mouse and touch events
-    const clientX = event.clientX || (event.touches && event.touches[0].clientX);
-    const clientY = event.clientY || (event.touches && event.touches[0].clientY);
+    return toBoardPoint(point.clientX, point.clientY);
+}
 
+/**
+ * Convert a point on the page to board coordinates
+ * @param {number} clientX - Page x (client coordinates)
+ * @param {number} clientY - Page y (client coordinates)
+ * @returns {Object} {x, y} in logical coordinates
+ */
+function toBoardPoint(clientX, clientY) {
+    const screen = toCanvasPoint(clientX, clientY);
     return {
-        x: clientX - rect.left,
-        y: clientY - rect.top
+        x: view.x + screen.x / view.zoom,
+        y: view.y + screen.y / view.zoom
+    };
+}
+
+/**
+ * Convert a point on the page to CSS pixels from the canvas corner, undoing any CSS scaling
+ * @param {number} clientX - Page x (client coordinates)
+ * @param {number} clientY - Page y (client coordinates)
+ * @returns {Object} {x, y} in unzoomed canvas pixels
+ */
+function toCanvasPoint(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = rect.width > 0 ? boardWidth / rect.width : 1;
+    const scaleY = rect.height > 0 ? boardHeight / rect.height : 1;
+
+    return {
+        x: (clientX - rect.left) * scaleX,
+        y: (clientY - rect.top) * scaleY
     };
 }
 
@@ -267,12 +745,10 @@ export function detectLineClick(x, y, gameState) {
     const THRESHOLD = cellSize / 4;
 
     // Check horizontal lines
-    for (let row = 0; row < gridSize; row++) {
-        for (let col = 0; col < gridSize - 1; col++) {
-            const lineKey = `${row},${col}`;
-
-            // Skip if line already drawn
-            if (gameState.horizontalLines.has(lineKey)) continue;
+    for (let row = 0; row < gridRows; row++) {
+        for (let col = 0; col < gridCols - 1; col++) {
+            // Skip lines already drawn (or off a custom board)
+            if (!GameLogic.isValidMove('horizontal', row, col, gameState)) continue;
 
             const lineX1 = MARGIN + col * cellSize;
             const lineY = MARGIN + row * cellSize;
@@ -288,12 +764,10 @@ export function detectLineClick(x, y, gameState) {
     }
 
     // Check vertical lines
-    for (let row = 0; row < gridSize - 1; row++) {
-        for (let col = 0; col < gridSize; col++) {
-            const lineKey = `${row},${col}`;
-
-            // Skip if line already drawn
-            if (gameState.verticalLines.has(lineKey)) continue;
+    for (let row = 0; row < gridRows - 1; row++) {
+        for (let col = 0; col < gridCols; col++) {
+            // Skip lines already drawn (or off a custom board)
+            if (!GameLogic.isValidMove('vertical', row, col, gameState)) continue;
 
             const lineX = MARGIN + col * cellSize;
             const lineY1 = MARGIN + row * cellSize;
@@ -310,3 +784,63 @@ export function detectLineClick(x, y, gameState) {
 
     return null;  // No line detected
 }
+
+// ===== ZOOM & PAN =====
+
+/**
+ * Zoom in or out around a point (pinch gestures, Ctrl + wheel)
+ * @param {number} factor - Zoom multiplier (above 1 zooms in)
+ * @param {number} clientX - Page x of the point that should stay put
+ * @param {number} clientY - Page y of the point that should stay put
+ */
+export function zoomAt(factor, clientX, clientY) {
+    const screen = toCanvasPoint(clientX, clientY);
+    const anchor = toBoardPoint(clientX, clientY);
+
+    view.zoom = Math.min(MAX_ZOOM, Math.max(1, view.zoom * factor));
+    view.x = anchor.x - screen.x / view.zoom;
+    view.y = anchor.y - screen.y / view.zoom;
+
+    clampView();
+    requestRedraw();
+}
+
+/**
+ * Move the zoomed view (two-finger drag)
+ * @param {number} dx - Page pixels moved horizontally
+ * @param {number} dy - Page pixels moved vertically
+ */
+export function panBy(dx, dy) {
+    const origin = toCanvasPoint(0, 0);
+    const moved = toCanvasPoint(dx, dy);
+
+    view.x -= (moved.x - origin.x) / view.zoom;
+    view.y -= (moved.y - origin.y) / view.zoom;
+
+    clampView();
+    requestRedraw();
+}
+
+/**
+ * Show the whole board again
+ */
+export function resetView() {
+    view = { zoom: 1, x: 0, y: 0 };
+    requestRedraw();
+}
+
+/**
+ * Check if the board is zoomed in
+ * @returns {boolean} True if only part of the board is visible
+ */
+export function isZoomed() {
+    return view.zoom > 1;
+}
+
+/**
+ * Keep the zoomed view inside the board
+ */
+function clampView() {
+    view.x = Math.min(Math.max(0, view.x), boardWidth - boardWidth / view.zoom);
+    view.y = Math.min(Math.max(0, view.y), boardHeight - boardHeight / view.zoom);
+}
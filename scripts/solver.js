@@ -0,0 +1,281 @@
+// Solver - exact values of small and late-game positions
+// Two players, standard rules: an alpha-beta search over the lines still to draw, with a transposition
+// table shared by positions that are the same up to a reflection or rotation of the board
+
+import * as GameLogic from './game-logic.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Most undrawn lines a position may have (the search keeps the lines drawn as the bits of one integer)
+export const MAX_SOLVER_LINES = 30;
+
+// Most positions a single solve may visit; open positions with many safe lines can take far longer
+const SOLVER_BUDGET = 5000000;
+
+// Transposition table entries pack the lower and upper bound of a value into one number
+const BOUND_OFFSET = 128;
+const BOUND_RANGE = 256;
+
+// Reflections and rotations of a board with maxRow x maxCol boxes: where dot (row, col) ends up.
+// The last four swap rows and columns, so they only fit square boards
+const SYMMETRIES = [
+    (row, col, maxRow, maxCol) => [row, maxCol - col],
+    (row, col, maxRow, maxCol) => [maxRow - row, col],
+    (row, col, maxRow, maxCol) => [maxRow - row, maxCol - col],
+    (row, col) => [col, row],
+    (row, col, maxRow) => [col, maxRow - row],
+    (row, col, maxRow, maxCol) => [maxCol - col, row],
+    (row, col, maxRow, maxCol) => [maxCol - col, maxRow - row]
+];
+
+// ===== SOLVING =====
+
+/**
+ * Check if a position is small enough to solve
+ * @param {Object} gameState - Position
+ * @param {Object} rules - Rules in play (see game-engine.js)
+ * @returns {boolean} True if solvePosition can work it out
+ */
+export function canSolve(gameState, rules) {
+    return gameState.playerCount === 2 && rules.variants.length === 0 &&
+           GameLogic.getValidMoves(gameState).length <= MAX_SOLVER_LINES;
+}
+
+/**
+ * Work out the rest of the game with perfect play on both sides
+ * @param {Object} gameState - Position (not modified)
+ * @param {Object} rules - Rules in play (see game-engine.js)
+ * @returns {Object} {value, scores, moves: [{lineType, row, col, value}]}: value is the net boxes the player
+ *                   to move wins from here on (boxes taken minus boxes given away), scores the final boxes of
+ *                   player 1 and player 2, and each legal line comes with the value it leaves for the same
+ *                   player, best lines first
+ * @throws {Error} If the game isn't two players with standard rules, or the position is too big
+ */
+export function solvePosition(gameState, rules) {
+    if (!canSolve(gameState, rules)) {
+        throw new Error(`Only two-player positions with standard rules and up to ${MAX_SOLVER_LINES} lines left can be solved`);
+    }
+
+    const search = createSearch(gameState);
+    const moves = search.lines.map((line, index) => ({
+        lineType: line.type,
+        row: line.row,
+        col: line.col,
+        value: getLineValue(search, 0, index)
+    }));
+    moves.sort((a, b) => b.value - a.value);
+
+    const value = moves.length > 0 ? moves[0].value : 0;
+    return { value, scores: getFinalScores(gameState, value), moves };
+}
+
+/**
+ * Lines that keep the best result for the player to move
+ * @param {Object} gameState - Position (not modified)
+ * @param {Object} rules - Rules in play
+ * @returns {Array} [{lineType, row, col, value}]
+ * @throws {Error} If the position can't be solved (see solvePosition)
+ */
+export function getBestMoves(gameState, rules) {
+    const { value, moves } = solvePosition(gameState, rules);
+    return moves.filter(move => move.value === value);
+}
+
+/**
+ * Final score once the player to move has won a value from a position
+ * @param {Object} gameState - Position
+ * @param {number} value - Net boxes the player to move wins from here on
+ * @returns {Array} Boxes of player 1 and player 2 at the end
+ */
+function getFinalScores(gameState, value) {
+    const left = GameLogic.getTotalBoxes(gameState) - gameState.boxes.length;
+    const scores = [gameState.scores.player1, gameState.scores.player2];
+    scores[gameState.currentPlayer - 1] += (left + value) / 2;
+    scores[2 - gameState.currentPlayer] += (left - value) / 2;
+    return scores;
+}
+
+// ===== SEARCH =====
+
+/**
+ * Number the undrawn lines and list which of them each unfinished box still needs
+ * @param {Object} gameState - Position
+ * @returns {Object} {lines: [{type, row, col}], boxes: [bitmask of missing sides], boxesOfLine: [[box index]],
+ *                   all: bitmask of every line, symmetries: [lookup tables] (see findSymmetries),
+ *                   table: Map of position key -> packed bounds, visited: positions searched}
+ */
+function createSearch(gameState) {
+    const lines = GameLogic.getValidMoves(gameState);
+    const boxes = [];
+    const boxIndex = new Map();
+    const boxesOfLine = lines.map(() => []);
+
+    lines.forEach((line, index) => {
+        GameLogic.getAdjacentBoxes(line.type, line.row, line.col, gameState).forEach(box => {
+            const key = `${box.row},${box.col}`;
+            if (!boxIndex.has(key)) {
+                boxIndex.set(key, boxes.length);
+                boxes.push(0);
+            }
+            boxes[boxIndex.get(key)] |= 1 << index;
+            boxesOfLine[index].push(boxIndex.get(key));
+        });
+    });
+
+    const search = { lines, boxes, boxesOfLine, all: 2 ** lines.length - 1, symmetries: [], table: new Map(), visited: 0 };
+    search.symmetries = findSymmetries(search, gameState.rows - 1, gameState.cols - 1);
+    return search;
+}
+
+/**
+ * Find the reflections and rotations that leave the position as it is: every undrawn line maps onto an
+ * undrawn line, and every unfinished box onto a box missing the same number of sides
+ * @param {Object} search - Search data (see createSearch)
+ * @param {number} maxRow - Box rows
+ * @param {number} maxCol - Box columns
+ * @returns {Array} For each symmetry, a table per 8 lines: [byte of the line bitmask -> bits of the image]
+ */
+function findSymmetries(search, maxRow, maxCol) {
+    const { lines, boxes } = search;
+    const indexOf = new Map(lines.map((line, index) => [`${line.type},${line.row},${line.col}`, index]));
+    const signature = masks => masks.map(mask => mask.toString(2)).sort().join(';');
+    const own = signature(boxes);
+
+    return SYMMETRIES.slice(0, maxRow === maxCol ? SYMMETRIES.length : 3).flatMap(symmetry => {
+        const mapping = lines.map(line => {
+            const [row1, col1] = symmetry(line.row, line.col, maxRow, maxCol);
+            const [row2, col2] = line.type === 'horizontal'
+                ? symmetry(line.row, line.col + 1, maxRow, maxCol)
+                : symmetry(line.row + 1, line.col, maxRow, maxCol);
+            const type = row1 === row2 ? 'horizontal' : 'vertical';
+            return indexOf.get(`${type},${Math.min(row1, row2)},${Math.min(col1, col2)}`);
+        });
+        if (mapping.includes(undefined) || signature(boxes.map(mask => mapLines(mask, mapping))) !== own) return [];
+
+        const tables = [];
+        for (let shift = 0; shift < lines.length; shift += 8) {
+            tables.push(Int32Array.from({ length: 256 }, (_, byte) => mapLines(byte << shift, mapping)));
+        }
+        return [tables];
+    });
+}
+
+/**
+ * Move the lines of a bitmask to their images
+ * @param {number} mask - Bitmask of lines
+ * @param {Array} mapping - Line index -> index of its image
+ * @returns {number} Bitmask of the images
+ */
+function mapLines(mask, mapping) {
+    let image = 0;
+    mapping.forEach((target, index) => {
+        if (mask & (1 << index)) image |= 1 << target;
+    });
+    return image;
+}
+
+/**
+ * Key of a position in the transposition table, the same for all its reflections and rotations
+ * @param {Object} search - Search data
+ * @param {number} drawn - Bitmask of the lines drawn since the search started
+ * @returns {number} Smallest bitmask among the position's images
+ */
+function getPositionKey(search, drawn) {
+    let key = drawn;
+    for (const tables of search.symmetries) {
+        let image = 0;
+        for (let byte = 0; byte < tables.length; byte++) {
+            image |= tables[byte][(drawn >>> (byte * 8)) & 255];
+        }
+        if (image < key) key = image;
+    }
+    return key;
+}
+
+/**
+ * Net boxes for the player to move, once the given lines are drawn, as far as the window needs:
+ * a result at or below alpha is an upper bound, one at or above beta a lower bound
+ * @param {Object} search - Search data
+ * @param {number} drawn - Bitmask of the lines drawn since the search started
+ * @param {number} alpha - Result the player to move already has elsewhere
+ * @param {number} beta - Result the opponent already has elsewhere, negated
+ * @returns {number} Best net boxes from here (within the window)
+ * @throws {Error} If the search runs out of budget
+ */
+function solve(search, drawn, alpha, beta) {
+    if (drawn === search.all) return 0;
+    if (++search.visited > SOLVER_BUDGET) {
+        throw new Error('This position has too many possibilities to solve exactly - try again a few moves later');
+    }
+
+    // Lines that take boxes first, then lines that don't give a box a third side, then the rest
+    const captures = [];
+    const quiet = [];
+    const sacrifices = [];
+    for (let index = 0; index < search.lines.length; index++) {
+        if (drawn & (1 << index)) continue;
+
+        const after = drawn | (1 << index);
+        let completed = 0;
+        let offers = false;
+        for (const box of search.boxesOfLine[index]) {
+            const missing = search.boxes[box] & ~after;
+            if (missing === 0) completed++;
+            else if ((missing & (missing - 1)) === 0) offers = true;
+        }
+
+        // Taking a box that leaves nothing new to take never hurts, so it needs no search
+        if (completed > 0 && !offers) {
+            return completed + solve(search, after, alpha - completed, beta - completed);
+        }
+        if (completed > 0) captures.push(index);
+        else if (offers) sacrifices.push(index);
+        else quiet.push(index);
+    }
+
+    const key = getPositionKey(search, drawn);
+    let lower = -search.boxes.length;
+    let upper = search.boxes.length;
+    if (search.table.has(key)) {
+        const bounds = search.table.get(key);
+        lower = Math.floor(bounds / BOUND_RANGE) - BOUND_OFFSET;
+        upper = bounds % BOUND_RANGE - BOUND_OFFSET;
+        if (lower >= beta || lower === upper) return lower;
+        if (upper <= alpha) return upper;
+        alpha = Math.max(alpha, lower);
+        beta = Math.min(beta, upper);
+    }
+
+    const floor = alpha;
+    let best = -Infinity;
+    for (const index of [...captures, ...quiet, ...sacrifices]) {
+        best = Math.max(best, getLineValue(search, drawn, index, alpha, beta));
+        alpha = Math.max(alpha, best);
+        if (alpha >= beta) break;
+    }
+
+    if (best <= floor) upper = Math.min(upper, best);
+    else if (best >= beta) lower = Math.max(lower, best);
+    else lower = upper = best;
+    search.table.set(key, (lower + BOUND_OFFSET) * BOUND_RANGE + upper + BOUND_OFFSET);
+    return best;
+}
+
+/**
+ * Net boxes for the player who draws a line
+ * @param {Object} search - Search data
+ * @param {number} drawn - Bitmask of the lines drawn before it
+ * @param {number} index - Line to draw
+ * @param {number} alpha - Lower end of the window (the whole range by default, for an exact value)
+ * @param {number} beta - Upper end of the window
+ * @returns {number} Boxes it completes plus the rest of the game for the same player
+ */
+function getLineValue(search, drawn, index, alpha = -search.boxes.length, beta = search.boxes.length) {
+    const after = drawn | (1 << index);
+    const completed = search.boxesOfLine[index].filter(box => (search.boxes[box] & ~after) === 0).length;
+
+    // Completing a box earns another move; otherwise the opponent moves next
+    return completed > 0
+        ? completed + solve(search, after, alpha - completed, beta - completed)
+        : -solve(search, after, -beta, -alpha);
+}
@@ -0,0 +1,426 @@
+// Saved games - localStorage persistence
+// Automatic save of the game in progress plus named save slots
+
+import * as GameLogic from './game-logic.js';
+import * as Engine from './game-engine.js';
+import * as Clock from './game-clock.js';
+import { DIFFICULTIES } from './ai-player.js';
+import { isHexColor } from './utils.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Bump when the save format (players, settings, history) changes
+export const SAVE_VERSION = 1;
+
+export const MAX_SLOT_NAME_LENGTH = 30;
+
+const AUTOSAVE_KEY = 'dotsandblox.autosave';
+const SLOTS_KEY = 'dotsandblox.saves';
+
+/**
+ * Everything needed to restore a game:
+ *
+ * @typedef {Object} GameSnapshot
+ * @property {Object} gameState - Game state (see game-logic.js)
+ * @property {Array} players - [{name, color, label, difficulty, anonymous}]
+ * @property {Object} rules - Rules in play (see game-engine.js)
+ * @property {boolean} allowUndo - Whether undo/redo is enabled
+ * @property {Array} moveHistory - [{lineType, row, col, player, completedBoxes}]
+ * @property {Array} redoStack - Undone moves, next redo last
+ * @property {Object|null} clock - Game clock (see game-clock.js), null for untimed games
+ * @property {string} firstPlayer - Who opens the next game (key of FIRST_PLAYER_OPTIONS in game-engine.js)
+ * @property {Object|null} tournamentGame - Tournament game being played ({index, first, second, createdAt},
+ *                                          see tournaments.js getNextGame), null for other games
+ */
+
+// ===== SERIALIZE / DESERIALIZE =====
+
+/**
+ * Convert a snapshot to JSON-safe save data
+ * @param {GameSnapshot} snapshot - Game to save
+ * @returns {Object} Save data
+ */
+export function createSave(snapshot) {
+    const toMove = move => ({ lineType: move.lineType, row: move.row, col: move.col });
+
+    return {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        game: GameLogic.serializeGameState(snapshot.gameState),
+        players: snapshot.players.map(({ name, color, label, difficulty, anonymous }) =>
+            ({ name, color, label, difficulty, anonymous })),
+        settings: {
+            allowUndo: snapshot.allowUndo,
+            variants: snapshot.rules.variants,
+            clock: snapshot.clock && saveClock(snapshot.clock, snapshot.gameState),
+            firstPlayer: snapshot.firstPlayer,
+            tournamentGame: snapshot.tournamentGame
+        },
+        history: snapshot.moveHistory.map(toMove),
+        redo: snapshot.redoStack.map(toMove)
+    };
+}
+
+/**
+ * Time control and time left, charging the time already spent on the current move
+ * (a per-move limit starts over when the game is loaded)
+ * @param {Object} clock - Game clock (see game-clock.js)
+ * @param {Object} gameState - Current game state
+ * @returns {Object} {timeControl, onTimeout, remaining}
+ */
+function saveClock(clock, gameState) {
+    const { totals } = Clock.getTimeLeft(clock, gameState.currentPlayer, Date.now());
+    return { timeControl: clock.timeControl, onTimeout: clock.onTimeout, remaining: totals };
+}
+
+/**
+ * Rebuild a snapshot from save data
+ * The move history is replayed and must lead to exactly the saved position
+ * @param {Object} save - Save data from createSave
+ * @returns {GameSnapshot} Restored game
+ * @throws {Error} If the save has the wrong version or is corrupted
+ */
+export function readSave(save) {
+    if (!save || typeof save !== 'object') {
+        throw new Error('Saved game is empty or unreadable');
+    }
+    if (save.version !== SAVE_VERSION) {
+        throw new Error(`Unsupported save version: ${save.version}`);
+    }
+
+    if (!save.settings || typeof save.settings.allowUndo !== 'boolean') {
+        throw new Error('Saved game has invalid settings');
+    }
+    const rules = readRules(save.settings.variants);
+
+    // Saves from before the who-starts option always started with player 1
+    const firstPlayer = save.settings.firstPlayer || 'fixed';
+    if (!Object.hasOwn(Engine.FIRST_PLAYER_OPTIONS, firstPlayer)) {
+        throw new Error('Saved game has invalid settings');
+    }
+
+    const gameState = GameLogic.deserializeGameState(save.game, state => Engine.getResult(state, rules).winners);
+    const players = readPlayers(save.players, gameState.playerCount);
+
+    // Replay the history from an empty board
+    const start = Engine.createInitialState(gameState.rows, gameState.cols, gameState.playerCount,
+        Engine.getHeadStarts(gameState), GameLogic.getLayout(gameState));
+    const { state: replayed, history: moveHistory } = replayMoves(save.history, start, rules);
+
+    if (!isSamePosition(replayed, gameState)) {
+        throw new Error('Saved move history does not match the saved board');
+    }
+
+    // Undone moves must still be playable from here (next redo is last)
+    if (!Array.isArray(save.redo)) {
+        throw new Error('Saved game is missing its undone moves');
+    }
+    const redoStack = replayMoves([...save.redo].reverse(), gameState, rules).history.reverse();
+    const clock = readClock(save.settings.clock, gameState.playerCount);
+    const tournamentGame = readTournamentGame(save.settings.tournamentGame);
+
+    return {
+        gameState,
+        players,
+        rules,
+        allowUndo: save.settings.allowUndo,
+        moveHistory,
+        redoStack,
+        clock,
+        firstPlayer,
+        tournamentGame
+    };
+}
+
+/**
+ * Check the saved rule variants (saves without any use the standard rules)
+ * @param {*} variants - Saved variant ids
+ * @returns {Object} Rules (see game-engine.js)
+ * @throws {Error} If a variant is unknown
+ */
+function readRules(variants = []) {
+    try {
+        return Engine.getVariantRules(variants);
+    } catch (error) {
+        throw new Error(`Saved game has invalid rules: ${error.message}`);
+    }
+}
+
+/**
+ * Check the saved time control (saves without one are untimed)
+ * @param {*} saved - Saved clock: {timeControl, onTimeout, remaining}
+ * @param {number} playerCount - Number of players in the game
+ * @returns {Object|null} Stopped clock (see game-clock.js), or null
+ * @throws {Error} If the clock settings or times are invalid
+ */
+function readClock(saved = null, playerCount) {
+    if (saved === null) return null;
+
+    try {
+        return Clock.createClock(saved.timeControl, saved.onTimeout, playerCount, saved.remaining);
+    } catch (error) {
+        throw new Error(`Saved game has an invalid clock: ${error.message}`);
+    }
+}
+
+/**
+ * Check the saved tournament game (saves from before tournaments, and other games, have none)
+ * @param {*} saved - Saved {index, first, second, createdAt}
+ * @returns {Object|null} Tournament game, or null
+ * @throws {Error} If it is malformed
+ */
+function readTournamentGame(saved = null) {
+    if (saved === null) return null;
+
+    const { index, first, second, createdAt } = saved;
+    const valid = [index, first, second].every(value => Number.isInteger(value) && value >= 0) &&
+                  typeof createdAt === 'string';
+    if (!valid) {
+        throw new Error('Saved game has an invalid tournament game');
+    }
+    return { index, first, second, createdAt };
+}
+
+/**
+ * Check the saved players
+ * @param {*} players - Saved player list
+ * @param {number} playerCount - Number of players in the game
+ * @returns {Array} Players: [{name, color, label, difficulty, anonymous}]
+ * @throws {Error} If any player is invalid
+ */
+function readPlayers(players, playerCount) {
+    if (!Array.isArray(players) || players.length !== playerCount) {
+        throw new Error('Saved game has the wrong number of players');
+    }
+
+    return players.map((player, index) => {
+        const valid = player &&
+                      typeof player.name === 'string' && player.name.length > 0 &&
+                      typeof player.label === 'string' &&
+                      isHexColor(player.color) &&
+                      (player.difficulty === null || Object.hasOwn(DIFFICULTIES, player.difficulty)) &&
+                      (player.anonymous === undefined || typeof player.anonymous === 'boolean');
+        if (!valid) {
+            throw new Error(`Saved game has an invalid player ${index + 1}`);
+        }
+
+        // Saves from before players were flagged anonymous: a default name was the seat's own
+        const anonymous = player.anonymous === undefined ? player.name === `Player ${index + 1}` : player.anonymous;
+        const { name, color, label, difficulty } = player;
+        return { name, color, label, difficulty, anonymous };
+    });
+}
+
+/**
+ * Play saved moves in order, rebuilding the full history records
+ * @param {*} moves - Saved moves: [{lineType, row, col}]
+ * @param {Object} gameState - Position to play from (not modified)
+ * @param {Object} rules - Rules in play
+ * @returns {Object} {state, history}: final position and records [{lineType, row, col, player, completedBoxes}]
+ * @throws {Error} If a move is malformed or illegal
+ */
+function replayMoves(moves, gameState, rules) {
+    if (!Array.isArray(moves)) {
+        throw new Error('Saved game is missing its move history');
+    }
+
+    let state = gameState;
+    const history = moves.map((move, index) => {
+        if (!move || !['horizontal', 'vertical'].includes(move.lineType) || !Engine.isLegalMove(state, move, rules)) {
+            throw new Error(`Saved game has an illegal move at step ${index + 1}`);
+        }
+
+        const played = Engine.applyMove(state, { lineType: move.lineType, row: move.row, col: move.col }, rules);
+        state = played.state;
+        return played.record;
+    });
+
+    return { state, history };
+}
+
+/**
+ * Compare two positions (lines, owners and whose turn it is)
+ * @param {Object} a - Game state
+ * @param {Object} b - Game state
+ * @returns {boolean} True if they are the same position
+ */
+function isSamePosition(a, b) {
+    const sameMap = (x, y) => x.size === y.size && [...x].every(([key, value]) => y.get(key) === value);
+    const ownerKey = box => `${box.row},${box.col},${box.owner}`;
+    const boxesB = new Set(b.boxes.map(ownerKey));
+
+    return sameMap(a.horizontalLines, b.horizontalLines) &&
+           sameMap(a.verticalLines, b.verticalLines) &&
+           a.boxes.length === b.boxes.length &&
+           a.boxes.every(box => boxesB.has(ownerKey(box))) &&
+           a.currentPlayer === b.currentPlayer;
+}
+
+/**
+ * Short description of a snapshot for menus
+ * @param {GameSnapshot} snapshot - Saved game
+ * @returns {string} e.g. "6x6 dots, Ada vs Player 2, move 14" (rule variants are named after the size)
+ */
+export function describeSnapshot(snapshot) {
+    const { gameState, players, rules, moveHistory } = snapshot;
+    const names = players.map(player => player.name).join(' vs ');
+    const variants = rules.variants.length > 0 ? ` (${rules.name})` : '';
+    return `${gameState.rows}x${gameState.cols} dots${variants}, ${names}, move ${moveHistory.length + 1}`;
+}
+
+// ===== LOCAL STORAGE =====
+
+/**
+ * Read and parse a localStorage entry
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, or null if missing or unreadable
+ */
+export function readStorage(key) {
+    try {
+        const text = localStorage.getItem(key);
+        return text === null ? null : JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Write a value to localStorage as JSON
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @throws {Error} If storage is full or disabled
+ */
+export function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        throw new Error('Could not save - browser storage is full or disabled');
+    }
+}
+
+/**
+ * Remove a localStorage entry
+ * @param {string} key - Storage key
+ */
+export function removeStorage(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        // Storage disabled: nothing to remove
+    }
+}
+
+// ===== AUTOSAVE =====
+
+/**
+ * Save the game in progress (called after every move)
+ * @param {GameSnapshot} snapshot - Current game
+ */
+export function saveAutosave(snapshot) {
+    try {
+        writeStorage(AUTOSAVE_KEY, createSave(snapshot));
+    } catch (error) {
+        console.warn('Autosave failed:', error.message);
+    }
+}
+
+/**
+ * Load the automatically saved game, discarding it if it is corrupted
+ * @returns {GameSnapshot|null} Saved game, or null if there is none
+ */
+export function loadAutosave() {
+    const save = readStorage(AUTOSAVE_KEY);
+    if (save === null) return null;
+
+    try {
+        return readSave(save);
+    } catch (error) {
+        console.warn('Discarding autosave:', error.message);
+        clearAutosave();
+        return null;
+    }
+}
+
+/**
+ * Forget the automatically saved game
+ */
+export function clearAutosave() {
+    removeStorage(AUTOSAVE_KEY);
+}
+
+// ===== SAVE SLOTS =====
+
+/**
+ * Read all save slots
+ * @returns {Object} Slot name -> save data
+ */
+function readSlots() {
+    const slots = readStorage(SLOTS_KEY);
+    return slots && typeof slots === 'object' && !Array.isArray(slots) ? slots : {};
+}
+
+/**
+ * List the named saves, newest first
+ * @returns {Array} [{name, savedAt, description, valid}]
+ */
+export function listSaveSlots() {
+    return Object.entries(readSlots())
+        .map(([name, save]) => {
+            try {
+                return { name, savedAt: save.savedAt, description: describeSnapshot(readSave(save)), valid: true };
+            } catch (error) {
+                return { name, savedAt: save && save.savedAt, description: error.message, valid: false };
+            }
+        })
+        .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+/**
+ * Check whether a slot name is already used
+ * @param {string} name - Slot name
+ * @returns {boolean} True if a save with this name exists
+ */
+export function hasSaveSlot(name) {
+    return Object.hasOwn(readSlots(), name);
+}
+
+/**
+ * Save a game under a name (replacing any save with that name)
+ * @param {string} name - Slot name
+ * @param {GameSnapshot} snapshot - Game to save
+ * @throws {Error} If the name is invalid or storage fails
+ */
+export function saveToSlot(name, snapshot) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_SLOT_NAME_LENGTH) {
+        throw new Error(`Save names need 1-${MAX_SLOT_NAME_LENGTH} characters`);
+    }
+
+    const slots = readSlots();
+    slots[trimmed] = createSave(snapshot);
+    writeStorage(SLOTS_KEY, slots);
+}
+
+/**
+ * Load a named save
+ * @param {string} name - Slot name
+ * @returns {GameSnapshot} Saved game
+ * @throws {Error} If the slot is missing or corrupted
+ */
+export function loadSlot(name) {
+    const slots = readSlots();
+    if (!Object.hasOwn(slots, name)) {
+        throw new Error(`No saved game called "${name}"`);
+    }
+    return readSave(slots[name]);
+}
+
+/**
+ * Delete a named save
+ * @param {string} name - Slot name
+ */
+export function deleteSlot(name) {
+    const slots = readSlots();
+    delete slots[name];
+    writeStorage(SLOTS_KEY, slots);
+}
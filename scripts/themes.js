@@ -0,0 +1,241 @@
+// Themes - board palettes, player color sets and the color contrast check
+// The chosen theme and ownership patterns are remembered in localStorage
+
+import { readStorage, writeStorage } from './storage.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+const DISPLAY_KEY = 'dotsandblox.display';
+
+/**
+ * A look for the board and the colors offered to players:
+ *
+ * @typedef {Object} Theme
+ * @property {string} name - Display name
+ * @property {boolean} dark - True to use the dark page styles
+ * @property {string} background - Board background color
+ * @property {string} dots - Dot color
+ * @property {Array} presets - Swatches offered in every color picker: [{color, title}];
+ *                             the first six are the default colors for Player 1 to Player 6
+ */
+
+// The colorblind-safe and dark sets follow the Okabe-Ito palette. Apart from the classic set,
+// the six default colors of every theme pass checkColorContrast, red-green color blindness included
+export const THEMES = {
+    classic: {
+        name: 'Classic',
+        dark: false,
+        background: '#FFFFFF',
+        dots: '#333333',
+        presets: [
+            { color: '#C65D3B', title: 'Terracotta' },
+            { color: '#4A6FA5', title: 'Steel Blue' },
+            { color: '#556B2F', title: 'Olive' },
+            { color: '#8B5A8C', title: 'Plum' },
+            { color: '#D4A017', title: 'Mustard' },
+            { color: '#2E8B8B', title: 'Teal' },
+            { color: '#8B4513', title: 'Brown' },
+            { color: '#2F4858', title: 'Navy' }
+        ]
+    },
+    colorblind: {
+        name: 'Colorblind-safe',
+        dark: false,
+        background: '#FFFFFF',
+        dots: '#333333',
+        presets: [
+            { color: '#0072B2', title: 'Blue' },
+            { color: '#E69F00', title: 'Orange' },
+            { color: '#009E73', title: 'Bluish Green' },
+            { color: '#CC79A7', title: 'Reddish Purple' },
+            { color: '#56B4E9', title: 'Sky Blue' },
+            { color: '#D55E00', title: 'Vermillion' },
+            { color: '#000000', title: 'Black' },
+            { color: '#F0E442', title: 'Yellow' }
+        ]
+    },
+    'high-contrast': {
+        name: 'High contrast',
+        dark: false,
+        background: '#FFFFFF',
+        dots: '#000000',
+        presets: [
+            { color: '#000000', title: 'Black' },
+            { color: '#E66100', title: 'Orange' },
+            { color: '#1A53FF', title: 'Blue' },
+            { color: '#B8006B', title: 'Magenta' },
+            { color: '#7A4A00', title: 'Brown' },
+            { color: '#5D3A9B', title: 'Violet' },
+            { color: '#00845A', title: 'Green' },
+            { color: '#808080', title: 'Grey' }
+        ]
+    },
+    dark: {
+        name: 'Dark',
+        dark: true,
+        background: '#1F1B18',
+        dots: '#E8DCC4',
+        presets: [
+            { color: '#56B4E9', title: 'Sky Blue' },
+            { color: '#E69F00', title: 'Orange' },
+            { color: '#F0E442', title: 'Yellow' },
+            { color: '#CC79A7', title: 'Pink' },
+            { color: '#2BC48A', title: 'Green' },
+            { color: '#F5F5F5', title: 'White' },
+            { color: '#FF8A65', title: 'Coral' },
+            { color: '#AED581', title: 'Lime' }
+        ]
+    }
+};
+
+export const DEFAULT_THEME = 'classic';
+
+// Colors closer than this (CIE76 color difference) are hard to tell apart
+const MIN_COLOR_DIFFERENCE = 15;
+
+// Lines need at least this contrast ratio (WCAG) against the board
+const MIN_BACKGROUND_CONTRAST = 1.8;
+
+// How colors look with the common red-green color blindness (Viénot et al., linear RGB)
+const COLORBLIND_SIMULATIONS = {
+    protanopia: [[0.11238, 0.88762, 0], [0.11238, 0.88762, 0], [0.00401, -0.00401, 1]],
+    deuteranopia: [[0.29275, 0.70725, 0], [0.29275, 0.70725, 0], [-0.02234, 0.02234, 1]]
+};
+
+// ===== DISPLAY SETTINGS =====
+
+/**
+ * Read the saved display settings
+ * @returns {Object} {theme: key of THEMES, patterns: true to hatch boxes per owner}
+ */
+export function loadDisplaySettings() {
+    const saved = readStorage(DISPLAY_KEY) || {};
+    return {
+        theme: Object.hasOwn(THEMES, saved.theme) ? saved.theme : DEFAULT_THEME,
+        patterns: saved.patterns === true
+    };
+}
+
+/**
+ * Remember the display settings
+ * @param {Object} settings - {theme, patterns}
+ * @throws {Error} If the theme is unknown or storage is unavailable
+ */
+export function saveDisplaySettings(settings) {
+    if (!Object.hasOwn(THEMES, settings.theme)) {
+        throw new Error(`Unknown theme: ${settings.theme}`);
+    }
+    writeStorage(DISPLAY_KEY, { theme: settings.theme, patterns: Boolean(settings.patterns) });
+}
+
+/**
+ * Default player colors of a theme
+ * @param {string} themeId - Key of THEMES
+ * @returns {Array} Colors for Player 1 to Player 6
+ */
+export function getDefaultColors(themeId) {
+    return THEMES[themeId].presets.slice(0, 6).map(preset => preset.color);
+}
+
+// ===== CONTRAST CHECK =====
+
+/**
+ * Find player colors that are hard to tell apart, or hard to see on the board
+ * @param {Array} colors - Player colors in turn order (#RRGGBB)
+ * @param {string} background - Board background color
+ * @returns {Object} {similar: [{seats: [a, b], colorblindOnly}], faint: [seat]} with 0-based seats
+ */
+export function checkColorContrast(colors, background) {
+    const similar = [];
+    colors.forEach((first, a) => {
+        colors.slice(a + 1).forEach((second, offset) => {
+            if (getColorDifference(first, second) < MIN_COLOR_DIFFERENCE) {
+                similar.push({ seats: [a, a + offset + 1], colorblindOnly: false });
+                return;
+            }
+
+            const colorblind = Object.values(COLORBLIND_SIMULATIONS).some(matrix =>
+                getColorDifference(first, second, matrix) < MIN_COLOR_DIFFERENCE);
+            if (colorblind) {
+                similar.push({ seats: [a, a + offset + 1], colorblindOnly: true });
+            }
+        });
+    });
+
+    const faint = [];
+    colors.forEach((color, seat) => {
+        if (getContrastRatio(color, background) < MIN_BACKGROUND_CONTRAST) faint.push(seat);
+    });
+
+    return { similar, faint };
+}
+
+/**
+ * Perceived difference between two colors (CIE76)
+ * @param {string} first - #RRGGBB
+ * @param {string} second - #RRGGBB
+ * @param {Array|null} simulation - Color blindness matrix to apply first, or null for normal vision
+ * @returns {number} Difference (about 2 is just noticeable, 100 is black against white)
+ */
+function getColorDifference(first, second, simulation = null) {
+    const [l1, a1, b1] = toLab(first, simulation);
+    const [l2, a2, b2] = toLab(second, simulation);
+    return Math.hypot(l1 - l2, a1 - a2, b1 - b2);
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} first - #RRGGBB
+ * @param {string} second - #RRGGBB
+ * @returns {number} Ratio from 1 (same) to 21 (black on white)
+ */
+function getContrastRatio(first, second) {
+    const [lighter, darker] = [getLuminance(toLinear(first)), getLuminance(toLinear(second))]
+        .sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// ===== COLOR MATH =====
+
+/**
+ * Convert a hex color to linear RGB
+ * @param {string} hex - #RRGGBB
+ * @returns {Array} [r, g, b] from 0 to 1
+ */
+function toLinear(hex) {
+    return [1, 3, 5].map(start => {
+        const channel = parseInt(hex.slice(start, start + 2), 16) / 255;
+        return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+}
+
+/**
+ * Relative luminance of a linear RGB color
+ * @param {Array} rgb - [r, g, b] from 0 to 1
+ * @returns {number} Luminance from 0 to 1
+ */
+function getLuminance([r, g, b]) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Convert a hex color to CIE L*a*b* (D65 white)
+ * @param {string} hex - #RRGGBB
+ * @param {Array|null} simulation - Color blindness matrix to apply, or null
+ * @returns {Array} [L, a, b]
+ */
+function toLab(hex, simulation) {
+    let rgb = toLinear(hex);
+    if (simulation) {
+        rgb = simulation.map(row => Math.min(1, Math.max(0, row[0] * rgb[0] + row[1] * rgb[1] + row[2] * rgb[2])));
+    }
+    const [r, g, b] = rgb;
+
+    const x = (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047;
+    const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const z = (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883;
+    const [fx, fy, fz] = [x, y, z].map(value =>
+        (value > 0.008856 ? Math.cbrt(value) : 7.787 * value + 16 / 116));
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
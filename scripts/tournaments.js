@@ -0,0 +1,450 @@
+// Tournaments - best-of-N matches, round robins and knockout brackets for named players
+// One tournament at a time is kept in localStorage, so it can be finished over several sessions
+
+import { readStorage, writeStorage } from './storage.js';
+import { getProfileKey } from './profiles.js';
+import { getVariantRules } from './game-engine.js';
+import { isValidGridSize } from './game-logic.js';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Bump when the tournament format changes
+export const TOURNAMENT_VERSION = 1;
+
+const TOURNAMENT_KEY = 'dotsandblox.tournament';
+
+export const MAX_NAME_LENGTH = 16;
+
+// Competition formats and how many players each takes
+export const TOURNAMENT_FORMATS = {
+    match: { name: 'Match', description: 'two players', minPlayers: 2, maxPlayers: 2 },
+    'round-robin': { name: 'Round robin', description: 'everyone plays everyone', minPlayers: 3, maxPlayers: 16 },
+    knockout: { name: 'Knockout', description: 'single-elimination bracket', minPlayers: 3, maxPlayers: 16 }
+};
+
+// Games per match: the first to win a majority takes the match
+export const BEST_OF_OPTIONS = [1, 3, 5, 7];
+
+// Order of the tie-breaks between players level on points
+export const TIE_BREAKS = {
+    'head-to-head': { name: 'Head-to-head, then box differential', order: ['headToHead', 'margin'] },
+    'box-differential': { name: 'Box differential, then head-to-head', order: ['margin', 'headToHead'] }
+};
+
+// Standings points for a match
+const POINTS = { win: 1, draw: 0.5 };
+
+/**
+ * A competition in progress (or just finished):
+ *
+ * @typedef {Object} Tournament
+ * @property {number} version - TOURNAMENT_VERSION
+ * @property {string} format - Key of TOURNAMENT_FORMATS
+ * @property {Array} players - Player names, in seeding order (seats are indexes into this list)
+ * @property {Object} settings - {rows, cols, variants, bestOf, tieBreak, allowUndo}
+ * @property {Array} matches - Every match, round by round (see Match)
+ * @property {string} createdAt - ISO date
+ * @property {boolean} finished - True once every match is decided
+ * @property {number|null} champion - Winning seat once finished
+ */
+
+/**
+ * One pairing, played as a best-of-N series:
+ *
+ * @typedef {Object} Match
+ * @property {number} round - Round number (1-based)
+ * @property {Array} players - [seat, seat]; null while a knockout slot waits for an earlier match
+ * @property {Array|null} from - Knockout matches whose winners fill the slots: [index, index]
+ * @property {Array} games - [{first, scores: [a, b], winner}] with first and winner as 0 or 1
+ *                           (index into players; winner null for a tied game)
+ * @property {boolean} decided - True once the match is over
+ * @property {number|null} winner - Winning seat (null for a drawn round-robin match)
+ * @property {boolean} bye - True if the only player went through without playing
+ */
+
+// ===== CREATION =====
+
+/**
+ * Start a tournament
+ * @param {string} format - Key of TOURNAMENT_FORMATS
+ * @param {Array} names - Player names in seeding order
+ * @param {Object} settings - {rows, cols, variants, bestOf, tieBreak, allowUndo}
+ * @returns {Tournament} New tournament
+ * @throws {Error} If the players or settings are invalid
+ */
+export function createTournament(format, names, settings) {
+    if (!Object.hasOwn(TOURNAMENT_FORMATS, format)) {
+        throw new Error(`Unknown tournament format: ${format}`);
+    }
+    const players = readNames(names, TOURNAMENT_FORMATS[format]);
+
+    if (!isValidGridSize(settings.rows, settings.cols)) {
+        throw new Error('Invalid grid size');
+    }
+    if (!BEST_OF_OPTIONS.includes(settings.bestOf)) {
+        throw new Error(`Matches must be best of ${BEST_OF_OPTIONS.join(', ')}`);
+    }
+    if (!Object.hasOwn(TIE_BREAKS, settings.tieBreak)) {
+        throw new Error(`Unknown tie-break: ${settings.tieBreak}`);
+    }
+    getVariantRules(settings.variants);
+
+    let matches;
+    if (format === 'knockout') {
+        matches = createBracket(players.length);
+    } else if (format === 'round-robin') {
+        matches = createRoundRobin(players.length);
+    } else {
+        matches = [createMatch(1, [0, 1])];
+    }
+
+    const tournament = {
+        version: TOURNAMENT_VERSION,
+        format,
+        players,
+        settings: {
+            rows: settings.rows,
+            cols: settings.cols,
+            variants: [...settings.variants],
+            bestOf: settings.bestOf,
+            tieBreak: settings.tieBreak,
+            allowUndo: Boolean(settings.allowUndo)
+        },
+        matches,
+        createdAt: new Date().toISOString(),
+        finished: false,
+        champion: null
+    };
+    advanceBracket(tournament);
+    return tournament;
+}
+
+/**
+ * Check the entered names
+ * @param {Array} names - Names as entered
+ * @param {Object} format - Entry of TOURNAMENT_FORMATS
+ * @returns {Array} Trimmed names
+ * @throws {Error} If there are too few or too many, or two are the same
+ */
+function readNames(names, format) {
+    const players = names.map(name => name.trim().replace(/\s+/g, ' ')).filter(name => name !== '');
+
+    if (players.length < format.minPlayers || players.length > format.maxPlayers) {
+        throw new Error(format.minPlayers === format.maxPlayers
+            ? `A ${format.name.toLowerCase()} needs exactly ${format.minPlayers} players`
+            : `A ${format.name.toLowerCase()} needs ${format.minPlayers} to ${format.maxPlayers} players`);
+    }
+
+    const long = players.find(name => name.length > MAX_NAME_LENGTH);
+    if (long) {
+        throw new Error(`Names can be at most ${MAX_NAME_LENGTH} characters: ${long}`);
+    }
+
+    const keys = players.map(getProfileKey);
+    const repeated = players.find((name, index) => keys.indexOf(keys[index]) !== index);
+    if (repeated) {
+        throw new Error(`Every player needs a different name: ${repeated} is entered twice`);
+    }
+
+    return players;
+}
+
+/**
+ * An unplayed match
+ * @param {number} round - Round number (1-based)
+ * @param {Array} players - [seat, seat] (null for slots filled later)
+ * @param {Array|null} from - Knockout matches feeding the slots
+ * @returns {Match} New match
+ */
+function createMatch(round, players, from = null) {
+    return { round, players, from, games: [], decided: false, winner: null, bye: false };
+}
+
+/**
+ * Everyone plays everyone once (circle method; with an odd count one player sits out each round)
+ * @param {number} count - Number of players
+ * @returns {Array} Matches, round by round
+ */
+function createRoundRobin(count) {
+    const seats = Array.from({ length: count }, (unused, seat) => seat);
+    if (count % 2 === 1) seats.push(null);
+
+    const matches = [];
+    const half = seats.length / 2;
+    for (let round = 1; round < seats.length; round++) {
+        for (let i = 0; i < half; i++) {
+            const a = seats[i];
+            const b = seats[seats.length - 1 - i];
+            if (a === null || b === null) continue;
+
+            // Alternate who is listed (and so starts) first
+            matches.push(createMatch(round, (round + i) % 2 === 0 ? [a, b] : [b, a]));
+        }
+
+        // Keep the first seat in place and rotate the rest
+        seats.splice(1, 0, seats.pop());
+    }
+    return matches;
+}
+
+/**
+ * Single-elimination bracket; top seeds get the byes and can only meet in later rounds
+ * @param {number} count - Number of players
+ * @returns {Array} Matches, round by round (first-round byes are decided straight away)
+ */
+function createBracket(count) {
+    let size = 2;
+    while (size < count) size *= 2;
+
+    // Standard seeding: 1 v 8, 4 v 5, 2 v 7, 3 v 6, ...
+    let positions = [0];
+    while (positions.length < size) {
+        const length = positions.length * 2;
+        positions = positions.flatMap(seed => [seed, length - 1 - seed]);
+    }
+
+    const matches = [];
+    for (let i = 0; i < size; i += 2) {
+        const pair = [positions[i], positions[i + 1]].map(seed => (seed < count ? seed : null));
+        const match = createMatch(1, pair);
+        if (pair.includes(null)) {
+            match.decided = true;
+            match.bye = true;
+            match.winner = pair[0] === null ? pair[1] : pair[0];
+        }
+        matches.push(match);
+    }
+
+    // Each later round pairs the winners of neighbouring matches
+    let previous = matches.map((match, index) => index);
+    for (let round = 2; previous.length > 1; round++) {
+        const current = [];
+        for (let i = 0; i < previous.length; i += 2) {
+            current.push(matches.length);
+            matches.push(createMatch(round, [null, null], [previous[i], previous[i + 1]]));
+        }
+        previous = current;
+    }
+    return matches;
+}
+
+// ===== PLAYING =====
+
+/**
+ * Find the next game to play: the first undecided match whose players are known
+ * The players take turns going first within a match
+ * @param {Tournament} tournament - Tournament in progress
+ * @returns {Object|null} {index: match index, first: seat, second: seat, game: game number}, or null
+ */
+export function getNextGame(tournament) {
+    const index = tournament.matches.findIndex(match =>
+        !match.decided && match.players.every(seat => seat !== null));
+    if (index === -1) return null;
+
+    const match = tournament.matches[index];
+    const first = match.games.length % 2;
+    return { index, first: match.players[first], second: match.players[1 - first], game: match.games.length + 1 };
+}
+
+/**
+ * Add a finished game to its match, then decide the match and the tournament if they are over
+ * @param {Tournament} tournament - Tournament in progress (updated in place)
+ * @param {number} index - Match index (from getNextGame)
+ * @param {Object} result - {first: seat that went first, scores: {seat: boxes}, winner: seat, or null for a tie}
+ * @returns {Match} The updated match
+ * @throws {Error} If the match is already decided or the players don't match
+ */
+export function recordGame(tournament, index, result) {
+    const match = tournament.matches[index];
+    if (!match || match.decided) {
+        throw new Error('That match is already over');
+    }
+
+    const slotOf = seat => match.players.indexOf(seat);
+    if (slotOf(result.first) === -1 || (result.winner !== null && slotOf(result.winner) === -1)) {
+        throw new Error('Those players are not in this match');
+    }
+
+    match.games.push({
+        first: slotOf(result.first),
+        scores: match.players.map(seat => result.scores[seat]),
+        winner: result.winner === null ? null : slotOf(result.winner)
+    });
+
+    decideMatch(match, tournament);
+    advanceBracket(tournament);
+
+    if (tournament.matches.every(other => other.decided)) {
+        tournament.finished = true;
+        tournament.champion = tournament.format === 'knockout'
+            ? tournament.matches[tournament.matches.length - 1].winner
+            : getStandings(tournament)[0].seat;
+    }
+    return match;
+}
+
+/**
+ * Decide a match once a player has won a majority of its games
+ * After all N games, more wins takes it; level wins are a draw in a round robin, otherwise
+ * the box differential decides, and if that is level too, the next game does (sudden death)
+ * @param {Match} match - Match (updated in place)
+ * @param {Tournament} tournament - Tournament the match is part of
+ */
+function decideMatch(match, tournament) {
+    const { bestOf } = tournament.settings;
+    const wins = [0, 1].map(slot => match.games.filter(game => game.winner === slot).length);
+    const needed = Math.floor(bestOf / 2) + 1;
+
+    let slot = null;
+    if (wins[0] >= needed || wins[1] >= needed) {
+        slot = wins[0] >= needed ? 0 : 1;
+    } else if (match.games.length < bestOf) {
+        return;
+    } else if (wins[0] !== wins[1]) {
+        slot = wins[0] > wins[1] ? 0 : 1;
+    } else if (tournament.format === 'round-robin') {
+        match.decided = true;
+        match.winner = null;
+        return;
+    } else {
+        const margin = getMatchMargin(match, tournament, 0);
+        if (margin === 0) return;
+        slot = margin > 0 ? 0 : 1;
+    }
+
+    match.decided = true;
+    match.winner = match.players[slot];
+}
+
+/**
+ * Fill knockout slots with the winners of the matches feeding them
+ * @param {Tournament} tournament - Tournament (updated in place)
+ */
+function advanceBracket(tournament) {
+    tournament.matches.forEach(match => {
+        if (!match.from) return;
+        match.players = match.from.map(source => {
+            const feeder = tournament.matches[source];
+            return feeder.decided ? feeder.winner : null;
+        });
+    });
+}
+
+/**
+ * Box differential of one side of a match over all its games
+ * Under misère rules fewer boxes is better, so the differential counts the other way
+ * @param {Match} match - Match
+ * @param {Tournament} tournament - Tournament the match is part of
+ * @param {number} slot - 0 or 1 (index into match.players)
+ * @returns {number} Boxes ahead (negative when behind)
+ */
+function getMatchMargin(match, tournament, slot) {
+    const { compareScores } = getVariantRules(tournament.settings.variants);
+    return match.games.reduce((margin, game) => {
+        const mine = game.scores[slot];
+        const theirs = game.scores[1 - slot];
+        return margin + Math.sign(compareScores(mine, theirs)) * Math.abs(mine - theirs);
+    }, 0);
+}
+
+// ===== STANDINGS =====
+
+/**
+ * League table: points (1 per match won, 1/2 per draw), then the tie-breaks in the chosen order,
+ * then seeding order
+ * @param {Tournament} tournament - Tournament
+ * @returns {Array} [{seat, name, played, won, drawn, lost, points, margin, headToHead}], best first
+ */
+export function getStandings(tournament) {
+    const rows = tournament.players.map((name, seat) => ({
+        seat, name, played: 0, won: 0, drawn: 0, lost: 0, points: 0, margin: 0, headToHead: 0
+    }));
+
+    const decided = tournament.matches.filter(match => match.decided && !match.bye);
+    decided.forEach(match => {
+        match.players.forEach((seat, slot) => {
+            const row = rows[seat];
+            row.played++;
+            row.margin += getMatchMargin(match, tournament, slot);
+            if (match.winner === null) {
+                row.drawn++;
+                row.points += POINTS.draw;
+            } else if (match.winner === seat) {
+                row.won++;
+                row.points += POINTS.win;
+            } else {
+                row.lost++;
+            }
+        });
+    });
+
+    // Head-to-head: points from the matches between players level on points
+    decided.forEach(match => {
+        const [a, b] = match.players.map(seat => rows[seat]);
+        if (a.points !== b.points) return;
+        if (match.winner === null) {
+            a.headToHead += POINTS.draw;
+            b.headToHead += POINTS.draw;
+        } else {
+            rows[match.winner].headToHead += POINTS.win;
+        }
+    });
+
+    const { order } = TIE_BREAKS[tournament.settings.tieBreak];
+    return rows.sort((a, b) => {
+        if (a.points !== b.points) return b.points - a.points;
+        const key = order.find(tieBreak => a[tieBreak] !== b[tieBreak]);
+        return key ? b[key] - a[key] : a.seat - b.seat;
+    });
+}
+
+/**
+ * Name a round for display
+ * @param {Tournament} tournament - Tournament
+ * @param {number} round - Round number (1-based)
+ * @returns {string} e.g. "Round 2", "Semi-finals" or "Final"
+ */
+export function getRoundName(tournament, round) {
+    if (tournament.format === 'match') return 'Match';
+    if (tournament.format === 'round-robin') return `Round ${round}`;
+
+    const rounds = tournament.matches[tournament.matches.length - 1].round;
+    const names = { 0: 'Final', 1: 'Semi-finals', 2: 'Quarter-finals' };
+    return names[rounds - round] || `Round ${round}`;
+}
+
+/**
+ * Count the wins of each side of a match
+ * @param {Match} match - Match
+ * @returns {Array} [wins of players[0], wins of players[1]]
+ */
+export function getMatchScore(match) {
+    return [0, 1].map(slot => match.games.filter(game => game.winner === slot).length);
+}
+
+// ===== STORAGE =====
+
+/**
+ * Load the saved tournament (an unreadable or outdated one counts as none)
+ * @returns {Tournament|null} The tournament, or null
+ */
+export function loadTournament() {
+    const data = readStorage(TOURNAMENT_KEY);
+    if (!data) return null;
+
+    if (data.version !== TOURNAMENT_VERSION || !Object.hasOwn(TOURNAMENT_FORMATS, data.format) ||
+        !Array.isArray(data.players) || !Array.isArray(data.matches)) {
+        console.warn('Ignoring unreadable tournament');
+        return null;
+    }
+    return data;
+}
+
+/**
+ * Save the tournament
+ * @param {Tournament} tournament - Tournament to keep
+ * @throws {Error} If storage is full or unavailable
+ */
+export function saveTournament(tournament) {
+    writeStorage(TOURNAMENT_KEY, tournament);
+}
@@ -0,0 +1,71 @@
+// Network transport interface for online games
+// Shared message types and the factory for the available transports
+
+import { createPeerTransport } from './peer-transport.js';
+import { createRelayTransport } from './relay-transport.js';
+
+/**
+ * A transport connects exactly two players in a room.
+ * Both implementations return an object with this shape:
+ *
+ * @typedef {Object} Transport
+ * @property {function(string): Promise<void>} host - Open a room with the given code
+ * @property {function(string): Promise<void>} join - Join the room with the given code
+ * @property {function(Object): void} send - Send a message to the other player
+ * @property {function(Function): void} onConnect - Called when the other player joins (host only)
+ * @property {function(Function): void} onMessage - Called with every message received
+ * @property {function(Function): void} onDisconnect - Called when the other player leaves
+ * @property {function(): void} close - Leave the room and release the connection
+ */
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+// Messages exchanged between the two players
+export const MESSAGE_TYPES = {
+    START: 'start',        // Host -> guest: {rows, cols, colors, variants}
+    MOVE: 'move',          // Either way: {lineType, row, col}
+    REMATCH: 'rematch',    // Either way: player wants to play again
+    LEAVE: 'leave'         // Either way: player quit the game
+};
+
+// Available transports
+export const TRANSPORT_TYPES = {
+    peerjs: 'PeerJS (internet)',
+    relay: 'Local relay server'
+};
+
+// Default address of server/relay-server.mjs: the server the page came from (on whatever port it runs),
+// or the default port on this machine for a page opened from a file
+export const DEFAULT_RELAY_URL = window.location.protocol === 'https:' ? `wss://${window.location.host}`
+    : window.location.protocol === 'http:' ? `ws://${window.location.host}`
+    : 'ws://localhost:8787';
+
+// ===== PUBLIC API =====
+
+/**
+ * Create a transport of the given type
+ * @param {string} type - 'peerjs' or 'relay'
+ * @param {Object} options - {relayUrl} for the relay transport
+ * @returns {Transport} New, unconnected transport
+ */
+export function createTransport(type, options = {}) {
+    switch (type) {
+        case 'peerjs':
+            return createPeerTransport();
+        case 'relay':
+            return createRelayTransport(options.relayUrl || DEFAULT_RELAY_URL);
+        default:
+            throw new Error(`Unknown transport: ${type}`);
+    }
+}
+
+/**
+ * Check that a received message is well formed
+ * @param {*} message - Parsed message
+ * @returns {boolean} True if the message has a known type
+ */
+export function isValidMessage(message) {
+    return message !== null &&
+           typeof message === 'object' &&
+           Object.values(MESSAGE_TYPES).includes(message.type);
+}
@@ -1,13 +1,42 @@
 // UI controller - Modal and UI state management
 // Handles showing/hiding modals and updating game information
 
+import { escapeHtml, formatPoints } from './utils.js';
+import { DIFFICULTIES } from './ai-player.js';
+import { getAverageMargin } from './profiles.js';
+import { RULE_VARIANTS, STANDARD_RULES, FIRST_PLAYER_OPTIONS } from './game-engine.js';
+import { MAX_HEAD_START, checkLayout, formatLineKey } from './game-logic.js';
+import { TIME_CONTROLS, TIMEOUT_ACTIONS, LOW_TIME, formatClockTime } from './game-clock.js';
+import { canAnalyze } from './game-analysis.js';
+import { THEMES, DEFAULT_THEME, getDefaultColors, checkColorContrast } from './themes.js';
+import { describeMove, describeStatus, describeBoard, formatScore } from './board-description.js';
+import { TOURNAMENT_FORMATS, BEST_OF_OPTIONS, TIE_BREAKS, getStandings, getRoundName, getMatchScore } from './tournaments.js';
+import { isEdgeOnBoard, formatLayoutText } from './board-layouts.js';
+import { describeGoal } from './puzzles.js';
+
+// ===== CONSTANTS =====
+
+// Theme in use: its swatches fill every color picker (see themes.js)
+let themeId = DEFAULT_THEME;
+
+// Colors being edited in the mid-game color settings modal
+let pendingColors = [];
+
+// Last score and turn read out, so redraws that change nothing aren't announced again
+let announcedStatus = '';
+const ANNOUNCE_DELAY = 50;  // ms between clearing and filling the live region, so repeats are read
+
 // ===== MODAL MANAGEMENT =====
 
 /**
  * Show the main menu
+ * @param {string|null} resumeText - Description of the game that can be resumed, or null if none
  */
-export function showMenu() {
+export function showMenu(resumeText = null) {
     hideAllModals();
+    document.getElementById('resumeGameBtn').classList.toggle('hidden', !resumeText);
+    document.getElementById('resumeGameText').classList.toggle('hidden', !resumeText);
+    document.getElementById('resumeGameText').textContent = resumeText || '';
     document.getElementById('menuModal').classList.remove('hidden');
     document.getElementById('gameArea').classList.add('hidden');
 }
@@ -20,6 +49,18 @@ export function showGameSetup() {
     document.getElementById('gameSetupModal').classList.remove('hidden');
 }
 
+/**
+ * Show the online lobby (host or join)
+ */
+export function showOnlineSetup() {
+    hideAllModals();
+    document.getElementById('roomCodeSection').classList.add('hidden');
+    document.getElementById('joinRoomCode').value = '';
+    setOnlineLobbyBusy(false);
+    setConnectionStatus('Host a game or enter a room code');
+    document.getElementById('onlineSetupModal').classList.remove('hidden');
+}
+
 /**
  * Show the game area
  */
@@ -42,6 +83,40 @@ export function hideColorSettings() {
     document.getElementById('colorSettingsModal').classList.add('hidden');
 }
 
+/**
+ * Show the saved games modal
+ * @param {boolean} canSave - True to show the form for saving the current game
+ */
+export function showSavedGames(canSave) {
+    if (!canSave) hideAllModals();
+    document.getElementById('saveSlotForm').classList.toggle('hidden', !canSave);
+    document.getElementById('saveSlotName').value = '';
+    document.getElementById('savedGamesModal').classList.remove('hidden');
+}
+
+/**
+ * Hide the saved games modal
+ */
+export function hideSavedGames() {
+    document.getElementById('savedGamesModal').classList.add('hidden');
+}
+
+/**
+ * Show the player stats screen
+ */
+export function showStats() {
+    hideAllModals();
+    document.getElementById('statsModal').classList.remove('hidden');
+}
+
+/**
+ * Show the leaderboard screen
+ */
+export function showLeaderboard() {
+    hideAllModals();
+    document.getElementById('leaderboardModal').classList.remove('hidden');
+}
+
 /**
  * Hide all modals
  */
@@ -50,96 +125,1309 @@ function hideAllModals() {
     modals.forEach(modal => modal.classList.add('hidden'));
 }
 
+// ===== ONLINE LOBBY =====
+
+/**
+ * Show the room code for the host to share
+ * @param {string} roomCode - Room code
+ */
+export function showRoomCode(roomCode) {
+    document.getElementById('roomCodeText').textContent = roomCode;
+    document.getElementById('roomCodeSection').classList.remove('hidden');
+}
+
+/**
+ * Update the lobby status line
+ * @param {string} message - Status to display
+ */
+export function setConnectionStatus(message) {
+    document.getElementById('connectionStatus').textContent = message;
+}
+
+/**
+ * Enable/disable the host and join controls while connecting
+ * @param {boolean} busy - True while a connection attempt is running
+ */
+export function setOnlineLobbyBusy(busy) {
+    ['hostGameBtn', 'joinGameBtn', 'onlineTransport', 'onlineGridSize', 'onlineRows', 'onlineCols', 'joinRoomCode', 'relayUrl']
+        .forEach(id => { document.getElementById(id).disabled = busy; });
+}
+
 // ===== GAME INFO UPDATES =====
 
 /**
- * Update game information (score, turn indicator)
+ * Build the turn indicators and score slots for this game's players
+ * @param {Array} players - Players in turn order: [{name, color, label}]
+ */
+export function setPlayers(players) {
+    const indicators = document.getElementById('playerIndicators');
+    const scores = document.getElementById('scoreDisplay');
+    const clocks = document.getElementById('playerClocks');
+    indicators.innerHTML = '';
+    scores.innerHTML = '';
+    clocks.innerHTML = '';
+
+    // A new game starts with the board description closed
+    document.getElementById('boardDescription').classList.add('hidden');
+    document.getElementById('describeBoardBtn').setAttribute('aria-expanded', 'false');
+
+    players.forEach((player, index) => {
+        const number = index + 1;
+
+        // Turn indicator: color dot + name
+        const indicator = document.createElement('div');
+        indicator.className = 'player-indicator';
+        indicator.id = `player${number}Indicator`;
+        const dot = document.createElement('div');
+        dot.className = 'color-dot';
+        dot.id = `player${number}Dot`;
+        const name = document.createElement('span');
+        name.textContent = player.name;
+        indicator.append(dot, name);
+        indicators.appendChild(indicator);
+
+        // Score slot, separated by dividers
+        if (index > 0) {
+            const divider = document.createElement('div');
+            divider.className = 'score-divider';
+            divider.textContent = '|';
+            scores.appendChild(divider);
+        }
+        const score = document.createElement('div');
+        score.className = 'player-score';
+        const label = document.createElement('span');
+        label.className = 'score-label';
+        label.textContent = `${player.label}:`;
+        label.title = player.name;
+        const value = document.createElement('span');
+        value.className = 'score-value';
+        value.id = `player${number}Score`;
+        value.textContent = '0';
+        score.append(label, value);
+        scores.appendChild(score);
+
+        // Clock slot (shown for games with a total time)
+        const clock = document.createElement('div');
+        clock.className = 'player-clock';
+        clock.id = `player${number}ClockSlot`;
+        clock.title = player.name;
+        clock.style.setProperty('--player-color', player.color);
+        const clockLabel = document.createElement('span');
+        clockLabel.textContent = player.label;
+        const time = document.createElement('span');
+        time.className = 'clock-time';
+        time.id = `player${number}Clock`;
+        clock.append(clockLabel, time);
+        clocks.appendChild(clock);
+    });
+}
+
+/**
+ * Show which rule variants are in play (hidden for standard rules)
+ * @param {Object} rules - Rules of the game (see game-engine.js)
+ */
+export function setRules(rules) {
+    const info = document.getElementById('rulesInfo');
+    info.textContent = rules.variants.length > 0 ? `Rules: ${rules.name}` : '';
+    info.title = rules.variants.map(id => `${RULE_VARIANTS[id].name}: ${RULE_VARIANTS[id].description}`).join('\n');
+    info.classList.toggle('hidden', rules.variants.length === 0);
+}
+
+/**
+ * Update game information (score, turn indicator) and announce it to screen readers
  * @param {Object} gameState - Current game state
- * @param {string} player1Color - Player 1's color
- * @param {string} player2Color - Player 2's color
+ * @param {Array} players - Players in turn order: [{name, color, label}]
+ * @param {Object|null} lastMove - Move just played, to announce: {lineType, row, col, player, completedBoxes}
  */
-export function updateGameInfo(gameState, player1Color, player2Color) {
-    // Update scores
-    document.getElementById('player1Score').textContent = gameState.scores.player1;
-    document.getElementById('player2Score').textContent = gameState.scores.player2;
+export function updateGameInfo(gameState, players, lastMove = null) {
+    players.forEach((player, index) => {
+        const number = index + 1;
+
+        // Update scores
+        document.getElementById(`player${number}Score`).textContent = formatScore(gameState, number);
 
-    // Update player color dots
-    document.getElementById('player1Dot').style.background = player1Color;
-    document.getElementById('player2Dot').style.background = player2Color;
+        // Update player color dots
+        document.getElementById(`player${number}Dot`).style.background = player.color;
+    });
 
     // Update turn indicator
-    updateTurnIndicator(gameState.currentPlayer, player1Color, player2Color);
+    updateTurnIndicator(gameState.currentPlayer, players);
+
+    // Read out the move, the score and whose turn it is
+    const status = describeStatus(gameState, players);
+    if (lastMove || status !== announcedStatus) {
+        announcedStatus = status;
+        announce(lastMove ? `${describeMove(lastMove, players)} ${status}` : status);
+    }
+
+    // Keep the text description in step with the board
+    if (!document.getElementById('boardDescription').classList.contains('hidden')) {
+        renderBoardDescription(gameState, players);
+    }
 }
 
 /**
  * Update turn indicator with glow effect
- * @param {number} currentPlayer - Current player (1 or 2)
- * @param {string} player1Color - Player 1's color
- * @param {string} player2Color - Player 2's color
+ * @param {number} currentPlayer - Current player (1-based)
+ * @param {Array} players - Players in turn order: [{name, color}]
  */
-function updateTurnIndicator(currentPlayer, player1Color, player2Color) {
-    const player1Indicator = document.getElementById('player1Indicator');
-    const player2Indicator = document.getElementById('player2Indicator');
+function updateTurnIndicator(currentPlayer, players) {
     const turnText = document.getElementById('turnText');
+    const current = players[currentPlayer - 1];
 
-    // Remove active class from both
-    player1Indicator.classList.remove('active');
-    player2Indicator.classList.remove('active');
+    // Only the current player's indicator glows
+    players.forEach((player, index) => {
+        const indicator = document.getElementById(`player${index + 1}Indicator`);
+        indicator.classList.toggle('active', index + 1 === currentPlayer);
+        indicator.style.setProperty('--player-color', player.color);
+    });
 
-    // Add active class to current player
-    if (currentPlayer === 1) {
-        player1Indicator.classList.add('active');
-        player1Indicator.style.setProperty('--player-color', player1Color);
-        turnText.textContent = "Player 1's Turn";
-        turnText.style.color = player1Color;
-    } else {
-        player2Indicator.classList.add('active');
-        player2Indicator.style.setProperty('--player-color', player2Color);
-        turnText.textContent = "Player 2's Turn";
-        turnText.style.color = player2Color;
+    turnText.textContent = `${current.name}'s Turn`;
+    turnText.style.color = current.color;
+}
+
+/**
+ * Update the clocks (hidden for untimed games)
+ * @param {Object|null} timeLeft - {move, totals} from game-clock.js getTimeLeft, or null for no clocks
+ * @param {number|null} currentPlayer - Player whose clock is running (null once the game is over)
+ */
+export function updateClocks(timeLeft, currentPlayer) {
+    const display = document.getElementById('clockDisplay');
+    display.classList.toggle('hidden', timeLeft === null);
+    if (timeLeft === null) return;
+
+    const { move, totals } = timeLeft;
+    document.getElementById('playerClocks').classList.toggle('hidden', totals === null);
+    if (totals) {
+        totals.forEach((time, index) => {
+            const slot = document.getElementById(`player${index + 1}ClockSlot`);
+            slot.classList.toggle('active', index + 1 === currentPlayer);
+            slot.classList.toggle('low-time', time < LOW_TIME);
+            document.getElementById(`player${index + 1}Clock`).textContent = formatClockTime(time);
+        });
+    }
+
+    // Time left for this move (per-move time controls)
+    const moveClock = document.getElementById('moveClock');
+    moveClock.classList.toggle('hidden', move === null || currentPlayer === null);
+    if (move !== null) {
+        moveClock.textContent = `Move: ${formatClockTime(move)}`;
+        moveClock.classList.toggle('low-time', move < LOW_TIME);
     }
 }
 
+/**
+ * Show/enable the undo and redo buttons
+ * @param {boolean} visible - False when undo is disabled for this game
+ * @param {boolean} canUndo - True if there is a move to undo
+ * @param {boolean} canRedo - True if there is a move to redo
+ */
+export function updateUndoButtons(visible, canUndo, canRedo) {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+
+    undoBtn.classList.toggle('hidden', !visible);
+    redoBtn.classList.toggle('hidden', !visible);
+    undoBtn.disabled = !canUndo;
+    redoBtn.disabled = !canRedo;
+}
+
+/**
+ * Show/enable the hint button
+ * @param {boolean} visible - False when hints are off for this game
+ * @param {boolean} enabled - True if a hint can be given now
+ */
+export function updateHintButton(visible, enabled) {
+    const hintBtn = document.getElementById('hintBtn');
+    hintBtn.classList.toggle('hidden', !visible);
+    hintBtn.disabled = !enabled;
+}
+
+/**
+ * Show/enable the evaluate button
+ * @param {boolean} visible - False when positions can't be evaluated in this game
+ * @param {boolean} enabled - True if the position on screen can be solved now
+ */
+export function updateEvaluateButton(visible, enabled) {
+    const evaluateBtn = document.getElementById('evaluateBtn');
+    evaluateBtn.classList.toggle('hidden', !visible);
+    evaluateBtn.disabled = !enabled;
+}
+
+/**
+ * Show the exact result of the position and the value of each line (see solver.js solvePosition)
+ * @param {Object|null} evaluation - {value, scores, moves}, or null to hide the panel
+ * @param {Array} players - Players in turn order: [{name}]
+ * @param {number} mover - Player to move (1 or 2)
+ */
+export function showEvaluation(evaluation, players = [], mover = 1) {
+    const panel = document.getElementById('evaluationPanel');
+    panel.classList.toggle('hidden', evaluation === null);
+    if (evaluation === null) return;
+
+    const scores = evaluation.scores.join('-');
+    const net = evaluation.value > 0 ? `+${evaluation.value}` : `${evaluation.value}`;
+    document.getElementById('evaluationSummary').textContent =
+        `With perfect play: ${scores} (${net} from here for ${players[mover - 1].name})`;
+
+    // Lines grouped by value, best first (the moves come sorted)
+    const groups = new Map();
+    evaluation.moves.forEach(move => {
+        const value = move.value > 0 ? `+${move.value}` : `${move.value}`;
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(formatLineKey(move));
+    });
+    document.getElementById('evaluationLines').textContent =
+        [...groups].map(([value, lines]) => `${value}: ${lines.join(' ')}`).join(' · ');
+}
+
+/**
+ * Show/tick the chain overlay switch
+ * @param {boolean} visible - False when the overlay isn't available in this game
+ * @param {boolean} checked - True while the overlay is on
+ */
+export function updateChainOverlayToggle(visible, checked) {
+    document.getElementById('chainOverlayOption').classList.toggle('hidden', !visible);
+    document.getElementById('chainOverlayToggle').checked = checked;
+}
+
+/**
+ * Show the reset zoom button while the board is zoomed in
+ * @param {boolean} zoomed - True if only part of the board is visible
+ */
+export function updateZoomButton(zoomed) {
+    document.getElementById('resetZoomBtn').classList.toggle('hidden', !zoomed);
+}
+
+// ===== SCREEN READER =====
+
+/**
+ * Read a message out through the live region
+ * @param {string} message - Text to announce
+ */
+export function announce(message) {
+    const announcer = document.getElementById('gameAnnouncer');
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, ANNOUNCE_DELAY);
+}
+
+/**
+ * Show or hide the text description of the board (focus moves to it so it is read out)
+ * @param {Object} gameState - Current game state
+ * @param {Array} players - Players in turn order: [{name}]
+ */
+export function toggleBoardDescription(gameState, players) {
+    const panel = document.getElementById('boardDescription');
+    const show = panel.classList.contains('hidden');
+
+    panel.classList.toggle('hidden', !show);
+    document.getElementById('describeBoardBtn').setAttribute('aria-expanded', String(show));
+    if (show) {
+        renderBoardDescription(gameState, players);
+        panel.focus();
+    }
+}
+
+/**
+ * Fill the board description panel
+ * @param {Object} gameState - Current game state
+ * @param {Array} players - Players in turn order: [{name}]
+ */
+function renderBoardDescription(gameState, players) {
+    const panel = document.getElementById('boardDescription');
+    panel.innerHTML = '';
+    describeBoard(gameState, players).forEach(text => {
+        const line = document.createElement('p');
+        line.textContent = text;
+        panel.appendChild(line);
+    });
+}
+
+// ===== REPLAY =====
+
+/**
+ * Swap the game controls for the replay controls (or back)
+ * @param {boolean} active - True while replaying
+ */
+export function setReplayMode(active) {
+    document.getElementById('gameControls').classList.toggle('hidden', active);
+    document.getElementById('replayControls').classList.toggle('hidden', !active);
+}
+
+/**
+ * Update the replay controls
+ * @param {number} position - Moves shown so far (0 = empty board)
+ * @param {number} total - Moves in the game
+ * @param {boolean} playing - True while autoplaying
+ * @param {string} status - Description of the last move shown
+ */
+export function updateReplayControls(position, total, playing, status) {
+    const slider = document.getElementById('replaySlider');
+    slider.max = total;
+    slider.value = position;
+
+    document.getElementById('replayStatus').textContent = status;
+    document.getElementById('replayPlayBtn').textContent = playing ? 'Pause' : 'Play';
+    document.getElementById('replayStartBtn').disabled = position === 0;
+    document.getElementById('replayBackBtn').disabled = position === 0;
+    document.getElementById('replayForwardBtn').disabled = position === total;
+    document.getElementById('replayEndBtn').disabled = position === total;
+}
+
+// ===== ANALYSIS =====
+
+/**
+ * List the flagged moves of a reviewed game (hidden for a plain replay)
+ * @param {Array|null} mistakes - Mistakes from game-analysis.js, or null
+ * @param {Array} players - Players in turn order: [{name}]
+ */
+export function setAnalysis(mistakes, players) {
+    const panel = document.getElementById('analysisPanel');
+    panel.classList.toggle('hidden', mistakes === null);
+    if (mistakes === null) return;
+
+    // Mistakes per player (swings are measured against best play, so they don't add up)
+    document.getElementById('analysisSummary').textContent = players.map((player, index) => {
+        const own = mistakes.filter(mistake => mistake.player === index + 1);
+        if (own.length === 0) return `${player.name}: no mistakes found`;
+        const worst = Math.max(...own.map(mistake => mistake.swing));
+        return `${player.name}: ${own.length} mistake${own.length > 1 ? 's' : ''}, worst swing ${worst} box${worst > 1 ? 'es' : ''}`;
+    }).join(' · ');
+
+    const list = document.getElementById('analysisList');
+    list.innerHTML = '';
+    mistakes.forEach(mistake => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'analysis-item';
+        button.dataset.position = mistake.index;
+        button.textContent = `Move ${mistake.index + 1}: ${players[mistake.player - 1].name} - ` +
+                             `${mistake.description} (−${mistake.swing})`;
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Explain the mistake about to be made at this replay position
+ * @param {number} position - Replay position (moves shown)
+ * @param {Object|null} mistake - Mistake made by the next move, or null
+ * @param {Array} players - Players in turn order: [{name}]
+ */
+export function showMistake(position, mistake, players) {
+    document.querySelectorAll('#analysisList .analysis-item').forEach(button => {
+        button.classList.toggle('active', Number(button.dataset.position) === position);
+    });
+
+    const swing = mistake && `${mistake.swing} box${mistake.swing > 1 ? 'es' : ''}`;
+    document.getElementById('analysisNote').textContent = mistake
+        ? `${players[mistake.player - 1].name}'s next line (red): ${mistake.description}. ` +
+          `It swings the result by ${swing} compared with the green line.`
+        : 'Pick a flagged move to see what went wrong and the better line.';
+}
+
 // ===== GAME OVER =====
 
 /**
  * Show game over modal with winner and stats
  * @param {Object} gameState - Final game state
  * @param {Object} sessionStats - Session statistics
+ * @param {Array} players - Players in turn order: [{name}]
+ * @param {Object} details - Optional extras
+ * @param {Object} details.rules - Rules the game was played with (see game-engine.js)
+ * @param {Array} details.profiles - Updated lifetime profiles of the named players
+ * @param {Array} details.ratingChanges - [{name, before, after}] for the rated players
  */
-export function showGameOver(gameState, sessionStats) {
+export function showGameOver(gameState, sessionStats, players, details = {}) {
+    const { rules = null, profiles = [], ratingChanges = [], tournament = null } = details;
     const modal = document.getElementById('gameOverModal');
     const winnerText = document.getElementById('winnerText');
     const statsDisplay = document.getElementById('statsDisplay');
+    const nameOf = player => escapeHtml(players[player - 1].name);
+    const misere = rules !== null && rules.variants.includes('misere');
 
     // Determine winner text
     let winner = '';
-    if (gameState.winner === 0) {
+    if (gameState.forfeited && gameState.winner !== 0) {
+        winner = `${nameOf(gameState.winner)} Wins on Time!`;
+    } else if (gameState.winner !== 0) {
+        winner = misere
+            ? `${nameOf(gameState.winner)} Wins with the Fewest Boxes!`
+            : `${nameOf(gameState.winner)} Wins!`;
+    } else if (gameState.winners.length === players.length) {
         winner = "It's a Tie!";
     } else {
-        winner = `Player ${gameState.winner} Wins!`;
+        winner = `Tie between ${formatList(gameState.winners.map(nameOf))}!`;
     }
 
     // Format final scores
-    const finalScore = `Final Score: P1: ${gameState.scores.player1} | P2: ${gameState.scores.player2}`;
+    const finalScore = 'Final Score: ' + players
+        .map((player, index) => `${escapeHtml(player.name)}: ${formatScore(gameState, index + 1)}`)
+        .join(' | ');
+
+    // Remind everyone which rules decided the result
+    const rulesNote = rules && rules.variants.length > 0
+        ? `<p class="rules-note">Rules: ${rules.variants.map(id =>
+            `${RULE_VARIANTS[id].name} (${RULE_VARIANTS[id].description.toLowerCase()})`).join(', ')}</p>`
+        : '';
 
     // Format session stats
     const stats = `
         <div class="session-stats">
             <h3>Session Stats</h3>
             <p>Games Played: ${sessionStats.gamesPlayed}</p>
-            <p>Player 1 Wins: ${sessionStats.player1Wins}</p>
-            <p>Player 2 Wins: ${sessionStats.player2Wins}</p>
+            ${players.map(player =>
+                `<p>${escapeHtml(player.name)} Wins: ${sessionStats.wins[player.name] || 0}</p>`
+            ).join('')}
             <p>Ties: ${sessionStats.ties}</p>
         </div>
     `;
 
-    winnerText.innerHTML = `<h2>${winner}</h2><p>${finalScore}</p>`;
-    statsDisplay.innerHTML = stats;
+    // Lifetime stats of named players
+    const lifetime = profiles.length === 0 ? '' : `
+        <div class="session-stats">
+            <h3>Lifetime Stats</h3>
+            ${profiles.map(profile =>
+                `<p>${escapeHtml(profile.name)}: ${formatRecord(profile)} in ${profile.games} games, ${formatStreak(profile.streak)}</p>`
+            ).join('')}
+        </div>
+    `;
+
+    // Rating changes of rated players
+    const ratings = ratingChanges.length === 0 ? '' : `
+        <div class="session-stats">
+            <h3>Ratings</h3>
+            ${ratingChanges.map(change =>
+                `<p>${escapeHtml(change.name)}: ${change.before} → ${change.after} (${formatRatingChange(change.after - change.before)})</p>`
+            ).join('')}
+        </div>
+    `;
+
+    // Head starts count towards the result
+    const headStarts = players
+        .map((player, index) => ({ name: player.name, points: gameState.headStart[`player${index + 1}`] }))
+        .filter(entry => entry.points > 0);
+    const headStartNote = headStarts.length > 0
+        ? `<p class="rules-note">Head start: ${headStarts.map(entry =>
+            `${escapeHtml(entry.name)} +${formatPoints(entry.points)}`).join(', ')}</p>`
+        : '';
+
+    // A player who ran out of time lost whatever the score
+    const forfeitNote = gameState.forfeited
+        ? `<p class="rules-note">${nameOf(gameState.forfeited)} ran out of time</p>`
+        : '';
+
+    winnerText.innerHTML = `<h2>${winner}</h2><p>${finalScore}</p>${headStartNote}${forfeitNote}${rulesNote}`;
+    statsDisplay.innerHTML = (tournament ? renderTournamentProgress(tournament) : '') + stats + lifetime + ratings;
+    document.getElementById('analyzeGameBtn').classList.toggle(
+        'hidden', !canAnalyze(players.length, rules || STANDARD_RULES));
+
+    // In a tournament, Play Again moves on to the next game (if there is one)
+    const restart = document.getElementById('restartBtn');
+    restart.textContent = tournament ? 'Next Game' : 'Play Again';
+    restart.classList.toggle('hidden', tournament !== null && tournament.next === null);
+    document.getElementById('tournamentStandingsBtn').classList.toggle('hidden', tournament === null);
 
     modal.classList.remove('hidden');
 }
 
+/**
+ * Join names into readable text: "A", "A and B", "A, B and C"
+ * @param {Array} items - Strings to join
+ * @returns {string} Joined text
+ */
+function formatList(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// ===== PLAYER STATS =====
+
+/**
+ * Render the stats screen for one player
+ * @param {Array} profiles - All profiles (see profiles.js)
+ * @param {number} selected - Index of the profile to show
+ */
+export function renderStats(profiles, selected) {
+    const select = document.getElementById('statsPlayer');
+    const details = document.getElementById('statsDetails');
+
+    document.getElementById('statsPlayerSection').classList.toggle('hidden', profiles.length === 0);
+    document.getElementById('exportStatsBtn').disabled = profiles.length === 0;
+    document.getElementById('clearStatsBtn').disabled = profiles.length === 0;
+
+    if (profiles.length === 0) {
+        select.innerHTML = '';
+        details.innerHTML = '<p class="stats-empty">No stats yet. Give players a name in Local Mode to track their games.</p>';
+        return;
+    }
+
+    select.innerHTML = '';
+    profiles.forEach((profile, index) => select.add(new Option(profile.name, index)));
+    select.value = selected;
+
+    const profile = profiles[selected];
+    const margin = getAverageMargin(profile);
+    const winRate = profile.games > 0 ? Math.round(100 * profile.wins / profile.games) : 0;
+
+    const summary = [
+        [profile.games, 'Games'],
+        [formatRecord(profile), 'Won - Lost - Tied'],
+        [`${winRate}%`, 'Win rate'],
+        [`${margin > 0 ? '+' : ''}${margin.toFixed(1)}`, 'Average margin'],
+        [profile.longestChain, 'Longest chain captured'],
+        [formatStreak(profile.streak), 'Current streak'],
+        [profile.bestWinStreak, 'Best win streak']
+    ].map(([value, label]) => `<div><strong>${escapeHtml(value)}</strong><span>${label}</span></div>`).join('');
+
+    details.innerHTML = `
+        <div class="stats-summary">${summary}</div>
+        <h3>Against Each Opponent</h3>
+        ${renderRecordTable('Opponent', profile.opponents)}
+        <h3>By Board Size (dots)</h3>
+        ${renderRecordTable('Board', profile.boardSizes)}
+    `;
+}
+
+/**
+ * Build a table of win/loss/tie records
+ * @param {string} heading - First column heading
+ * @param {Object} records - Name -> {games, wins, losses, ties}
+ * @returns {string} Table HTML
+ */
+function renderRecordTable(heading, records) {
+    const rows = Object.entries(records)
+        .sort(([, a], [, b]) => b.games - a.games)
+        .map(([name, record]) => `
+            <tr>
+                <td>${escapeHtml(name)}</td>
+                <td>${record.games}</td>
+                <td>${record.wins}</td>
+                <td>${record.losses}</td>
+                <td>${record.ties}</td>
+            </tr>
+        `).join('');
+
+    return `
+        <table class="stats-table">
+            <thead><tr><th>${heading}</th><th>Games</th><th>Won</th><th>Lost</th><th>Tied</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Format a win/loss/tie record
+ * @param {Object} record - {wins, losses, ties}
+ * @returns {string} e.g. "7-4-1"
+ */
+function formatRecord(record) {
+    return `${record.wins}-${record.losses}-${record.ties}`;
+}
+
+/**
+ * Describe a streak
+ * @param {Object} streak - {result, count}
+ * @returns {string} e.g. "3 wins in a row"
+ */
+function formatStreak(streak) {
+    if (!streak.result) return 'no streak';
+
+    const word = { win: 'win', loss: 'loss', tie: 'tie' }[streak.result];
+    const plural = streak.count === 1 ? word : (word === 'loss' ? 'losses' : `${word}s`);
+    return `${streak.count} ${plural} in a row`;
+}
+
+/**
+ * Suggest known player names in the setup name fields
+ * @param {Array} names - Profile names
+ */
+export function setProfileNames(names) {
+    const list = document.getElementById('profileNames');
+    list.innerHTML = '';
+    names.forEach(name => list.appendChild(new Option(name)));
+}
+
+// ===== LEADERBOARD =====
+
+/**
+ * Render the leaderboard: ranking, one player's rating history and head-to-head records
+ * @param {Array} ladder - Rated players, highest first (see ratings.js)
+ * @param {number} selected - Index of the player whose history is shown
+ */
+export function renderLeaderboard(ladder, selected) {
+    const table = document.getElementById('leaderboardTable');
+    const select = document.getElementById('leaderboardPlayer');
+    const history = document.getElementById('ratingHistory');
+    const headToHead = document.getElementById('headToHead');
+
+    document.getElementById('leaderboardPlayerSection').classList.toggle('hidden', ladder.length === 0);
+    document.getElementById('clearRatingsBtn').disabled = ladder.length === 0;
+    select.innerHTML = '';
+
+    if (ladder.length === 0) {
+        table.innerHTML = '<p class="stats-empty">No ratings yet. Named players are rated after each local game against another named player.</p>';
+        history.innerHTML = '';
+        headToHead.innerHTML = '';
+        return;
+    }
+
+    // Ranking
+    const rows = ladder.map((rated, index) => {
+        const previous = rated.history.length > 1 ? rated.history[rated.history.length - 2].rating : null;
+        const last = previous === null ? '' : formatRatingChange(rated.rating - previous);
+        return `
+            <tr>
+                <td>${index + 1}. ${escapeHtml(rated.name)}</td>
+                <td><strong>${rated.rating}</strong></td>
+                <td>${last}</td>
+                <td>${rated.peak}</td>
+                <td>${rated.games}</td>
+            </tr>
+        `;
+    }).join('');
+
+    table.innerHTML = `
+        <table class="stats-table">
+            <thead><tr><th>Player</th><th>Rating</th><th>Last</th><th>Peak</th><th>Games</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+
+    // Rating history of the selected player
+    ladder.forEach((rated, index) => select.add(new Option(rated.name, index)));
+    select.value = selected;
+    history.innerHTML = renderRatingGraph(ladder[selected].history);
+
+    // Head to head: each row's record against each column
+    const names = ladder.map(rated => `<th>${escapeHtml(rated.name)}</th>`).join('');
+    const matrix = ladder.map(rated => `
+        <tr>
+            <td>${escapeHtml(rated.name)}</td>
+            ${ladder.map(other => {
+                if (other === rated) return '<td class="head-to-head-self">-</td>';
+                const record = rated.headToHead[other.key];
+                return `<td>${record ? formatRecord(record) : ''}</td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+
+    headToHead.innerHTML = ladder.length < 2 ? '' : `
+        <h3>Head to Head (won-lost-tied)</h3>
+        <div class="head-to-head-scroll">
+            <table class="stats-table head-to-head">
+                <thead><tr><th></th>${names}</tr></thead>
+                <tbody>${matrix}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Draw a rating history as an SVG line graph
+ * @param {Array} history - [{date, rating}], oldest first
+ * @returns {string} SVG markup
+ */
+function renderRatingGraph(history) {
+    const width = 480;
+    const height = 160;
+    const padding = 32;
+
+    const ratings = history.map(point => point.rating);
+    const low = Math.min(...ratings) - 10;
+    const high = Math.max(...ratings) + 10;
+    const x = index => padding + (history.length === 1 ? 0.5 : index / (history.length - 1)) * (width - 2 * padding);
+    const y = rating => height - padding + (low - rating) / (high - low) * (height - 2 * padding);
+
+    const points = history.map((point, index) => `${x(index).toFixed(1)},${y(point.rating).toFixed(1)}`).join(' ');
+    const first = new Date(history[0].date).toLocaleDateString();
+    const last = new Date(history[history.length - 1].date).toLocaleDateString();
+
+    return `
+        <svg class="rating-graph" viewBox="0 0 ${width} ${height}" role="img"
+             aria-label="Rating history over ${history.length} games, now ${ratings[ratings.length - 1]}">
+            <line class="rating-axis" x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}"/>
+            <text x="4" y="${y(high - 10) + 4}">${high - 10}</text>
+            <text x="4" y="${y(low + 10) + 4}">${low + 10}</text>
+            <text x="${padding}" y="${height - 8}">${escapeHtml(first)}</text>
+            <text x="${width - padding}" y="${height - 8}" text-anchor="end">${escapeHtml(last)}</text>
+            <polyline class="rating-line" points="${points}"/>
+            ${history.map((point, index) =>
+                `<circle class="rating-point" cx="${x(index).toFixed(1)}" cy="${y(point.rating).toFixed(1)}" r="3"><title>${point.rating}</title></circle>`
+            ).join('')}
+        </svg>
+    `;
+}
+
+/**
+ * Format a rating change with its sign
+ * @param {number} change - Rating difference
+ * @returns {string} e.g. "+16", "-8" or "±0"
+ */
+function formatRatingChange(change) {
+    return change > 0 ? `+${change}` : change < 0 ? `${change}` : '±0';
+}
+
+// ===== TOURNAMENTS =====
+
+/**
+ * Fill the format, games-per-match and tie-break selects and the rule variants of the tournament setup
+ */
+export function renderTournamentOptions() {
+    const format = document.getElementById('tournamentFormat');
+    Object.entries(TOURNAMENT_FORMATS).forEach(([id, option]) =>
+        format.add(new Option(`${option.name} (${option.description})`, id)));
+    format.value = 'round-robin';
+
+    const bestOf = document.getElementById('tournamentBestOf');
+    BEST_OF_OPTIONS.forEach(count =>
+        bestOf.add(new Option(count === 1 ? 'Single game' : `Best of ${count}`, count)));
+
+    const tieBreak = document.getElementById('tournamentTieBreak');
+    Object.entries(TIE_BREAKS).forEach(([id, option]) => tieBreak.add(new Option(option.name, id)));
+
+    renderVariantOptions('tournamentVariants');
+}
+
+/**
+ * Show the tournament modal: the standings and bracket, or the setup if there is no tournament
+ * @param {Object|null} tournament - Saved tournament (see tournaments.js)
+ * @param {Object|null} next - Next game to play (see tournaments.js getNextGame)
+ * @param {boolean} overGame - True to open over the game (or game over screen) instead of the menu
+ */
+export function showTournament(tournament, next, overGame) {
+    if (!overGame) hideAllModals();
+
+    document.getElementById('tournamentSetup').classList.toggle('hidden', tournament !== null);
+    document.getElementById('tournamentView').classList.toggle('hidden', tournament === null);
+    if (tournament) renderTournament(tournament, next);
+
+    document.getElementById('tournamentModal').classList.remove('hidden');
+}
+
+/**
+ * Switch the tournament modal to the setup form
+ */
+export function showTournamentSetup() {
+    document.getElementById('tournamentSetup').classList.remove('hidden');
+    document.getElementById('tournamentView').classList.add('hidden');
+}
+
+/**
+ * Hide the tournament modal
+ */
+export function hideTournament() {
+    document.getElementById('tournamentModal').classList.add('hidden');
+}
+
+/**
+ * Read the tournament setup form
+ * @returns {Object} {format, names, settings: {rows, cols, variants, bestOf, tieBreak, allowUndo}}
+ */
+export function getTournamentSetup() {
+    const [rows, cols] = document.getElementById('tournamentGridSize').value.split('x').map(Number);
+    return {
+        format: document.getElementById('tournamentFormat').value,
+        names: document.getElementById('tournamentPlayers').value.split('\n'),
+        settings: {
+            rows,
+            cols,
+            variants: getSelectedVariants('tournamentVariants'),
+            bestOf: Number(document.getElementById('tournamentBestOf').value),
+            tieBreak: document.getElementById('tournamentTieBreak').value,
+            allowUndo: document.getElementById('tournamentAllowUndo').checked
+        }
+    };
+}
+
+/**
+ * Draw the tournament: what's next, the league table (round robins and matches) and every round
+ * @param {Object} tournament - Tournament (see tournaments.js)
+ * @param {Object|null} next - Next game to play
+ */
+function renderTournament(tournament, next) {
+    const { settings } = tournament;
+    const nameOf = seat => escapeHtml(tournament.players[seat]);
+
+    const games = settings.bestOf === 1 ? 'single games' : `best of ${settings.bestOf}`;
+    const rules = settings.variants.length > 0
+        ? `, ${settings.variants.map(id => RULE_VARIANTS[id].name).join(', ')}`
+        : '';
+    document.getElementById('tournamentSummary').textContent =
+        `${TOURNAMENT_FORMATS[tournament.format].name}: ${tournament.players.length} players, ` +
+        `${games} on ${settings.rows}x${settings.cols} dots${rules}. Started ${tournament.createdAt.slice(0, 10)}.`;
+
+    document.getElementById('tournamentStatus').innerHTML = tournament.finished
+        ? `🏆 <strong>${nameOf(tournament.champion)}</strong> wins the tournament!`
+        : `Next: ${formatNextGame(tournament, next)}`;
+    document.getElementById('playTournamentBtn').classList.toggle('hidden', next === null);
+
+    // League table (a knockout is all about the bracket)
+    const standings = document.getElementById('tournamentStandings');
+    if (tournament.format === 'knockout') {
+        standings.innerHTML = '';
+    } else {
+        const rows = getStandings(tournament).map((row, index) => `
+            <tr>
+                <td>${index + 1}. ${nameOf(row.seat)}</td>
+                <td>${row.played}</td>
+                <td>${row.won}</td>
+                <td>${row.drawn}</td>
+                <td>${row.lost}</td>
+                <td>${row.margin > 0 ? '+' : ''}${row.margin}</td>
+                <td><strong>${formatPoints(row.points)}</strong></td>
+            </tr>
+        `).join('');
+        standings.innerHTML = `
+            <table class="stats-table">
+                <thead><tr><th>Player</th><th>Played</th><th>Won</th><th>Drawn</th><th>Lost</th>` +
+                `<th title="Box differential">Boxes +/-</th><th>Points</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Every match, round by round
+    const rounds = [...new Set(tournament.matches.map(match => match.round))];
+    document.getElementById('tournamentRounds').innerHTML = rounds.map(round => `
+        <div class="tournament-round">
+            <h3>${getRoundName(tournament, round)}</h3>
+            <ul>
+                ${tournament.matches.filter(match => match.round === round).map(match => `
+                    <li class="tournament-match${match.decided ? ' decided' : ''}">
+                        ${formatMatch(tournament, match)}
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `).join('');
+}
+
+/**
+ * Describe a match: pairing, match score and the box score of every game
+ * @param {Object} tournament - Tournament
+ * @param {Object} match - Match (see tournaments.js)
+ * @returns {string} HTML
+ */
+function formatMatch(tournament, match) {
+    const names = match.players.map(seat => (seat === null ? 'TBD' : escapeHtml(tournament.players[seat])));
+    if (match.bye) {
+        return `${names[match.players.indexOf(match.winner)]} <span class="tournament-games">(bye)</span>`;
+    }
+
+    const marked = names.map((name, slot) =>
+        (match.decided && match.winner === match.players[slot] ? `<strong>${name}</strong>` : name));
+    if (match.games.length === 0) return `${marked[0]} vs ${marked[1]}`;
+
+    const [a, b] = getMatchScore(match);
+    const games = match.games.map(game => `${game.scores[0]}-${game.scores[1]}`).join(', ');
+    return `${marked[0]} ${a}-${b} ${marked[1]} <span class="tournament-games">(boxes: ${games})</span>`;
+}
+
+/**
+ * Describe the next game to play
+ * @param {Object} tournament - Tournament
+ * @param {Object|null} next - {index, first, second, game} (see tournaments.js getNextGame)
+ * @returns {string} HTML
+ */
+function formatNextGame(tournament, next) {
+    if (!next) return 'waiting for results';
+
+    const nameOf = seat => escapeHtml(tournament.players[seat]);
+    const game = tournament.settings.bestOf === 1 && next.game === 1 ? '' : `game ${next.game}, `;
+    return `${nameOf(next.first)} vs ${nameOf(next.second)} ` +
+           `(${getRoundName(tournament, tournament.matches[next.index].round)}, ${game}${nameOf(next.first)} starts)`;
+}
+
+/**
+ * Show the tournament after a game on the game over screen
+ * @param {Object} progress - {tournament, match, next}
+ * @returns {string} HTML
+ */
+function renderTournamentProgress({ tournament, match, next }) {
+    const status = tournament.finished
+        ? `🏆 <strong>${escapeHtml(tournament.players[tournament.champion])}</strong> wins the tournament!`
+        : `Next: ${formatNextGame(tournament, next)}`;
+    return `
+        <div class="session-stats">
+            <h3>Tournament</h3>
+            <p>${formatMatch(tournament, match)}${match.decided ? ' - match over' : ''}</p>
+            <p>${status}</p>
+        </div>
+    `;
+}
+
+// ===== SAVED GAMES =====
+
+/**
+ * Render the list of named saves
+ * @param {Array} slots - [{name, savedAt, description, valid}]
+ * @param {Object} handlers - {onLoad(name), onDelete(name)}
+ */
+export function renderSaveSlots(slots, handlers) {
+    const list = document.getElementById('saveSlotList');
+    list.innerHTML = '';
+
+    if (slots.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'save-slot-empty';
+        empty.textContent = 'No saved games yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    slots.forEach(slot => {
+        const row = document.createElement('div');
+        row.className = slot.valid ? 'save-slot' : 'save-slot invalid';
+
+        const info = document.createElement('div');
+        info.className = 'save-slot-info';
+        const name = document.createElement('div');
+        name.className = 'save-slot-name';
+        name.textContent = slot.name;
+        const details = document.createElement('div');
+        details.className = 'save-slot-details';
+        const savedAt = new Date(slot.savedAt);
+        details.textContent = isNaN(savedAt) ? slot.description : `${slot.description} - ${savedAt.toLocaleString()}`;
+        info.append(name, details);
+
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'btn-small';
+        loadBtn.textContent = 'Load';
+        loadBtn.disabled = !slot.valid;
+        loadBtn.addEventListener('click', () => handlers.onLoad(slot.name));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => handlers.onDelete(slot.name));
+
+        row.append(info, loadBtn, deleteBtn);
+        list.appendChild(row);
+    });
+}
+
+// ===== GAME RECORDS =====
+
+/**
+ * Show the game record modal
+ * @param {string} mode - 'export' (read-only record) or 'import' (paste or open a record)
+ * @param {string} text - Record text to show (export mode)
+ */
+export function showGameRecord(mode, text = '') {
+    const exporting = mode === 'export';
+    if (!exporting) hideAllModals();
+
+    document.getElementById('gameRecordTitle').textContent = exporting ? 'Export Game' : 'Import Game';
+    document.getElementById('gameRecordHint').textContent = exporting
+        ? 'Copy or download this record to share or archive the game.'
+        : 'Paste a game record or open a saved record file.';
+
+    const textArea = document.getElementById('gameRecordText');
+    textArea.value = text;
+    textArea.readOnly = exporting;
+
+    document.getElementById('exportRecordButtons').classList.toggle('hidden', !exporting);
+    document.getElementById('importRecordButtons').classList.toggle('hidden', exporting);
+    document.getElementById('gameRecordModal').classList.remove('hidden');
+}
+
+/**
+ * Hide the game record modal
+ */
+export function hideGameRecord() {
+    document.getElementById('gameRecordModal').classList.add('hidden');
+}
+
+// ===== BOARD IMAGES =====
+
+/**
+ * Show the board image modal (over the game, or over the game over modal)
+ * @param {boolean} card - True to start with the result card selected
+ * @param {boolean} canShare - True if the device can share image files (shows the Share button)
+ */
+export function showBoardImage(card, canShare) {
+    document.getElementById('boardImageCard').checked = card;
+    document.getElementById('shareImageBtn').classList.toggle('hidden', !canShare);
+    document.getElementById('boardImageModal').classList.remove('hidden');
+}
+
+/**
+ * Show what the image will look like
+ * @param {string} url - Image URL (see board-image.js getSvgDataUrl)
+ */
+export function updateBoardImagePreview(url) {
+    document.getElementById('boardImagePreview').src = url;
+}
+
+/**
+ * Read the choices in the board image modal
+ * @returns {Object} {format: 'png' or 'svg', card, moveNumbers}
+ */
+export function getBoardImageOptions() {
+    return {
+        format: document.getElementById('boardImageFormat').value,
+        card: document.getElementById('boardImageCard').checked,
+        moveNumbers: document.getElementById('boardImageNumbers').checked
+    };
+}
+
+/**
+ * Hide the board image modal
+ */
+export function hideBoardImage() {
+    document.getElementById('boardImageModal').classList.add('hidden');
+}
+
+// ===== BOARD LAYOUTS =====
+
+/**
+ * Show the board editor
+ */
+export function showLayoutEditor() {
+    hideAllModals();
+    document.getElementById('layoutEditorModal').classList.remove('hidden');
+}
+
+/**
+ * Fill the board shape selects of the game setup and the board editor
+ * @param {Array} layouts - [BoardLayout & {preset}], see board-layouts.js listLayouts
+ * @param {string} selected - Name of the layout to select in the game setup ('' for a full board)
+ */
+export function renderLayoutOptions(layouts, selected = document.getElementById('setupLayout').value) {
+    const setup = document.getElementById('setupLayout');
+    setup.innerHTML = '';
+    setup.append(new Option('Full board', ''));
+
+    const open = document.getElementById('layoutOpen');
+    open.innerHTML = '';
+    open.append(new Option('Blank board', ''));
+
+    layouts.forEach(layout => {
+        const label = `${layout.name} (${layout.rows}x${layout.cols}${layout.preset ? ', built-in' : ''})`;
+        setup.append(new Option(label, layout.name));
+        open.append(new Option(label, layout.name));
+    });
+
+    setup.value = layouts.some(layout => layout.name === selected) ? selected : '';
+    open.value = '';
+    updateSetupLayout();
+}
+
+/**
+ * Hide the grid size picker when a board shape decides the size
+ */
+export function updateSetupLayout() {
+    document.getElementById('setupGridSection').classList.toggle('hidden', document.getElementById('setupLayout').value !== '');
+}
+
+/**
+ * Draw the layout being edited as a grid of dots, edges and boxes
+ * @param {Object} layout - BoardLayout being edited
+ * @param {Object} handlers - {onBox(row, col), onEdge({lineType, row, col})}
+ */
+export function renderLayoutEditor(layout, handlers) {
+    document.getElementById('layoutName').value = layout.name;
+    document.getElementById('layoutRows').value = layout.rows;
+    document.getElementById('layoutCols').value = layout.cols;
+
+    const grid = document.getElementById('layoutGrid');
+    // Keep keyboard focus on the same cell after redrawing
+    const focused = [...grid.children].indexOf(document.activeElement);
+    grid.innerHTML = '';
+    grid.style.gridTemplateColumns = `repeat(${layout.cols - 1}, 10px 24px) 10px`;
+
+    const holes = new Set(layout.holes);
+    const onBoard = (row, col) => row >= 0 && col >= 0 && row < layout.rows - 1 && col < layout.cols - 1 &&
+        !holes.has(`${row},${col}`);
+
+    for (let gridRow = 0; gridRow < layout.rows * 2 - 1; gridRow++) {
+        for (let gridCol = 0; gridCol < layout.cols * 2 - 1; gridCol++) {
+            const row = Math.floor(gridRow / 2);
+            const col = Math.floor(gridCol / 2);
+
+            if (gridRow % 2 === 0 && gridCol % 2 === 0) {
+                const dot = document.createElement('span');
+                const used = onBoard(row, col) || onBoard(row - 1, col) || onBoard(row, col - 1) || onBoard(row - 1, col - 1);
+                dot.className = used ? 'layout-dot' : 'layout-dot off';
+                grid.appendChild(dot);
+            } else if (gridRow % 2 === 1 && gridCol % 2 === 1) {
+                grid.appendChild(createLayoutBox(row, col, holes.has(`${row},${col}`), handlers));
+            } else {
+                const lineType = gridRow % 2 === 0 ? 'horizontal' : 'vertical';
+                grid.appendChild(createLayoutEdge(layout, { lineType, row, col }, handlers));
+            }
+        }
+    }
+
+    if (focused >= 0) grid.children[focused].focus();
+    document.getElementById('layoutSummary').textContent = summarizeLayout(layout);
+    document.getElementById('layoutText').value = formatLayoutText(layout);
+}
+
+/**
+ * Button for a box of the board editor
+ * @param {number} row - Box row
+ * @param {number} col - Box column
+ * @param {boolean} hole - True if the box is cut out
+ * @param {Object} handlers - {onBox(row, col)}
+ * @returns {HTMLElement} Button
+ */
+function createLayoutBox(row, col, hole, handlers) {
+    const button = document.createElement('button');
+    button.className = hole ? 'layout-box hole' : 'layout-box';
+    button.setAttribute('aria-label', `Box ${row},${col}: ${hole ? 'hole' : 'on the board'}`);
+    button.addEventListener('click', () => handlers.onBox(row, col));
+    return button;
+}
+
+/**
+ * Button for an edge of the board editor
+ * @param {Object} layout - BoardLayout being edited
+ * @param {Object} line - {lineType, row, col}
+ * @param {Object} handlers - {onEdge(line)}
+ * @returns {HTMLElement} Button (disabled if the edge only borders holes)
+ */
+function createLayoutEdge(layout, line, handlers) {
+    const key = formatLineKey(line);
+    const state = layout.lines.includes(key) ? 'drawn' : layout.blocked.includes(key) ? 'blocked' : 'open';
+    const label = { open: 'open', drawn: 'pre-drawn', blocked: 'blocked' }[state];
+
+    const button = document.createElement('button');
+    button.className = `layout-edge ${line.lineType} ${state}`;
+    button.disabled = !isEdgeOnBoard(layout, line);
+    button.setAttribute('aria-label', `${line.lineType === 'horizontal' ? 'Horizontal' : 'Vertical'} edge ${key}: ${button.disabled ? 'not on the board' : label}`);
+    button.addEventListener('click', () => handlers.onEdge(line));
+    return button;
+}
+
+/**
+ * One line about the layout being edited, or what stops it being played
+ * @param {Object} layout - BoardLayout being edited
+ * @returns {string} e.g. "21 boxes, 4 holes, 2 pre-drawn lines, 1 blocked edge"
+ */
+function summarizeLayout(layout) {
+    try {
+        checkLayout(layout.rows, layout.cols, layout);
+    } catch (error) {
+        return `Can't be played yet: ${error.message}`;
+    }
+
+    const count = (n, word, plural = `${word}s`) => `${n} ${n === 1 ? word : plural}`;
+    const boxes = (layout.rows - 1) * (layout.cols - 1) - layout.holes.length;
+    return [
+        count(boxes, 'box', 'boxes'),
+        count(layout.holes.length, 'hole'),
+        count(layout.lines.length, 'pre-drawn line'),
+        count(layout.blocked.length, 'blocked edge')
+    ].join(', ');
+}
+
+/**
+ * Read the name and size fields of the board editor
+ * @returns {Object} {name, rows, cols}
+ */
+export function getLayoutEditorFields() {
+    return {
+        name: document.getElementById('layoutName').value.trim(),
+        rows: parseInt(document.getElementById('layoutRows').value),
+        cols: parseInt(document.getElementById('layoutCols').value)
+    };
+}
+
+// ===== PUZZLES =====
+
+/**
+ * Show the puzzle list: each puzzle with its goal and how the player got on
+ * @param {Array} puzzles - Puzzles in order (see puzzles.js)
+ * @param {Object} progress - Puzzle id -> {attempts, solved, revealed}
+ * @param {boolean} overGame - True to open over the game instead of the menu
+ */
+export function showPuzzles(puzzles, progress, overGame) {
+    if (!overGame) hideAllModals();
+
+    const solved = puzzles.filter(puzzle => progress[puzzle.id] && progress[puzzle.id].solved).length;
+    document.getElementById('puzzleSummary').textContent = `${solved} of ${puzzles.length} solved`;
+
+    const list = document.getElementById('puzzleList');
+    list.innerHTML = '';
+    puzzles.forEach((puzzle, index) => {
+        const entry = progress[puzzle.id] || { attempts: 0, solved: false, revealed: false };
+        const item = document.createElement('li');
+        item.className = entry.solved ? 'puzzle-item solved' : 'puzzle-item';
+
+        const info = document.createElement('div');
+        info.className = 'puzzle-info';
+        const name = document.createElement('div');
+        name.className = 'puzzle-name';
+        name.textContent = `${index + 1}. ${puzzle.name}`;
+        const details = document.createElement('div');
+        details.className = 'puzzle-details';
+        details.textContent = `${describeGoal(puzzle)} (${puzzle.rows}x${puzzle.cols} dots) - ${describePuzzleProgress(entry)}`;
+        info.append(name, details);
+
+        const playBtn = document.createElement('button');
+        playBtn.className = 'btn-small puzzle-play';
+        playBtn.dataset.puzzle = puzzle.id;
+        playBtn.textContent = entry.attempts > 0 ? 'Retry' : 'Play';
+        playBtn.setAttribute('aria-label', `${playBtn.textContent} ${puzzle.name}`);
+
+        item.append(info, playBtn);
+        list.appendChild(item);
+    });
+
+    document.getElementById('puzzlesModal').classList.remove('hidden');
+}
+
+/**
+ * Describe how the player got on with a puzzle
+ * @param {Object} entry - {attempts, solved, revealed}
+ * @returns {string} e.g. "Tried 2 times"
+ */
+function describePuzzleProgress(entry) {
+    if (entry.solved) return entry.revealed ? 'Solved (solution seen)' : 'Solved';
+    if (entry.revealed) return 'Solution seen';
+    if (entry.attempts > 0) return `Tried ${entry.attempts} time${entry.attempts > 1 ? 's' : ''}`;
+    return 'New';
+}
+
+/**
+ * Hide the puzzle list
+ */
+export function hidePuzzles() {
+    document.getElementById('puzzlesModal').classList.add('hidden');
+}
+
+/**
+ * Show the puzzle controls for a puzzle (or hide them); puzzles can't be saved or exported
+ * @param {Object|null} puzzle - Puzzle being played (see puzzles.js), or null for other games
+ * @param {boolean} hasNext - True if there is a puzzle after this one
+ */
+export function setPuzzleMode(puzzle, hasNext = false) {
+    document.getElementById('puzzleControls').classList.toggle('hidden', puzzle === null);
+    document.getElementById('saveGameBtn').classList.toggle('hidden', puzzle !== null);
+    document.getElementById('exportGameBtn').classList.toggle('hidden', puzzle !== null);
+    if (!puzzle) return;
+
+    document.getElementById('puzzleName').textContent = puzzle.name;
+    document.getElementById('puzzleGoal').textContent = describeGoal(puzzle);
+    document.getElementById('puzzleDescription').textContent = puzzle.description;
+    document.getElementById('nextPuzzleBtn').classList.toggle('hidden', !hasNext);
+}
+
+/**
+ * Show where the puzzle stands
+ * @param {string} status - 'open', 'solved' or 'failed'
+ * @param {string} text - Status line
+ */
+export function updatePuzzleStatus(status, text) {
+    const element = document.getElementById('puzzleStatus');
+    element.textContent = text;
+    element.className = `puzzle-status ${status}`;
+}
+
 // ===== FEEDBACK & ERRORS =====
 
 /**
@@ -175,14 +1463,339 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
+// ===== PLAYER SETUP =====
+
+/**
+ * Render the editable player list in the game setup modal
+ * @param {Array} configs - Players: [{name, color, difficulty, headStart}]
+ * @param {Object} handlers - {onChange(index, changes), onRemove(index)}
+ * @param {number} minPlayers - Players can't be removed below this count
+ */
+export function renderPlayerSetup(configs, handlers, minPlayers) {
+    const container = document.getElementById('setupPlayers');
+    container.innerHTML = '';
+
+    configs.forEach((config, index) => {
+        const row = document.createElement('div');
+        row.className = 'setup-section player-setup-row';
+
+        // Header: "Player N" + remove button
+        const header = document.createElement('div');
+        header.className = 'player-setup-header';
+        const title = document.createElement('h3');
+        title.textContent = `Player ${index + 1}`;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-small';
+        removeBtn.textContent = 'Remove';
+        removeBtn.disabled = configs.length <= minPlayers;
+        removeBtn.addEventListener('click', () => handlers.onRemove(index));
+        header.append(title, removeBtn);
+
+        // Name + human/computer
+        const fields = document.createElement('div');
+        fields.className = 'player-setup-fields';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.maxLength = 16;
+        nameInput.placeholder = `Player ${index + 1}`;
+        nameInput.value = config.name;
+        nameInput.setAttribute('aria-label', `Player ${index + 1} name`);
+        nameInput.setAttribute('list', 'profileNames');
+        nameInput.addEventListener('input', () => handlers.onChange(index, { name: nameInput.value }));
+
+        const typeSelect = document.createElement('select');
+        typeSelect.setAttribute('aria-label', `Player ${index + 1} type`);
+        typeSelect.add(new Option('Human', 'human'));
+        Object.entries(DIFFICULTIES).forEach(([difficulty, label]) => {
+            typeSelect.add(new Option(`Computer - ${label}`, difficulty));
+        });
+        typeSelect.value = config.difficulty || 'human';
+        typeSelect.addEventListener('change', () => {
+            handlers.onChange(index, { difficulty: typeSelect.value === 'human' ? null : typeSelect.value });
+        });
+
+        // Head start: boxes given before the game, or half a point (komi) to settle ties
+        const headStartSelect = document.createElement('select');
+        headStartSelect.setAttribute('aria-label', `Player ${index + 1} head start`);
+        for (let points = 0; points <= MAX_HEAD_START; points += 0.5) {
+            headStartSelect.add(new Option(points === 0 ? 'No head start' : `Head start +${formatPoints(points)}`,
+                String(points)));
+        }
+        headStartSelect.value = String(config.headStart || 0);
+        headStartSelect.addEventListener('change', () => {
+            handlers.onChange(index, { headStart: Number(headStartSelect.value) });
+        });
+        fields.append(nameInput, typeSelect, headStartSelect);
+
+        const picker = createColorPicker(config.color, color => handlers.onChange(index, { color }));
+
+        row.append(header, fields, picker);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * List the rule variants as checkboxes
+ * @param {string} containerId - Element to fill
+ */
+export function renderVariantOptions(containerId) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    Object.entries(RULE_VARIANTS).forEach(([id, variant]) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = id;
+
+        label.append(checkbox, `${variant.name} - ${variant.description}`);
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Read the rule variants ticked in a list from renderVariantOptions
+ * @param {string} containerId - Element holding the checkboxes
+ * @returns {Array} Selected variant ids
+ */
+export function getSelectedVariants(containerId) {
+    return [...document.querySelectorAll(`#${containerId} input:checked`)].map(input => input.value);
+}
+
+/**
+ * Fill the time control and timeout selects of the game setup
+ */
+export function renderTimeControlOptions() {
+    const timeControl = document.getElementById('setupTimeControl');
+    const onTimeout = document.getElementById('setupTimeoutAction');
+
+    timeControl.innerHTML = '';
+    timeControl.append(new Option('No clock', ''));
+    Object.entries(TIME_CONTROLS).forEach(([id, control]) => {
+        timeControl.append(new Option(control.name, id));
+    });
+
+    onTimeout.innerHTML = '';
+    Object.entries(TIMEOUT_ACTIONS).forEach(([id, name]) => {
+        onTimeout.append(new Option(name, id));
+    });
+
+    updateTimeoutOptions();
+}
+
+/**
+ * Only ask what happens on a timeout when there is a clock, and turn undo off for timed games
+ * (undo and redo would bring back the position with a fresh move clock)
+ */
+export function updateTimeoutOptions() {
+    const timed = document.getElementById('setupTimeControl').value !== '';
+    document.getElementById('setupTimeoutSection').classList.toggle('hidden', !timed);
+
+    // The undo box shows unticked while a clock is picked, and gets its old state back without one
+    const allowUndo = document.getElementById('setupAllowUndo');
+    if (timed && !allowUndo.disabled) {
+        allowUndo.dataset.checked = allowUndo.checked;
+        allowUndo.checked = false;
+    } else if (!timed && allowUndo.disabled) {
+        allowUndo.checked = allowUndo.dataset.checked === 'true';
+    }
+    allowUndo.disabled = timed;
+    document.getElementById('setupUndoOption').title = timed ? 'Timed games have no undo' : '';
+}
+
+/**
+ * Read the time control chosen in the game setup
+ * @returns {Object} {timeControl, onTimeout}: timeControl is null for no clock
+ */
+export function getTimeControlSettings() {
+    return {
+        timeControl: document.getElementById('setupTimeControl').value || null,
+        onTimeout: document.getElementById('setupTimeoutAction').value
+    };
+}
+
+/**
+ * Fill the who-starts select of the game setup
+ */
+export function renderFirstPlayerOptions() {
+    const select = document.getElementById('setupFirstPlayer');
+    select.innerHTML = '';
+    Object.entries(FIRST_PLAYER_OPTIONS).forEach(([id, option]) => {
+        const item = new Option(option.name, id);
+        item.title = option.description;
+        select.append(item);
+    });
+}
+
+/**
+ * Enable/disable the "Add Player" button
+ * @param {boolean} enabled - False once the maximum is reached
+ */
+export function setAddPlayerEnabled(enabled) {
+    document.getElementById('addPlayerBtn').disabled = !enabled;
+}
+
+// ===== THEMES =====
+
+/**
+ * Fill the theme selects of the game setup and the settings modal
+ */
+export function renderThemeOptions() {
+    ['setupTheme', 'settingsTheme'].forEach(id => {
+        const select = document.getElementById(id);
+        select.innerHTML = '';
+        Object.entries(THEMES).forEach(([themeKey, theme]) => {
+            select.append(new Option(theme.name, themeKey));
+        });
+    });
+}
+
+/**
+ * Use a theme for the page and the color pickers
+ * @param {Object} display - {theme, patterns}
+ */
+export function applyTheme(display) {
+    themeId = display.theme;
+    document.documentElement.dataset.theme = THEMES[themeId].dark ? 'dark' : 'light';
+    document.getElementById('setupTheme').value = display.theme;
+    document.getElementById('setupPatterns').checked = display.patterns;
+}
+
+/**
+ * Default player colors of the theme in use
+ * @returns {Array} Colors for Player 1 to Player 6
+ */
+export function getDefaultPlayerColors() {
+    return getDefaultColors(themeId);
+}
+
+/**
+ * Warn when player colors are hard to tell apart or hard to see on the board
+ * @param {string} elementId - Element to show the warning in
+ * @param {Array} colors - Player colors in turn order
+ * @param {Array} names - Player names in turn order
+ * @param {string} theme - Theme whose board the colors are drawn on (default: the theme in use)
+ */
+export function showColorWarning(elementId, colors, names, theme = themeId) {
+    const { similar, faint } = checkColorContrast(colors, THEMES[theme].background);
+    const warnings = [
+        ...similar.map(({ seats: [a, b], colorblindOnly }) => (colorblindOnly
+            ? `${names[a]} and ${names[b]} look alike to colorblind players.`
+            : `${names[a]} and ${names[b]} have very similar colors.`)),
+        ...faint.map(seat => `${names[seat]}'s color is hard to see on the board.`)
+    ];
+
+    const warning = document.getElementById(elementId);
+    warning.textContent = warnings.join(' ');
+    warning.classList.toggle('hidden', warnings.length === 0);
+}
+
 // ===== COLOR PICKER HELPERS =====
 
 /**
- * Initialize color picker values in settings modal
- * @param {string} player1Color - Current Player 1 color
- * @param {string} player2Color - Current Player 2 color
+ * Build a color picker with preset swatches and a custom input
+ * @param {string} color - Initially selected color
+ * @param {Function} onChange - Called with the new color
+ * @param {string} theme - Theme whose swatches are offered (default: the theme in use)
+ * @returns {HTMLElement} Picker element
+ */
+export function createColorPicker(color, onChange, theme = themeId) {
+    const picker = document.createElement('div');
+    picker.className = 'color-picker-compact';
+
+    const customInput = document.createElement('input');
+    customInput.type = 'color';
+    customInput.className = 'color-input-compact';
+    customInput.title = 'Custom Color';
+    customInput.value = color;
+
+    // Preset swatch click
+    THEMES[theme].presets.forEach(preset => {
+        const swatch = document.createElement('button');
+        swatch.className = 'color-swatch';
+        swatch.dataset.color = preset.color;
+        swatch.style.background = preset.color;
+        swatch.title = preset.title;
+        swatch.addEventListener('click', () => {
+            customInput.value = preset.color;
+            onChange(preset.color);
+        });
+        picker.appendChild(swatch);
+    });
+
+    // Custom color input change
+    customInput.addEventListener('input', () => onChange(customInput.value));
+    picker.appendChild(customInput);
+
+    return picker;
+}
+
+/**
+ * Initialize color pickers and display options in the settings modal
+ * @param {Array} players - Players in turn order: [{name, color}]
+ * @param {Object} display - Current display settings: {theme, patterns}
+ */
+export function initColorSettings(players, display) {
+    document.getElementById('settingsTheme').value = display.theme;
+    document.getElementById('settingsPatterns').checked = display.patterns;
+    renderColorSettings(players, players.map(player => player.color));
+}
+
+/**
+ * Switch the settings modal to another theme's colors (applied with the rest on Apply)
+ * @param {Array} players - Players in turn order: [{name}]
+ */
+export function previewThemeColors(players) {
+    const theme = document.getElementById('settingsTheme').value;
+    renderColorSettings(players, getDefaultColors(theme).slice(0, players.length), theme);
+}
+
+/**
+ * Fill the settings modal color pickers
+ * @param {Array} players - Players in turn order: [{name}]
+ * @param {Array} colors - Colors to start from
+ * @param {string} theme - Theme whose swatches and board are used (default: the theme in use)
+ */
+function renderColorSettings(players, colors, theme = themeId) {
+    const container = document.getElementById('colorSettingsPlayers');
+    container.innerHTML = '';
+    pendingColors = [...colors];
+
+    const names = players.map(player => player.name);
+    const check = () => showColorWarning('colorSettingsWarning', pendingColors, names, theme);
+
+    players.forEach((player, index) => {
+        const section = document.createElement('div');
+        section.className = 'setup-section';
+        const title = document.createElement('h3');
+        title.textContent = `${player.name} Color`;
+        const picker = createColorPicker(pendingColors[index], color => {
+            pendingColors[index] = color;
+            check();
+        }, theme);
+        section.append(title, picker);
+        container.appendChild(section);
+    });
+    check();
+}
+
+/**
+ * Read the display options chosen in the settings modal
+ * @returns {Object} {theme, patterns}
+ */
+export function getDisplaySettings() {
+    return {
+        theme: document.getElementById('settingsTheme').value,
+        patterns: document.getElementById('settingsPatterns').checked
+    };
+}
+
+/**
+ * Get the colors chosen in the settings modal
+ * @returns {Array} Colors in turn order
  */
-export function initColorSettings(player1Color, player2Color) {
-    document.getElementById('settingsPlayer1Custom').value = player1Color;
-    document.getElementById('settingsPlayer2Custom').value = player2Color;
+export function getColorSettings() {
+    return [...pendingColors];
 }
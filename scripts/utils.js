@@ -1,16 +1,91 @@
 // Utility functions
-// Simplified - no room code mapping needed, using peer IDs directly
+// Room codes, HTML escaping and small helpers shared across modules
+
+// Room code alphabet (no 0/O or 1/I/L to avoid misreading)
+const ROOM_CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
 
 /**
- * Validate peer ID format
- * PeerJS IDs are UUIDs: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx
- * @param {string} peerId - Peer ID to validate
+ * Generate a random room code
+ * @returns {string} 6-character room code (e.g. 'K7PQ2M')
+ */
+export function generateRoomCode() {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+        code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+    }
+    return code;
+}
+
+/**
+ * Normalize a room code typed by a player
+ * @param {string} roomCode - Raw input
+ * @returns {string} Upper-case code without spaces or dashes
+ */
+export function normalizeRoomCode(roomCode) {
+    if (typeof roomCode !== 'string') return '';
+    return roomCode.replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Validate room code format
+ * @param {string} roomCode - Room code to validate (already normalized)
  * @returns {boolean} True if valid format
  */
-export function validatePeerId(peerId) {
-    if (!peerId || typeof peerId !== 'string') return false;
+export function validateRoomCode(roomCode) {
+    if (!roomCode || typeof roomCode !== 'string') return false;
+    if (roomCode.length !== ROOM_CODE_LENGTH) return false;
+
+    return [...roomCode].every(char => ROOM_CODE_CHARS.includes(char));
+}
+
+/**
+ * Create a small event registry for transports
+ * @returns {Object} {on(event, handler), emit(event, payload)}
+ */
+export function createEventHandlers() {
+    const handlers = { connect: [], message: [], disconnect: [] };
+
+    return {
+        on(event, handler) {
+            handlers[event].push(handler);
+        },
+        emit(event, payload) {
+            handlers[event].forEach(handler => handler(payload));
+        }
+    };
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Raw text (e.g. a player name)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-    // Accept various formats - PeerJS can generate different ID formats
-    // Typically UUID format but can be custom
-    return peerId.length > 0 && peerId.trim().length > 0;
+/**
+ * Check that a value is a #RRGGBB color
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it's a hex color
+ */
+export function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+}
+
+/**
+ * Format points that may include a half ("2½")
+ * @param {number} points - Points, in steps of a half
+ * @returns {string} Formatted points
+ */
+export function formatPoints(points) {
+    const whole = Math.floor(points);
+    if (whole === points) return String(points);
+    return whole === 0 ? '½' : `${whole}½`;
 }
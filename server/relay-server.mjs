@@ -0,0 +1,286 @@
+// Local relay / signaling server for online games
+// Serves the game files and pairs two WebSocket clients per room code.
+// No dependencies: run with `node server/relay-server.mjs` (PORT=8787 and HOST=localhost by default)
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// ===== CONSTANTS & CONFIGURATION =====
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || 'localhost';
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+// The only files served: the page and the folders it loads from (never .git or other files in the checkout)
+const PUBLIC_FILES = ['index.html'];
+const PUBLIC_FOLDERS = ['scripts', 'styles'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Open rooms: room code -> {host, guest}
+const rooms = new Map();
+
+// ===== STATIC FILES =====
+
+/**
+ * Check if a path may be served: the page itself, or a file in one of its folders with no hidden segments
+ * @param {string} relativePath - Normalized path from the URL, starting with a separator
+ * @returns {boolean} True if the file is part of the game
+ */
+function isPublicPath(relativePath) {
+    const segments = relativePath.split(sep).filter(segment => segment !== '');
+    if (segments.some(segment => segment.startsWith('.'))) return false;
+
+    return segments.length === 1
+        ? PUBLIC_FILES.includes(segments[0])
+        : PUBLIC_FOLDERS.includes(segments[0]);
+}
+
+/**
+ * Serve a game file from the repository
+ * @param {http.IncomingMessage} request - HTTP request
+ * @param {http.ServerResponse} response - HTTP response
+ */
+async function serveStatic(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400).end('Bad request');
+        return;
+    }
+
+    const relativePath = normalize(urlPath === '/' ? '/index.html' : urlPath);
+    const filePath = join(ROOT, relativePath);
+
+    // Never serve anything outside the game files
+    if (!filePath.startsWith(ROOT + sep) || !isPublicPath(relativePath)) {
+        response.writeHead(403).end('Forbidden');
+        return;
+    }
+
+    try {
+        const body = await readFile(filePath);
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream' });
+        response.end(body);
+    } catch (error) {
+        response.writeHead(404).end('Not found');
+    }
+}
+
+// ===== WEBSOCKET FRAMING =====
+
+/**
+ * Encode a frame (server frames are never masked)
+ * @param {string} text - Message text
+ * @param {number} opcode - Frame opcode (text by default)
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode as many complete frames as the buffer holds
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object} {frames: [{opcode, payload}], rest: Buffer}
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        const frameLength = headerLength + maskLength + length;
+        if (length > MAX_MESSAGE_SIZE) {
+            frames.push({ opcode: 0x8, payload: Buffer.alloc(0) });
+            return { frames, rest: Buffer.alloc(0) };
+        }
+        if (buffer.length - offset < frameLength) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+        if (masked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        frames.push({ opcode, payload });
+        offset += frameLength;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Send a JSON message to a client
+ * @param {net.Socket} socket - Client socket
+ * @param {Object} message - Message to send
+ */
+function send(socket, message) {
+    if (socket && !socket.destroyed) {
+        socket.write(encodeFrame(JSON.stringify(message)));
+    }
+}
+
+// ===== ROOMS =====
+
+/**
+ * Handle a control message from a client
+ * @param {Object} client - {socket, room}
+ * @param {Object} message - Parsed message
+ */
+function handleMessage(client, message) {
+    switch (message.type) {
+        case 'host': {
+            if (client.room || typeof message.room !== 'string') return;
+            if (rooms.has(message.room)) {
+                send(client.socket, { type: 'error', message: 'That room code is already in use.' });
+                return;
+            }
+            rooms.set(message.room, { host: client, guest: null });
+            client.room = message.room;
+            send(client.socket, { type: 'hosted', room: message.room });
+            break;
+        }
+        case 'join': {
+            const room = rooms.get(message.room);
+            if (client.room) return;
+            if (!room) {
+                send(client.socket, { type: 'error', message: 'Room not found. Check the code and try again.' });
+                return;
+            }
+            if (room.guest) {
+                send(client.socket, { type: 'error', message: 'That room is full.' });
+                return;
+            }
+            room.guest = client;
+            client.room = message.room;
+            send(client.socket, { type: 'joined', room: message.room });
+            send(room.host.socket, { type: 'peer-joined' });
+            break;
+        }
+        case 'relay': {
+            const room = rooms.get(client.room);
+            if (!room) return;
+            const other = room.host === client ? room.guest : room.host;
+            if (other) send(other.socket, { type: 'relay', payload: message.payload });
+            break;
+        }
+    }
+}
+
+/**
+ * Remove a client from its room and tell the other player
+ * @param {Object} client - {socket, room}
+ */
+function leaveRoom(client) {
+    const room = rooms.get(client.room);
+    if (!room) return;
+
+    const other = room.host === client ? room.guest : room.host;
+    if (other) {
+        send(other.socket, { type: 'peer-left' });
+        other.room = null;
+    }
+
+    rooms.delete(client.room);
+    client.room = null;
+}
+
+// ===== SERVER =====
+
+const server = createServer((request, response) => {
+    serveStatic(request, response);
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const client = { socket, room: null };
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = rest;
+
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x8) {
+                socket.end(encodeFrame('', 0x8));
+            } else if (opcode === 0x9) {
+                socket.write(encodeFrame(payload.toString(), 0xA));
+            } else if (opcode === 0x1) {
+                try {
+                    handleMessage(client, JSON.parse(payload.toString()));
+                } catch (error) {
+                    // Ignore malformed messages
+                }
+            }
+        });
+    });
+
+    socket.on('close', () => leaveRoom(client));
+    socket.on('error', () => leaveRoom(client));
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`Dots and Boxes relay running at http://${HOST}:${PORT}`);
+});